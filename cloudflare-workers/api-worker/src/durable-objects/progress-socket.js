@@ -1,17 +1,61 @@
 import { DurableObject } from 'cloudflare:workers';
+import { enrichBatch } from '../services/enrichment.js';
+import {
+  JOB_STATUS, createJobRecord, applyJobUpdate, transitionJob, checkpointJob, resumeJob, jobMessage,
+  isActive, isTerminal, parseCommand, prioritizeQueue
+} from '../services/jobs.js';
+
+// A resumable job must checkpoint within this window, or alarm() resumes it
+const JOB_LEASE_MS = 60 * 1000;
+// Final results stay readable this long after a job ends (JOB_RESULT_RETENTION_HOURS overrides)
+const DEFAULT_RESULT_RETENTION_HOURS = 24;
+// Stored messages (final results, buffered events) are split into string chunks of this many characters
+const MESSAGE_CHUNK_CHARS = 32 * 1024;
+// Progress events kept for ?since= replay; older ones are pruned
+const MAX_BUFFERED_EVENTS = 500;
+// SSE streams get a comment line this often so proxies keep idle connections open
+const SSE_KEEPALIVE_MS = 15 * 1000;
+// SSE streams end after this long; EventSource reconnects with Last-Event-ID and resumes
+const SSE_MAX_STREAM_MS = 60 * 1000;
+// Status shown for a job when it ends, unless the worker gives one
+const FINISHED_STATUS = {
+  complete: 'Complete',
+  canceled: 'Canceled',
+  failed: 'Failed'
+};
 
 /**
  * Durable Object for managing WebSocket connections per job
- * One instance per jobId - stores WebSocket connection and forwards progress messages
+ * One instance per jobId - holds the job's record (see "Jobs" below) and
+ * forwards its progress messages to every connected client. Several sockets
+ * may follow one job (iPhone and iPad, or a reconnect racing the old
+ * socket's close); each is dropped on its own close or error.
+ *
+ * Sockets use the WebSocket Hibernation API: the runtime holds the
+ * connections, so the DO can be evicted between progress reports without
+ * dropping clients. Nothing about a socket lives in instance fields - each
+ * is tagged with its jobId and carries { jobId, connectedAt } as its
+ * attachment, and ctx.getWebSockets() lists them after a wake-up.
+ *
+ * Enrichment jobs are resumable, so they survive the Worker isolate.
+ * Every message carries a sequence number and is stored (see "Message
+ * replay"), so a client connecting with ?since=N catches up on what it
+ * missed - including reports sent before anyone was listening. The final
+ * message is kept for JOB_RESULT_RETENTION_HOURS (see "Final results") and
+ * replayed to clients that connect after the job ended. Clients that can't
+ * hold a WebSocket read the same messages over SSE or long-poll (see
+ * "Event streams"). Clients also send commands up the socket (see "Client
+ * commands").
  *
  * Migrated from progress-websocket-durable-object/src/index.js
  */
 export class ProgressWebSocketDO extends DurableObject {
   constructor(state, env) {
     super(state, env);
-    this.storage = state.storage; // Durable Object storage for cancellation state
-    this.webSocket = null;
-    this.jobId = null;
+    this.storage = state.storage; // Durable Object storage for the job record
+    // SSE streams and pending long-polls live in memory; an open request keeps the DO awake
+    this.streams = new Set();
+    this.waiters = new Set();
   }
 
   /**
@@ -51,29 +95,18 @@ export class ProgressWebSocketDO extends DurableObject {
     // Create WebSocket pair
     const [client, server] = Object.values(new WebSocketPair());
 
-    // Store server-side WebSocket
-    this.webSocket = server;
-    this.jobId = jobId;
+    // Hibernatable accept: events arrive at webSocketMessage/Close/Error below
+    this.ctx.acceptWebSocket(server, [jobId]);
+    server.serializeAttachment({ jobId, connectedAt: Date.now() });
 
-    // Accept connection
-    this.webSocket.accept();
-
-    console.log(`[${this.jobId}] WebSocket connection accepted`);
-
-    // Setup event handlers
-    this.webSocket.addEventListener('message', (event) => {
-      console.log(`[${this.jobId}] Received message:`, event.data);
-    });
+    console.log(`[${jobId}] WebSocket connection accepted (${this.ctx.getWebSockets().length} connected)`);
 
-    this.webSocket.addEventListener('close', (event) => {
-      console.log(`[${this.jobId}] WebSocket closed:`, event.code, event.reason);
-      this.cleanup();
-    });
-
-    this.webSocket.addEventListener('error', (event) => {
-      console.error(`[${this.jobId}] WebSocket error:`, event);
-      this.cleanup();
-    });
+    // Catch up a reconnecting client, then deliver the final message if the job already ended
+    const since = parseInt(url.searchParams.get('since'), 10);
+    if (since >= 0) {
+      await this.replayEvents(server, since);
+    }
+    await this.replayTerminal(server, since >= 0 ? since : undefined);
 
     // Return client-side WebSocket to iOS app
     return new Response(null, {
@@ -86,93 +119,819 @@ export class ProgressWebSocketDO extends DurableObject {
   }
 
   /**
-   * RPC Method: Push progress update to connected client
-   * Called by background workers (enrichment, CSV import, etc.)
+   * Hibernation handler: a command from a client, answered with an ack frame on the same socket
    */
-  async pushProgress(progressData) {
-    // NEW: Check if job has been canceled before pushing
-    const isCanceled = (await this.storage.get("status")) === "canceled";
-    if (isCanceled) {
-      console.warn(`[${this.jobId}] Job is canceled, dropping progress message.`);
-      // Stop the worker by throwing an error
-      throw new Error("Job canceled by client");
+  async webSocketMessage(ws, message) {
+    let command;
+    let reply;
+    try {
+      command = parseCommand(message);
+      console.log(`[${socketJobId(ws)}] Received ${command.type} command`, { id: command.id });
+      reply = await this.runCommand(ws, command);
+    } catch (error) {
+      console.warn(`[${socketJobId(ws)}] Command rejected: ${error.message}`);
+      reply = { ok: false, error: error.message };
     }
 
-    console.log(`[ProgressDO] pushProgress called for job ${this.jobId}`, {
-      hasWebSocket: !!this.webSocket,
-      progressData
-    });
+    try {
+      ws.send(JSON.stringify({
+        type: 'ack',
+        command: command?.type ?? null,
+        id: command?.id ?? null,
+        timestamp: Date.now(),
+        ...reply
+      }));
+    } catch (error) {
+      console.warn(`[${socketJobId(ws)}] Could not send ack: ${error.message}`);
+    }
+  }
 
-    if (!this.webSocket) {
-      const error = new Error('No WebSocket connection available');
-      console.error(`[${this.jobId}] No WebSocket connection`, { error });
-      throw error;
+  /**
+   * Hibernation handler: a client closed its socket
+   */
+  async webSocketClose(ws, code, reason) {
+    console.log(`[${socketJobId(ws)}] WebSocket closed:`, code, reason);
+    // Complete the close handshake; 1005/1006 are reserved and cannot be sent back
+    try {
+      ws.close(code === 1005 || code === 1006 ? 1000 : code, reason);
+    } catch {
+      // Already closed
     }
+  }
 
-    const message = JSON.stringify({
-      type: 'progress',
-      jobId: this.jobId,
-      timestamp: Date.now(),
-      data: progressData
-    });
+  /**
+   * Hibernation handler: a socket failed - the runtime drops it
+   */
+  async webSocketError(ws, error) {
+    console.error(`[${socketJobId(ws)}] WebSocket error:`, error);
+  }
 
-    try {
-      this.webSocket.send(message);
-      console.log(`[${this.jobId}] Progress sent successfully`, { messageLength: message.length });
-      return { success: true };
-    } catch (error) {
-      console.error(`[${this.jobId}] Failed to send message:`, error);
-      throw error;
+  // ==========================================================================
+  // Jobs
+  //
+  // One job record per DO (services/jobs.js): workers call updateJob while
+  // they run and finishJob once; cancelJob moves a running job to
+  // 'canceling' and the worker finishes it as 'canceled' at its next check.
+  // Resumable jobs can also be paused, resumed and reprioritized: each
+  // starts a new run from the last checkpoint (see restartRun).
+  //
+  // Storage keys: 'job' (the record), 'job:input' (workIds, resumable jobs
+  // only) and one 'results:NNNNNN' chunk per enrichment checkpoint (DO
+  // values are capped at 128 KiB, so results are never stored under a
+  // single key). `cursor` counts the works covered by stored results -
+  // processedItems runs ahead of it between checkpoints. Resumable jobs hold
+  // an alarm lease that every checkpoint extends; if the worker dies the
+  // alarm fires and the job resumes from its cursor inside this DO under a
+  // new runId, which also shuts out any straggling run. A job fails only
+  // after MAX_JOB_RESUMES resumes in a row without a checkpoint moving the
+  // cursor (services/jobs.js checkpointJob).
+  // ==========================================================================
+
+  /**
+   * RPC Method: Create a queued job
+   * Called by the start handlers before the work is scheduled
+   * @param {Object} options - { jobId, type (JOB_TYPES key), totalItems, details?, input? };
+   *   passing `input` makes the job resumable (enrichment: { workIds })
+   * @returns {Promise<Object>} { success, runId } or { error, status } while the job is still active
+   */
+  async createJob({ jobId, type, totalItems, details = {}, input }) {
+    const existing = await this.storage.get('job');
+    if (existing && isActive(existing.status)) {
+      return { error: 'Job already running', status: existing.status };
+    }
+
+    // A finished job with the same id is replaced
+    await this.clearJob();
+
+    const job = {
+      ...createJobRecord({ jobId, type, totalItems, details }),
+      runId: crypto.randomUUID(),
+      resumable: input !== undefined,
+      resumeCount: 0,
+      cursor: 0,
+      chunks: 0
+    };
+
+    await this.storage.put(input !== undefined ? { job, 'job:input': input } : { job });
+    await this.scheduleAlarm();
+    console.log(`[ProgressDO] ${type} job ${jobId} created (${totalItems} items)`);
+
+    return { success: true, runId: job.runId };
+  }
+
+  /**
+   * RPC Method: Progress report from the job's worker (services/jobs.js reportJob)
+   * @param {Object} update - { runId?, stage?, stageProgress?, processedItems?, totalItems?,
+   *   currentStatus?, details?, data? } - details persist on the job, data only rides this message
+   * @returns {Promise<Object>} { success, status, delivered } or { error } without a job;
+   *   delivered is the number of clients the message reached
+   * @throws {Error} When runId belongs to a superseded run
+   */
+  async updateJob({ runId, jobId, data = {}, ...update }) {
+    const job = runId ? await this.loadRun(runId) : await this.storage.get('job');
+    if (!job) {
+      return { error: 'Job not found' };
     }
+    if (isTerminal(job.status)) {
+      return { success: false, status: job.status };
+    }
+
+    const next = applyJobUpdate(job, update);
+    await this.storage.put('job', next);
+    if (job.status !== next.status) {
+      await this.scheduleAlarm();
+    }
+
+    const delivered = await this.emit(jobMessage(next, data));
+    return { success: true, status: next.status, delivered };
+  }
+
+  /**
+   * RPC Method: End the job ('complete' | 'canceled' | 'failed')
+   * The final message is stored for GET /v1/jobs/:jobId/result, then the socket is closed.
+   * @param {Object} options - { runId?, status, result?, summary?, error?, currentStatus? }
+   * @returns {Promise<Object>} { success, status } - success is false when the job had already ended
+   * @throws {Error} When runId belongs to a superseded run
+   */
+  async finishJob({ runId, status, result, summary, error, currentStatus }) {
+    const job = runId ? await this.loadRun(runId) : await this.storage.get('job');
+    if (!job) {
+      return { error: 'Job not found' };
+    }
+
+    return this.finish(job, status, { result, summary, error, currentStatus });
   }
 
   /**
-   * NEW RPC Method: Cancel the job and close the connection
-   * Called by iOS client during library reset or explicit cancellation
+   * NEW RPC Method: Cancel the job
+   * Called by iOS client during library reset or explicit cancellation (or a `cancel` command).
+   * A queued or paused job ends at once; a running one is 'canceling' until its worker stops.
    */
   async cancelJob(reason = "Job canceled by user") {
-    console.log(`[${this.jobId}] Received cancelJob request`);
+    const job = await this.storage.get('job');
+    console.log(`[${job?.jobId}] Received cancelJob request`, { status: job?.status });
 
-    // Set canceled status in durable storage
-    await this.storage.put("status", "canceled");
+    if (!job) {
+      return { error: 'Job not found' };
+    }
+    // Nothing is running for a queued or paused job - it ends at once
+    if (job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.PAUSED) {
+      return this.finish(job, JOB_STATUS.CANCELED, { currentStatus: reason });
+    }
 
-    if (this.webSocket) {
-      this.webSocket.close(1001, reason); // 1001 = Going Away
+    const next = transitionJob(job, JOB_STATUS.CANCELING, { currentStatus: reason });
+    if (!next) {
+      return { success: true, status: job.status };
     }
-    this.cleanup();
-    return { success: true, status: "canceled" };
+
+    await this.storage.put('job', next);
+    await this.emit(jobMessage(next));
+    return { success: true, status: next.status };
+  }
+
+  /**
+   * RPC Method: Pause a resumable job
+   * The current run is superseded and stops at its next checkpoint; work since then is redone on resume.
+   * @returns {Promise<Object>} { success, status } or { error }
+   */
+  async pauseJob() {
+    const job = await this.storage.get('job');
+    if (!job) {
+      return { error: 'Job not found' };
+    }
+    if (!job.resumable) {
+      return { error: `${job.type} jobs cannot be paused`, status: job.status };
+    }
+
+    const paused = transitionJob(job, JOB_STATUS.PAUSED, { currentStatus: 'Paused' });
+    if (!paused) {
+      return { error: `Cannot pause a ${job.status} job`, status: job.status };
+    }
+
+    await this.storage.put('job', { ...paused, runId: crypto.randomUUID() });
+    await this.scheduleAlarm();
+    await this.emit(jobMessage(paused));
+    console.log(`[ProgressDO] Job ${job.jobId} paused, resumes at ${job.cursor}/${job.totalItems}`);
+    return { success: true, status: paused.status };
+  }
+
+  /**
+   * RPC Method: Resume a paused job from its last checkpoint
+   * @returns {Promise<Object>} { success, status } or { error }
+   */
+  async resumeJob() {
+    const job = await this.storage.get('job');
+    if (!job) {
+      return { error: 'Job not found' };
+    }
+
+    const running = transitionJob(job, JOB_STATUS.RUNNING, { currentStatus: 'Resuming' });
+    if (!running) {
+      return { error: `Cannot resume a ${job.status} job`, status: job.status };
+    }
+
+    await this.emit(jobMessage(running));
+    await this.restartRun(running);
+    return { success: true, status: running.status };
+  }
+
+  /**
+   * RPC Method: Take the given items next
+   * Enrichment: workIds not enriched yet move to the front of the job input and
+   * an active run restarts from its checkpoint in the new order. Batch scans:
+   * photo indexes are picked up before the next photo (see isBatchCanceled).
+   * @param {Array<string|number>} items - workIds or photo indexes, most urgent first
+   * @returns {Promise<Object>} { success, status, prioritized } or { error }
+   */
+  async prioritizeJob(items) {
+    const job = await this.storage.get('job');
+    if (!job) {
+      return { error: 'Job not found' };
+    }
+    if (!isActive(job.status)) {
+      return { error: `Cannot prioritize a ${job.status} job`, status: job.status };
+    }
+
+    if (job.type === 'batch-scan') {
+      const waiting = job.details.photos.filter(photo => photo.status === 'queued').map(photo => photo.index);
+      const prioritized = [...new Set(items)].filter(index => waiting.includes(index));
+      await this.storage.put('job', { ...job, priority: prioritized, updatedAt: Date.now() });
+      return { success: true, status: job.status, prioritized };
+    }
+
+    if (!job.resumable) {
+      return { error: `${job.type} jobs cannot be prioritized`, status: job.status };
+    }
+
+    const input = await this.storage.get('job:input');
+    const done = input.workIds.slice(0, job.cursor);
+    const queue = prioritizeQueue(input.workIds.slice(job.cursor), items);
+    const prioritized = queue.filter(workId => items.includes(workId));
+    if (prioritized.length === 0) {
+      return { success: true, status: job.status, prioritized };
+    }
+
+    await this.storage.put('job:input', { ...input, workIds: [...done, ...queue] });
+    if (job.status !== JOB_STATUS.PAUSED && job.status !== JOB_STATUS.CANCELING) {
+      await this.restartRun(job);
+    }
+    console.log(`[ProgressDO] Job ${job.jobId} prioritized ${prioritized.length} works`);
+    return { success: true, status: job.status, prioritized };
   }
 
   /**
    * NEW RPC Method: Check if the job has been canceled
-   * Called by enrichment.js worker in processing loop
+   * Called by job workers in their processing loops
    */
   async isCanceled() {
-    const status = await this.storage.get("status");
-    return status === "canceled";
+    const job = await this.storage.get('job');
+    return job?.status === JOB_STATUS.CANCELING || job?.status === JOB_STATUS.CANCELED;
   }
 
   /**
-   * RPC Method: Close WebSocket connection
+   * RPC Method: Close every client's WebSocket connection
    */
   async closeConnection(reason = 'Job completed') {
-    if (this.webSocket) {
-      this.webSocket.close(1000, reason);
-      this.cleanup();
+    // IMPORTANT: Do NOT clear the job from storage
+    // Worker needs to check cancellation state after socket closes
+    for (const socket of this.ctx.getWebSockets()) {
+      try {
+        socket.close(1000, reason);
+      } catch (error) {
+        console.warn(`[${socketJobId(socket)}] Failed to close WebSocket:`, error.message);
+      }
+    }
+    for (const stream of this.streams) {
+      this.closeStream(stream);
     }
     return { success: true };
   }
 
   /**
-   * Internal cleanup
+   * RPC Method: Record progress up to `cursor` plus results finished since the last checkpoint
+   * @throws {Error} When runId belongs to a superseded run - the caller must stop
    */
-  cleanup() {
-    this.webSocket = null;
-    this.jobId = null;
-    // IMPORTANT: Do NOT clear "canceled" status from storage
-    // Worker needs to check cancellation state after socket closes
+  async saveCheckpoint({ runId, cursor, enrichedWorks = [], errors = [] }) {
+    const job = checkpointJob(await this.loadRun(runId), cursor);
+
+    const writes = {};
+    if (enrichedWorks.length > 0 || errors.length > 0) {
+      writes[`results:${String(job.chunks).padStart(6, '0')}`] = { enrichedWorks, errors };
+      job.chunks++;
+    }
+
+    job.details = {
+      ...job.details,
+      enrichedCount: (job.details.enrichedCount || 0) + enrichedWorks.filter(work => work.enriched).length,
+      errorCount: (job.details.errorCount || 0) + errors.length
+    };
+
+    await this.storage.put({ ...writes, job });
+    await this.scheduleAlarm();
+    return { success: true, status: job.status };
+  }
+
+  /**
+   * RPC Method: Job status (null when this DO never held a job)
+   * Same fields as the job's progress messages, plus resumeCount, summary, error and timestamps.
+   */
+  async getJob() {
+    const job = await this.storage.get('job');
+    if (!job) return null;
+
+    const { data } = jobMessage(job);
+    const { resumeCount, summary, error, createdAt, updatedAt, completedAt } = job;
+    return { jobId: job.jobId, ...data, resumeCount, summary, error, createdAt, updatedAt, completedAt };
+  }
+
+  /**
+   * RPC Method: Results persisted so far, in checkpoint order
+   * @returns {Promise<{enrichedWorks: Object[], errors: Object[]}>}
+   */
+  async getJobResults() {
+    const chunks = await this.storage.list({ prefix: 'results:' });
+    const results = { enrichedWorks: [], errors: [] };
+    for (const chunk of chunks.values()) {
+      results.enrichedWorks.push(...chunk.enrichedWorks);
+      results.errors.push(...chunk.errors);
+    }
+    return results;
+  }
+
+  /**
+   * Alarm: the lease ran out without a checkpoint - resume the job from its cursor -
+   * or the final result's retention ended
+   */
+  async alarm() {
+    const stored = await this.storage.get('terminal');
+    if (stored && stored.expiresAt <= Date.now()) {
+      console.log(`[ProgressDO] Retention ended for job ${stored.jobId}, deleting its state`);
+      await this.storage.deleteAll();
+      return;
+    }
+
+    const job = await this.storage.get('job');
+    if (!job?.resumable || !isActive(job.status) || job.status === JOB_STATUS.PAUSED) {
+      await this.scheduleAlarm();
+      return;
+    }
+
+    const resumed = resumeJob(job);
+    if (!resumed) {
+      console.error(`[ProgressDO] Job ${job.jobId} failed: no progress after ${job.resumeCount} resumes`);
+      await this.finish(job, JOB_STATUS.FAILED, { error: `Job stopped making progress after ${job.resumeCount} resumes` });
+      return;
+    }
+
+    console.log(`[ProgressDO] Resuming job ${job.jobId} at ${job.cursor}/${job.totalItems} (resume #${resumed.resumeCount} without progress)`);
+    await this.restartRun(resumed, { wait: true });
+  }
+
+  /**
+   * Internal: start a new run of a resumable job from its last checkpoint
+   * The new runId shuts out the previous run at its next report or checkpoint.
+   * @param {Object} job - Job record to store with the new runId
+   * @param {Object} [options] - { wait } - wait for the run to end (alarm) instead of leaving it running
+   */
+  async restartRun(job, { wait = false } = {}) {
+    const run = { ...job, runId: crypto.randomUUID(), processedItems: job.cursor, updatedAt: Date.now() };
+    await this.storage.put('job', run);
+    await this.scheduleAlarm();
+
+    const { workIds } = await this.storage.get('job:input');
+    const { enrichedWorks, errors } = await this.getJobResults();
+    const running = enrichBatch(run.jobId, workIds, this.env, this, {
+      runId: run.runId,
+      cursor: run.cursor,
+      enrichedWorks,
+      errors
+    });
+
+    if (wait) {
+      await running;
+    } else {
+      // The lease alarm picks the job up again if this DO is evicted mid-run
+      running.catch(error => console.error(`[ProgressDO] Run of job ${run.jobId} failed:`, error));
+    }
+  }
+
+  /**
+   * Internal: move the job to a terminal status, store and send its final message
+   */
+  async finish(job, status, { result, summary, error, currentStatus, details, batchFrame } = {}) {
+    const next = transitionJob(job, status, {
+      currentStatus: currentStatus || FINISHED_STATUS[status],
+      summary: summary ?? null,
+      error: error ?? null,
+      ...(details && { details: { ...job.details, ...details } })
+    });
+    if (!next) {
+      console.warn(`[ProgressDO] Job ${job.jobId} cannot go from ${job.status} to ${status}`);
+      return { success: false, status: job.status };
+    }
+
+    // Stored as the final result rather than a buffered event, so it gets only a sequence number here
+    const message = await this.sequence(jobMessage(next, {
+      ...(result !== undefined && { result }),
+      ...(error !== undefined && { error })
+    }));
+
+    await this.storage.put('job', next);
+    await this.saveTerminal(message, status);
+    this.broadcast(message);
+    if (batchFrame) {
+      this.sendBatchFrame(batchFrame);
+    }
+    await this.closeConnection(`Job ${status}`);
+
+    return { success: true, status };
+  }
+
+  /**
+   * Internal: the job, if `runId` is still its current run
+   */
+  async loadRun(runId) {
+    const job = await this.storage.get('job');
+    if (!job || job.runId !== runId) {
+      throw new Error('Job run superseded');
+    }
+    return job;
+  }
+
+  /**
+   * Internal: one alarm serves both timers - a resumable job's lease, else the result's expiry
+   */
+  async scheduleAlarm() {
+    const job = await this.storage.get('job');
+    if (job?.resumable && isActive(job.status) && job.status !== JOB_STATUS.PAUSED) {
+      await this.storage.setAlarm(Date.now() + JOB_LEASE_MS);
+      return;
+    }
+
+    const stored = await this.storage.get('terminal');
+    if (stored) {
+      await this.storage.setAlarm(stored.expiresAt);
+    } else {
+      await this.storage.deleteAlarm();
+    }
+  }
+
+  /**
+   * Internal: drop a previous job's state
+   */
+  async clearJob() {
+    const chunks = await this.storage.list({ prefix: 'results:' });
+    const terminalChunks = await this.storage.list({ prefix: 'terminal:' });
+    const events = await this.storage.list({ prefix: 'event:' });
+    await this.deleteKeys([
+      'job', 'job:input', 'terminal', 'seq',
+      ...chunks.keys(), ...terminalChunks.keys(), ...events.keys()
+    ]);
+    await this.storage.deleteAlarm();
+  }
+
+  /**
+   * Internal: delete() takes at most 128 keys per call
+   */
+  async deleteKeys(keys) {
+    for (let i = 0; i < keys.length; i += 128) {
+      await this.storage.delete(keys.slice(i, i + 128));
+    }
   }
 
+  /**
+   * Internal: number, store and send a progress message
+   * @returns {Promise<number>} Clients reached - a message nobody received is still replayable
+   */
+  async emit(message) {
+    const sequenced = await this.sequence(message);
+    await this.saveEvent(sequenced);
+    return this.broadcast(sequenced);
+  }
+
+  /**
+   * Internal: send a message to every connected client - WebSockets and SSE
+   * streams - and wake pending long-polls
+   * A socket that fails to send is dropped; the others still get the message.
+   * @returns {number} Clients reached - 0 when nobody is listening (the app may be backgrounded)
+   */
+  broadcast(message) {
+    const serialized = JSON.stringify(message);
+    let delivered = 0;
+
+    for (const stream of this.streams) {
+      this.sendEvent(stream, message.seq, serialized);
+      delivered++;
+    }
+    for (const wake of [...this.waiters]) {
+      wake();
+    }
+
+    for (const socket of this.ctx.getWebSockets()) {
+      try {
+        socket.send(serialized);
+        delivered++;
+      } catch (error) {
+        console.error(`[${message.jobId}] Failed to send message:`, error);
+        try {
+          socket.close(1011, 'Send failed');
+        } catch {
+          // Already closed
+        }
+      }
+    }
+
+    if (delivered === 0) {
+      console.warn(`[ProgressDO] No client connected, ${message.data?.status ?? message.type} message ${message.seq} for ${message.jobId} kept for replay`);
+    }
+    return delivered;
+  }
+
+  // ==========================================================================
+  // Final results
+  //
+  // The last message of every job is stored as 'terminal' (status,
+  // timestamps) plus 'terminal:NNNN' string chunks of the serialized
+  // message, then deleted by the alarm once the retention period ends.
+  // ==========================================================================
+
+  /**
+   * RPC Method: The job's final message, or null when it has not ended (or expired)
+   * @returns {Promise<Object|null>} { jobId, seq, status: 'complete' | 'canceled' | 'failed',
+   *   completedAt, expiresAt, message } where message is the progress message clients received
+   */
+  async getResult() {
+    const stored = await this.storage.get('terminal');
+    if (!stored || stored.expiresAt <= Date.now()) return null;
+
+    const chunks = await this.storage.list({ prefix: 'terminal:' });
+    const message = JSON.parse([...chunks.values()].join(''));
+    return { ...stored, message };
+  }
+
+  /**
+   * Internal: persist the final message for GET /v1/jobs/:jobId/result and reconnects
+   */
+  async saveTerminal(message, status) {
+    const now = Date.now();
+    const hours = parseFloat(this.env.JOB_RESULT_RETENTION_HOURS) || DEFAULT_RESULT_RETENTION_HOURS;
+    const serialized = JSON.stringify(message);
+
+    const previous = await this.storage.list({ prefix: 'terminal:' });
+    await this.deleteKeys([...previous.keys()]);
+    await this.putChunks('terminal:', serialized);
+
+    await this.storage.put('terminal', {
+      jobId: message.jobId,
+      seq: message.seq,
+      status,
+      completedAt: now,
+      expiresAt: now + hours * 60 * 60 * 1000
+    });
+    await this.scheduleAlarm();
+  }
+
+  /**
+   * Internal: send the stored final message to a newly connected client, then close it
+   * @param {WebSocket} socket - The new client
+   * @param {number} [since] - Sequence number the client already has; the message is skipped if it is not newer
+   */
+  async replayTerminal(socket, since) {
+    const result = await this.getResult();
+    if (!result) return;
+
+    if (since === undefined || result.message.seq > since) {
+      console.log(`[${result.jobId}] Job already ${result.status}, replaying final message`);
+      socket.send(JSON.stringify(result.message));
+    }
+    socket.close(1000, 'Job complete');
+  }
+
+  /**
+   * Internal: split a serialized message into string chunks under `prefix`
+   * (values are capped at 128 KiB and put() takes at most 128 keys per call)
+   */
+  async putChunks(prefix, serialized) {
+    const chunks = [];
+    for (let i = 0; i < serialized.length; i += MESSAGE_CHUNK_CHARS) {
+      chunks.push([`${prefix}${String(chunks.length).padStart(4, '0')}`, serialized.slice(i, i + MESSAGE_CHUNK_CHARS)]);
+    }
+    for (let i = 0; i < chunks.length; i += 128) {
+      await this.storage.put(Object.fromEntries(chunks.slice(i, i + 128)));
+    }
+  }
+
+  // ==========================================================================
+  // Message replay
+  //
+  // Every message gets the next sequence number ('seq', starting at 1) as a
+  // top-level `seq` field. Progress messages are stored as
+  // 'event:SSSSSSSSSS:NNNN' string chunks, the newest MAX_BUFFERED_EVENTS
+  // kept; the final message lives under 'terminal' instead. Sending is
+  // best-effort - with nobody listening the message simply waits here.
+  // ==========================================================================
+
+  /**
+   * Internal: assign the next sequence number
+   */
+  async sequence(message) {
+    const seq = ((await this.storage.get('seq')) || 0) + 1;
+    await this.storage.put('seq', seq);
+    return { ...message, seq };
+  }
+
+  /**
+   * Internal: buffer a progress message for replay, pruning the oldest
+   */
+  async saveEvent(message) {
+    await this.putChunks(`${eventKey(message.seq)}:`, JSON.stringify(message));
+
+    const oldest = message.seq - MAX_BUFFERED_EVENTS;
+    if (oldest > 0 && oldest % 50 === 0) {
+      const expired = await this.storage.list({ prefix: 'event:', end: eventKey(oldest + 1) });
+      await this.deleteKeys([...expired.keys()]);
+    }
+  }
+
+  /**
+   * Internal: send a newly connected client every buffered progress message after `since`
+   * A client further behind than the buffer starts at the oldest kept message (its seq shows the gap).
+   */
+  async replayEvents(socket, since) {
+    const messages = await this.readEvents(since);
+
+    if (messages.length > 0) {
+      console.log(`[${socketJobId(socket)}] Replaying ${messages.length} messages after seq ${since}`);
+    }
+    for (const serialized of messages) {
+      socket.send(serialized);
+    }
+  }
+
+  /**
+   * Internal: buffered progress messages after `since`, serialized, in sequence order
+   */
+  async readEvents(since) {
+    const stored = await this.storage.list({ prefix: 'event:', start: eventKey(since + 1) });
+
+    const messages = new Map();
+    for (const [key, chunk] of stored) {
+      const seqKey = key.slice(0, key.lastIndexOf(':'));
+      messages.set(seqKey, (messages.get(seqKey) || '') + chunk);
+    }
+    return [...messages.values()];
+  }
+
+  /**
+   * Internal: every stored message after `since` - buffered progress, then the final message
+   * @returns {Promise<{messages: string[], ended: boolean}>} Serialized messages; ended once the job has a final message
+   */
+  async readMessages(since) {
+    const messages = await this.readEvents(since);
+    const result = await this.getResult();
+    if (result && result.message.seq > since) {
+      messages.push(JSON.stringify(result.message));
+    }
+    return { messages, ended: result !== null };
+  }
+
+  // ==========================================================================
+  // Event streams
+  //
+  // Fallbacks for clients without WebSockets, served from the same stored
+  // messages: an SSE stream (GET /v1/jobs/:jobId/events) and a long-poll
+  // (GET /v1/jobs/:jobId?wait=N). Both carry the WebSocket message JSON
+  // unchanged, and `seq` is the resume point for either.
+  //
+  // Unlike hibernated WebSockets, an open SSE response (and its keepalive
+  // timer) pins the DO in memory. Streams are therefore cut after
+  // SSE_MAX_STREAM_MS - as long-polls are after MAX_POLL_WAIT_SECONDS - and
+  // clients pick up where they left off through their Last-Event-ID reconnect.
+  // ==========================================================================
+
+  /**
+   * RPC Method: Server-Sent Events stream of the job's messages after `since`
+   * Stored messages are replayed first, then live ones; the stream ends after the final
+   * message or SSE_MAX_STREAM_MS, whichever comes first.
+   * @param {Object} options - { since } - last seq the client has (0 for everything)
+   * @returns {Promise<ReadableStream>} text/event-stream body - one `id: seq` / `data: message` event per message
+   */
+  async streamEvents({ since = 0 }) {
+    const { readable, writable } = new TransformStream();
+    const stream = { writer: writable.getWriter(), encoder: new TextEncoder() };
+
+    const { messages, ended } = await this.readMessages(since);
+    for (const serialized of messages) {
+      this.sendEvent(stream, JSON.parse(serialized).seq, serialized);
+    }
+
+    if (ended) {
+      stream.writer.close().catch(() => {});
+    } else {
+      stream.keepalive = setInterval(() => this.writeStream(stream, ': keepalive\n\n'), SSE_KEEPALIVE_MS);
+      stream.expiry = setTimeout(() => this.closeStream(stream), SSE_MAX_STREAM_MS);
+      this.streams.add(stream);
+    }
+    return readable;
+  }
+
+  /**
+   * RPC Method: Long-poll - messages after `since`, waiting up to `waitMs` for one when there are none yet
+   * @param {Object} options - { since?, waitMs? } - since defaults to the latest seq (wait for the next message)
+   * @returns {Promise<{messages: Object[], seq: number}>} seq is the last one covered - the next call's `since`
+   */
+  async pollEvents({ since, waitMs = 0 }) {
+    const from = since ?? ((await this.storage.get('seq')) || 0);
+
+    let { messages, ended } = await this.readMessages(from);
+    if (messages.length === 0 && !ended && waitMs > 0) {
+      await new Promise(resolve => {
+        const wake = () => {
+          clearTimeout(timer);
+          this.waiters.delete(wake);
+          resolve();
+        };
+        const timer = setTimeout(wake, waitMs);
+        this.waiters.add(wake);
+      });
+      ({ messages } = await this.readMessages(from));
+    }
+
+    const parsed = messages.map(serialized => JSON.parse(serialized));
+    return { messages: parsed, seq: parsed.at(-1)?.seq ?? from };
+  }
+
+  /**
+   * Internal: write one message as an SSE event
+   */
+  sendEvent(stream, seq, serialized) {
+    this.writeStream(stream, `id: ${seq}\ndata: ${serialized}\n\n`);
+  }
+
+  /**
+   * Internal: write to an SSE stream; a client that went away is dropped
+   */
+  writeStream(stream, text) {
+    stream.writer.write(stream.encoder.encode(text)).catch(() => this.closeStream(stream));
+  }
+
+  /**
+   * Internal: end an SSE stream
+   */
+  closeStream(stream) {
+    clearInterval(stream.keepalive);
+    clearTimeout(stream.expiry);
+    this.streams.delete(stream);
+    stream.writer.close().catch(() => {});
+  }
+
+  // ==========================================================================
+  // Client commands
+  //
+  // Frames clients send up the WebSocket (services/jobs.js parseCommand).
+  // The reply is merged into the ack frame: { ok, status?, error?, ... }.
+  // `ack` is remembered in the socket's attachment as ackedSeq.
+  // ==========================================================================
+
+  /**
+   * Internal: run one client command
+   * @returns {Promise<Object>} Ack fields
+   */
+  async runCommand(ws, command) {
+    switch (command.type) {
+      case 'cancel':
+        return ackFields(await this.cancelJob(command.reason || 'Job canceled by user'));
+      case 'pause':
+        return ackFields(await this.pauseJob());
+      case 'resume':
+        return ackFields(await this.resumeJob());
+      case 'prioritize': {
+        const result = await this.prioritizeJob(command.items);
+        return { ...ackFields(result), ...(result.prioritized && { prioritized: result.prioritized }) };
+      }
+      case 'ping': {
+        const job = await this.storage.get('job');
+        return { ok: true, status: job?.status ?? null, seq: (await this.storage.get('seq')) || 0 };
+      }
+      case 'ack':
+        ws.serializeAttachment({ ...ws.deserializeAttachment(), ackedSeq: command.seq });
+        return { ok: true, seq: command.seq };
+    }
+  }
+
+  // ==========================================================================
+  // Batch scans
+  //
+  // Batch scans are 'batch-scan' jobs whose details carry the photo array.
+  // These RPCs keep the photo bookkeeping in one place for
+  // batch-scan-handler.js and the /test/do endpoints.
+  //
+  // Shipped iOS builds (BatchWebSocketHandler.swift) only understand the
+  // batch-init / batch-progress / batch-complete frames, so each unified
+  // message is followed by its legacy frame. Those frames are live-only:
+  // they are not sequenced, buffered or sent to SSE and long-poll clients.
+  // ==========================================================================
+
   /**
    * RPC Method: Initialize batch job with photo array
    * Called by batch-scan-handler.js when batch upload starts
@@ -188,9 +947,6 @@ export class ProgressWebSocketDO extends DurableObject {
       throw new Error('totalPhotos must be a number between 1 and 5');
     }
 
-    // C2: Clear legacy state to prevent key collisions
-    await this.storage.delete('status');
-
     // Initialize batch state with photo array
     const photos = Array.from({ length: totalPhotos }, (_, i) => ({
       index: i,
@@ -198,26 +954,22 @@ export class ProgressWebSocketDO extends DurableObject {
       booksFound: 0
     }));
 
-    const batchState = {
+    const created = await this.createJob({
       jobId,
-      type: 'batch',
-      totalPhotos,
-      photos,
-      overallStatus: status,
-      currentPhoto: null,
-      totalBooksFound: 0,
-      cancelRequested: false
-    };
+      type: 'batch-scan',
+      totalItems: totalPhotos,
+      details: { photos, currentPhoto: null, totalBooksFound: 0 }
+    });
+    if (created.error) {
+      return created;
+    }
 
-    await this.storage.put('batchState', batchState);
+    // Batches created while already processing skip the upload stage
+    if (status === 'processing') {
+      await this.updateJob({ stage: 'scan', currentStatus: 'Processing photos' });
+    }
 
-    // Broadcast initialization to connected clients
-    this.broadcastToClients({
-      type: 'batch-init',
-      jobId,
-      totalPhotos,
-      status
-    });
+    this.sendBatchFrame({ type: 'batch-init', jobId, totalPhotos, status });
 
     return { success: true };
   }
@@ -234,54 +986,61 @@ export class ProgressWebSocketDO extends DurableObject {
       throw new Error('photoIndex must be a number');
     }
 
-    const batchState = await this.storage.get('batchState');
-    if (!batchState || batchState.type !== 'batch') {
+    const job = await this.storage.get('job');
+    if (!job || job.type !== 'batch-scan') {
       console.error('[ProgressDO] Batch job not found');
       return { error: 'Batch job not found' };
     }
 
     // C3: Array bounds validation
-    if (photoIndex < 0 || photoIndex >= batchState.photos.length) {
+    const photos = job.details.photos.map(photo => ({ ...photo }));
+    if (photoIndex < 0 || photoIndex >= photos.length) {
       return { error: `Invalid photo index: ${photoIndex}` };
     }
 
     // Update photo state
-    batchState.photos[photoIndex].status = status;
+    photos[photoIndex].status = status;
 
     if (booksFound !== undefined) {
-      batchState.photos[photoIndex].booksFound = booksFound;
+      photos[photoIndex].booksFound = booksFound;
     }
 
     if (error) {
-      batchState.photos[photoIndex].error = error;
+      photos[photoIndex].error = error;
     }
 
-    // Update current photo pointer
-    if (status === 'processing') {
-      batchState.currentPhoto = photoIndex;
-    }
-
-    // Recalculate total books found
-    batchState.totalBooksFound = batchState.photos.reduce(
-      (sum, p) => sum + (p.booksFound || 0),
-      0
-    );
-
-    await this.storage.put('batchState', batchState);
-
-    // Broadcast update to connected clients
-    this.broadcastToClients({
-      type: 'batch-progress',
-      jobId: batchState.jobId,
-      currentPhoto: photoIndex,
-      totalPhotos: batchState.totalPhotos,
-      photoStatus: status,
-      booksFound: booksFound || 0,
-      totalBooksFound: batchState.totalBooksFound,
-      photos: batchState.photos
+    const done = photos.filter(photo => photo.status === 'complete' || photo.status === 'error').length;
+    const totalBooksFound = photos.reduce((sum, p) => sum + (p.booksFound || 0), 0);
+
+    const updated = await this.updateJob({
+      stage: 'scan',
+      stageProgress: done / photos.length,
+      processedItems: done,
+      currentStatus: status === 'processing'
+        ? `Scanning photo ${photoIndex + 1}/${photos.length}`
+        : `Scanned ${done}/${photos.length} photos`,
+      details: {
+        photos,
+        // Update current photo pointer
+        currentPhoto: status === 'processing' ? photoIndex : job.details.currentPhoto,
+        // Recalculate total books found
+        totalBooksFound
+      }
     });
 
-    return { success: true };
+    if (updated.success) {
+      this.sendBatchFrame({
+        type: 'batch-progress',
+        jobId: job.jobId,
+        currentPhoto: photoIndex,
+        totalPhotos: photos.length,
+        photoStatus: status,
+        booksFound: booksFound || 0,
+        totalBooksFound,
+        photos
+      });
+    }
+    return updated;
   }
 
   /**
@@ -296,28 +1055,19 @@ export class ProgressWebSocketDO extends DurableObject {
       throw new Error('totalBooks must be a number');
     }
 
-    const batchState = await this.storage.get('batchState');
-    if (!batchState) {
+    const job = await this.storage.get('job');
+    if (!job || job.type !== 'batch-scan') {
       console.error('[ProgressDO] Job not found');
       return { error: 'Job not found' };
     }
 
-    batchState.overallStatus = status || 'complete';
-    batchState.totalBooksFound = totalBooks;
-    batchState.finalResults = books;
-
-    await this.storage.put('batchState', batchState);
-
-    // Broadcast completion
-    this.broadcastToClients({
-      type: 'batch-complete',
-      jobId: batchState.jobId,
-      totalBooks,
-      photoResults,
-      books
+    const result = { totalBooks, photoResults, books };
+    return this.finish(job, status === 'canceled' ? JOB_STATUS.CANCELED : JOB_STATUS.COMPLETE, {
+      result,
+      summary: result,
+      details: { totalBooksFound: totalBooks },
+      batchFrame: { type: 'batch-complete', jobId: job.jobId, ...result }
     });
-
-    return { success: true };
   }
 
   /**
@@ -325,17 +1075,30 @@ export class ProgressWebSocketDO extends DurableObject {
    * Called by test endpoints to verify state
    */
   async getState() {
-    const batchState = await this.storage.get('batchState');
-    return batchState || {};
+    const job = await this.storage.get('job');
+    if (!job || job.type !== 'batch-scan') return {};
+
+    return {
+      jobId: job.jobId,
+      type: 'batch',
+      totalPhotos: job.totalItems,
+      photos: job.details.photos,
+      overallStatus: batchStatus(job),
+      currentPhoto: job.details.currentPhoto,
+      totalBooksFound: job.details.totalBooksFound,
+      cancelRequested: job.status === JOB_STATUS.CANCELING || job.status === JOB_STATUS.CANCELED,
+      ...(job.summary && { finalResults: job.summary.books })
+    };
   }
 
   /**
    * RPC Method: Check if batch has been canceled
    * Called by batch-scan-handler.js in processing loop
+   * @returns {Promise<Object>} { canceled, priority } - priority lists photo indexes to scan next
    */
   async isBatchCanceled() {
-    const batchState = await this.storage.get('batchState');
-    return { canceled: batchState?.cancelRequested || false };
+    const job = await this.storage.get('job');
+    return { canceled: await this.isCanceled(), priority: job?.priority || [] };
   }
 
   /**
@@ -344,41 +1107,60 @@ export class ProgressWebSocketDO extends DurableObject {
    */
   async cancelBatch() {
     console.log(`[ProgressDO] cancelBatch called`);
-
-    const batchState = await this.storage.get('batchState');
-
-    if (!batchState) {
-      return { error: 'Job not found' };
-    }
-
-    batchState.cancelRequested = true;
-    batchState.overallStatus = 'canceling';
-
-    await this.storage.put('batchState', batchState);
-
-    // Broadcast cancellation
-    this.broadcastToClients({
-      type: 'batch-canceling',
-      jobId: batchState.jobId
-    });
-
-    return { success: true };
+    return this.cancelJob('Batch canceled by user');
   }
 
   /**
-   * Helper: Broadcast message to all connected WebSocket clients
+   * Internal: send a legacy batch-* frame to the job's WebSockets
    */
-  broadcastToClients(message) {
-    if (!this.webSocket) {
-      console.warn('[ProgressDO] No WebSocket connection to broadcast to');
-      return;
+  sendBatchFrame(frame) {
+    const serialized = JSON.stringify(frame);
+    for (const socket of this.ctx.getWebSockets()) {
+      try {
+        socket.send(serialized);
+      } catch (error) {
+        console.error(`[${frame.jobId}] Failed to send ${frame.type} frame:`, error);
+      }
     }
+  }
+}
 
-    try {
-      this.webSocket.send(JSON.stringify(message));
-      console.log(`[ProgressDO] Broadcast sent:`, message.type);
-    } catch (error) {
-      console.error('[ProgressDO] Failed to send to client:', error);
-    }
+/**
+ * Ack frame fields from a job RPC result ({ success, status } or { error, status? })
+ */
+function ackFields(result) {
+  return {
+    ok: !result.error && result.success !== false,
+    ...(result.status && { status: result.status }),
+    ...(result.error && { error: result.error })
+  };
+}
+
+/**
+ * Storage key of a buffered message; zero-padded so keys list in sequence order
+ */
+function eventKey(seq) {
+  return `event:${String(seq).padStart(10, '0')}`;
+}
+
+/**
+ * The jobId a hibernatable socket was accepted for (kept in its attachment)
+ */
+function socketJobId(ws) {
+  return ws.deserializeAttachment()?.jobId ?? 'unknown job';
+}
+
+/**
+ * Legacy batch overallStatus: uploading | processing | canceling | canceled | complete | error
+ */
+function batchStatus(job) {
+  switch (job.status) {
+    case JOB_STATUS.QUEUED:
+    case JOB_STATUS.RUNNING:
+      return job.stageIndex === 0 ? 'uploading' : 'processing';
+    case JOB_STATUS.FAILED:
+      return 'error';
+    default:
+      return job.status;
   }
 }
@@ -1,9 +1,10 @@
 /**
  * Batch Bookshelf Scan Handler
- * Handles multiple photos in one job with sequential processing
+ * Handles multiple photos in one 'batch-scan' job (services/jobs.js) with sequential processing
  */
 
 import { scanImageWithGemini } from '../providers/gemini-provider.js';
+import { reportJob, prioritizeQueue } from '../services/jobs.js';
 
 const MAX_PHOTOS_PER_BATCH = 5;
 const MAX_IMAGE_SIZE = 10_000_000; // 10MB per image
@@ -78,15 +79,21 @@ export async function handleBatchScan(request, env, ctx) {
     const doId = env.PROGRESS_WEBSOCKET_DO.idFromName(jobId);
     const doStub = env.PROGRESS_WEBSOCKET_DO.get(doId);
 
-    await doStub.fetch(`http://do/init-batch`, {
-      method: 'POST',
-      body: JSON.stringify({
-        jobId,
-        totalPhotos: images.length,
-        status: 'uploading'
-      })
+    const batch = await doStub.initBatch({
+      jobId,
+      totalPhotos: images.length,
+      status: 'uploading'
     });
 
+    if (batch.error) {
+      return new Response(JSON.stringify({
+        error: `Batch job ${jobId} is already running`
+      }), {
+        status: 409,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
     // Process batch asynchronously (don't await)
     ctx.waitUntil(processBatchPhotos(jobId, images, env, doStub));
 
@@ -139,31 +146,21 @@ async function processBatchPhotos(jobId, images, env, doStub) {
     const uploadResults = await Promise.all(uploadPromises);
 
     // Update progress after uploads
-    await doStub.fetch(`http://do/update-batch`, {
-      method: 'POST',
-      body: JSON.stringify({
-        status: 'processing',
-        uploads: uploadResults
-      })
+    const uploaded = uploadResults.filter(upload => upload.success).length;
+    await reportJob(doStub, {
+      jobId,
+      stage: 'upload',
+      stageProgress: 1,
+      currentStatus: `Uploaded ${uploaded}/${images.length} photos`
     });
 
-    // Phase 2: Process images sequentially with Gemini
-    for (let i = 0; i < uploadResults.length; i++) {
-      const upload = uploadResults[i];
-
-      if (!upload.success) {
-        photoResults.push({
-          index: i,
-          status: 'error',
-          error: upload.error
-        });
-        continue;
-      }
-
+    // Phase 2: Process images sequentially with Gemini (photos the client prioritized first)
+    let remaining = uploadResults.map(upload => upload.index);
+    while (remaining.length > 0) {
       // Check if job canceled
       const isCanceled = await doStub.isBatchCanceled();
       if (isCanceled.canceled) {
-        console.log(`Job ${jobId} canceled at photo ${i}, returning partial results`);
+        console.log(`Job ${jobId} canceled with ${remaining.length} photos left, returning partial results`);
 
         // Return partial results from completed photos
         const partialBooks = deduplicateBooks(allBooks);
@@ -173,8 +170,8 @@ async function processBatchPhotos(jobId, images, env, doStub) {
           totalBooks: partialBooks.length,
           photoResults: photoResults.concat(
             // Mark remaining photos as skipped
-            uploadResults.slice(i).map((upload, idx) => ({
-              index: i + idx,
+            remaining.map(index => ({
+              index,
               status: 'skipped',
               booksFound: 0
             }))
@@ -185,13 +182,23 @@ async function processBatchPhotos(jobId, images, env, doStub) {
         return; // Exit early with partial results
       }
 
+      remaining = prioritizeQueue(remaining, isCanceled.priority || []);
+      const i = remaining.shift();
+      const upload = uploadResults[i];
+
+      if (!upload.success) {
+        photoResults.push({
+          index: i,
+          status: 'error',
+          error: upload.error
+        });
+        continue;
+      }
+
       // Update progress: processing this photo
-      await doStub.fetch(`http://do/update-photo`, {
-        method: 'POST',
-        body: JSON.stringify({
-          photoIndex: i,
-          status: 'processing'
-        })
+      await doStub.updatePhoto({
+        photoIndex: i,
+        status: 'processing'
       });
 
       try {
@@ -210,13 +217,10 @@ async function processBatchPhotos(jobId, images, env, doStub) {
         allBooks.push(...result.books);
 
         // Update progress: photo complete
-        await doStub.fetch(`http://do/update-photo`, {
-          method: 'POST',
-          body: JSON.stringify({
-            photoIndex: i,
-            status: 'complete',
-            booksFound: result.books.length
-          })
+        await doStub.updatePhoto({
+          photoIndex: i,
+          status: 'complete',
+          booksFound: result.books.length
         });
 
       } catch (error) {
@@ -228,13 +232,10 @@ async function processBatchPhotos(jobId, images, env, doStub) {
         });
 
         // Update progress: photo error
-        await doStub.fetch(`http://do/update-photo`, {
-          method: 'POST',
-          body: JSON.stringify({
-            photoIndex: i,
-            status: 'error',
-            error: error.message
-          })
+        await doStub.updatePhoto({
+          photoIndex: i,
+          status: 'error',
+          error: error.message
         });
       }
     }
@@ -243,25 +244,17 @@ async function processBatchPhotos(jobId, images, env, doStub) {
     const uniqueBooks = deduplicateBooks(allBooks);
 
     // Send final completion
-    await doStub.fetch(`http://do/complete-batch`, {
-      method: 'POST',
-      body: JSON.stringify({
-        status: 'complete',
-        totalBooks: uniqueBooks.length,
-        photoResults,
-        books: uniqueBooks
-      })
+    await doStub.completeBatch({
+      status: 'complete',
+      totalBooks: uniqueBooks.length,
+      photoResults,
+      books: uniqueBooks
     });
 
   } catch (error) {
     console.error('Batch processing error:', error);
-    await doStub.fetch(`http://do/update-batch`, {
-      method: 'POST',
-      body: JSON.stringify({
-        status: 'error',
-        error: error.message
-      })
-    });
+    await doStub.finishJob({ status: 'failed', currentStatus: 'Batch scan failed', error: error.message })
+      .catch(finishError => console.error(`Could not mark batch ${jobId} failed:`, finishError));
   }
 }
 
@@ -2,164 +2,547 @@
  * Book search handlers with KV caching
  * Migrated from books-api-proxy
  *
+ * Providers: Google Books + OpenLibrary in parallel, ISBNdb as fallback/field-filler.
+ *
  * Caching rules:
- * - Title search: 6 hour TTL (21600 seconds)
+ * - Title search: 6 hour TTL (21600 seconds) - ranked pool per query, paged per request
+ * - Provider chunks: 6 hour TTL (services/provider-fetch.js) - shared by every page and route
  * - ISBN search: 7 day TTL (604800 seconds) - ISBN data is stable
+ * - Author bibliography: 24 hour TTL (86400 seconds) - cached whole, sorted/paged per request
+ * - Subject works: 24 hour TTL (86400 seconds) - cached whole, sorted/paged per request
  */
 
 import * as externalApis from '../services/external-apis.js';
 import { getCached, setCached, generateCacheKey } from '../utils/cache.js';
+import { toGoogleBooksVolume } from '../utils/serializers.js';
+import { mergeWorks, missingFields, isSameWork } from '../services/merge.js';
+import { fetchProviderChunk } from '../services/provider-fetch.js';
+import { findCorrection } from '../services/query-correction.js';
+import { resolvePage, paginate } from '../utils/pagination.js';
+import { HttpError } from '../utils/response.js';
+import { rankWorks, popularityScore } from '../services/ranking.js';
+import { createAuthor } from '../types/canonical.js';
+import { normalizeAuthorName, similarity, normalizeTitle } from '../utils/text.js';
+import { resolveSubject } from '../utils/genres.js';
+import { parseISBN } from '../utils/isbn.js';
+import { mapWithConcurrency, concurrencyLimit } from '../utils/concurrency.js';
+
+/**
+ * Sort orders for author bibliographies and subject browsing
+ */
+export const BROWSE_SORTS = {
+  popularity: (a, b) => popularityScore(b.popularity) - popularityScore(a.popularity) || byYear(a, b),
+  year: (a, b) => byYear(a, b),
+  '-year': (a, b) => byYear(b, a),
+  title: (a, b) => normalizeTitle(a.title).localeCompare(normalizeTitle(b.title))
+};
+
+const AUTHOR_MATCH_THRESHOLD = 0.8;
+const TITLE_POOL_MAX_CHUNKS = 5; // up to 200 results per provider
+const ISBNDB_FILL_WINDOW = 20;
 
 /**
- * Search books by title with multi-provider orchestration
+ * Search works by title with multi-provider orchestration
+ * Core of both GET /v1/search/title and the legacy GET /search/title adapter.
+ *
+ * Results come from a cached, ranked pool that grows one provider chunk at a
+ * time as deeper pages are requested (see getTitlePool), so pages stay
+ * consistent and page 2 reuses page 1's provider fetches. When a provider
+ * finds nothing the query is corrected (services/query-correction.js) and the
+ * corrected query, reported as `didYouMean`, serves every page.
+ *
  * @param {string} title - Book title to search
  * @param {Object} options - Search options
- * @param {number} options.maxResults - Maximum results to return (default: 20)
+ * @param {number} options.maxResults - Page size (default: 20)
+ * @param {number} options.page - 1-based page number (default: 1)
+ * @param {string} options.cursor - nextCursor from a previous page (overrides page)
+ * @param {string} options.language - Preferred language for ranking (default: 'en')
+ * @param {boolean} options.explain - Include each work's scoreBreakdown (default: false)
  * @param {Object} env - Worker environment bindings
  * @param {Object} ctx - Execution context
- * @returns {Promise<Object>} Search results in Google Books format
+ * @returns {Promise<Object>} { works, totalItems, pagination, didYouMean, provider, cached, responseTime }
  */
-export async function searchByTitle(title, options, env, ctx) {
-  const { maxResults = 20 } = options;
-  const cacheKey = generateCacheKey('search:title', { title: title.toLowerCase(), maxResults });
+export async function searchWorksByTitle(title, options, env, ctx) {
+  const { maxResults = 20, page = 1, cursor, language = 'en', explain = false } = options;
+  const startTime = Date.now();
+  const window = resolvePage({ page, maxResults, cursor });
 
-  // Try cache first
+  const pool = await getTitlePool(title, language, window.offset + window.limit, env, ctx);
+
+  // Once the pool can't grow, its size is exact; before that the providers' own totals are the best estimate
+  const complete = pool.exhausted || pool.chunks >= TITLE_POOL_MAX_CHUNKS;
+  const totalItems = complete ? pool.works.length : Math.max(pool.works.length, pool.estimatedTotal);
+  const { items, pagination } = paginate(pool.works, window, { totalItems, complete });
+
+  return {
+    works: withExplanation(items, explain),
+    totalItems,
+    pagination,
+    didYouMean: pool.didYouMean,
+    provider: `orchestrated:${pool.providers.join('+')}`,
+    cached: pool.cached,
+    responseTime: Date.now() - startTime
+  };
+}
+
+/**
+ * Load the ranked works pool for a title query, growing it until it holds
+ * `needed` works (or the providers run out)
+ * @returns {Promise<Object>} { query, didYouMean, works, chunks, exhausted, estimatedTotal, providers, cached }
+ */
+async function getTitlePool(title, language, needed, env, ctx) {
+  const cacheKey = generateCacheKey('search:title:pool', { title, language });
+
+  // Try cache first (cached works always carry their scoreBreakdown)
   const cached = await getCached(cacheKey, env);
-  if (cached) {
-    return { ...cached, cached: true };
+  const pool = { query: title, didYouMean: null, works: [], chunks: 0, exhausted: false, estimatedTotal: 0, providers: [], ...cached };
+  let grew = false;
+
+  while (pool.works.length < needed && !pool.exhausted && pool.chunks < TITLE_POOL_MAX_CHUNKS) {
+    await appendTitleChunk(pool, title, language, env, ctx);
+    grew = true;
   }
 
-  const startTime = Date.now();
+  // Cache for 6 hours (nothing to cache when every provider failed)
+  if (grew && pool.providers.length > 0) {
+    const ttl = 6 * 60 * 60; // 21600 seconds
+    ctx.waitUntil(setCached(cacheKey, pool, ttl, env));
+  }
 
-  try {
-    // Search both Google Books and OpenLibrary in parallel
-    const searchPromises = [
-      externalApis.searchGoogleBooks(title, { maxResults }, env),
-      externalApis.searchOpenLibrary(title, { maxResults }, env)
-    ];
-
-    const results = await Promise.allSettled(searchPromises);
-
-    let finalItems = [];
-    let successfulProviders = [];
-
-    // Process Google Books results
-    if (results[0].status === 'fulfilled' && results[0].value.success) {
-      const googleData = results[0].value;
-      if (googleData.items && googleData.items.length > 0) {
-        finalItems = [...finalItems, ...googleData.items];
-        successfulProviders.push('google');
-      }
+  return { ...pool, cached: Boolean(cached) && !grew };
+}
+
+/**
+ * Fetch the next chunk from Google Books + OpenLibrary and append its new works
+ * Works already in the pool keep their position, so earlier pages never shift;
+ * each chunk is ranked on its own before being appended.
+ */
+async function appendTitleChunk(pool, title, language, env, ctx) {
+  const chunk = pool.chunks;
+
+  let results = await fetchTitleChunk(pool.query, chunk, env, ctx);
+
+  // A provider that found nothing usually means a typo - retry the whole search corrected
+  if (chunk === 0 && results.some(result => result.status === 'fulfilled' && result.value.success && result.value.works.length === 0)) {
+    const correction = await findCorrection(title, collectWorks(results, []).works, env);
+    if (correction) {
+      console.log(`[TitleSearch] A provider found nothing for "${title}", retrying as "${correction}"`);
+      pool.query = correction;
+      pool.didYouMean = correction;
+      results = await fetchTitleChunk(correction, chunk, env, ctx);
     }
+  }
+
+  const { works, successfulProviders } = collectWorks(results, ['google', 'openlibrary']);
+
+  // Merge the same book across providers (ISBN / title + author clustering)
+  let chunkWorks = mergeWorks(works);
 
-    // Process OpenLibrary results
-    if (results[1].status === 'fulfilled' && results[1].value.success) {
-      const olData = results[1].value;
-      if (olData.works && olData.works.length > 0) {
-        // Transform OpenLibrary works to Google Books format
-        const transformedItems = olData.works.map(work => transformWorkToGoogleFormat(work));
-        finalItems = [...finalItems, ...transformedItems];
-        successfulProviders.push('openlibrary');
-      }
+  // ISBNdb as fallback (nothing found) or field-filler (top results incomplete) - first chunk only
+  if (chunk === 0) {
+    const filled = await fillFromISBNdb(chunkWorks, ISBNDB_FILL_WINDOW,
+      () => externalApis.searchISBNdb(pool.query, '', env), env);
+    if (filled) {
+      chunkWorks = filled;
+      successfulProviders.push('isbndb');
     }
+  }
 
-    // Simple deduplication by title
-    const dedupedItems = deduplicateByTitle(finalItems);
+  chunkWorks = chunkWorks.filter(work => !pool.works.some(existing => isSameWork(existing, work)));
 
-    const responseData = {
-      kind: "books#volumes",
-      totalItems: dedupedItems.length,
-      items: dedupedItems.slice(0, maxResults),
-      provider: `orchestrated:${successfulProviders.join('+')}`,
-      cached: false,
-      responseTime: Date.now() - startTime
-    };
+  // Rank by title/author match, completeness, popularity and language
+  pool.works.push(...rankWorks(chunkWorks, { query: pool.query, language, explain: true }));
+  pool.chunks++;
 
-    // Cache for 6 hours
-    const ttl = 6 * 60 * 60; // 21600 seconds
-    ctx.waitUntil(setCached(cacheKey, responseData, ttl, env));
+  const providerResults = results
+    .filter(result => result.status === 'fulfilled' && result.value.success)
+    .map(result => result.value);
+  pool.exhausted = providerResults.every(result => result.exhausted);
+  pool.estimatedTotal = Math.max(pool.estimatedTotal, ...providerResults.map(result => result.totalResults));
+  pool.providers = [...new Set([...pool.providers, ...successfulProviders])];
+}
 
-    return responseData;
-  } catch (error) {
-    console.error(`Title search failed for "${title}":`, error);
-    return {
-      error: 'Title search failed',
-      details: error.message,
-      items: []
-    };
-  }
+/**
+ * One chunk of a title query from Google Books + OpenLibrary, in parallel
+ * @returns {Promise<PromiseSettledResult[]>} Settled results, Google Books first
+ */
+function fetchTitleChunk(query, chunk, env, ctx) {
+  return Promise.allSettled([
+    fetchProviderChunk('google-books', query, chunk, env, ctx),
+    fetchProviderChunk('openlibrary', query, chunk, env, ctx)
+  ]);
 }
 
 /**
- * Search books by ISBN with multi-provider orchestration
- * @param {string} isbn - ISBN-10 or ISBN-13
+ * Search works by ISBN with multi-provider orchestration
+ * Core of both GET /v1/search/isbn and the legacy GET /search/isbn adapter.
+ *
+ * Any ISBN spelling (hyphens, ISBN-10) is searched - and cached - as its
+ * canonical ISBN-13.
+ *
+ * @param {string} rawIsbn - ISBN-10 or ISBN-13, formatted or not
  * @param {Object} options - Search options
  * @param {number} options.maxResults - Maximum results to return (default: 1)
  * @param {Object} env - Worker environment bindings
  * @param {Object} ctx - Execution context
- * @returns {Promise<Object>} Book details in Google Books format
+ * @returns {Promise<Object>} { works, totalItems, provider, cached, responseTime }
+ * @throws {HttpError} 400 when the ISBN is malformed or fails its checksum
  */
-export async function searchByISBN(isbn, options, env, ctx) {
+export async function searchWorksByISBN(rawIsbn, options, env, ctx) {
   const { maxResults = 1 } = options;
-  const cacheKey = generateCacheKey('search:isbn', { isbn });
+  const parsed = parseISBN(rawIsbn);
+  if (!parsed.valid) {
+    throw new HttpError(400, `Invalid ISBN "${rawIsbn}": ${parsed.error}`, { isbn: rawIsbn, repaired: parsed.repaired });
+  }
+
+  const isbn = parsed.isbn13;
 
   // Try cache first
-  const cached = await getCached(cacheKey, env);
+  const cached = await getCached(isbnCacheKey(isbn), env);
   if (cached) {
-    return { ...cached, cached: true };
+    return { ...cached, works: cached.works.slice(0, maxResults), cached: true };
   }
 
   const startTime = Date.now();
+  const result = await fetchWorksByISBN(isbn, maxResults, env, ctx);
 
-  try {
-    // Search both Google Books and OpenLibrary in parallel
-    const searchPromises = [
-      externalApis.searchGoogleBooksByISBN(isbn, env),
-      externalApis.searchOpenLibrary(isbn, { maxResults, isbn }, env)
-    ];
-
-    const results = await Promise.allSettled(searchPromises);
-
-    let finalItems = [];
-    let successfulProviders = [];
-
-    // Process Google Books results
-    if (results[0].status === 'fulfilled' && results[0].value.success) {
-      const googleData = results[0].value;
-      if (googleData.items && googleData.items.length > 0) {
-        finalItems = [...finalItems, ...googleData.items];
-        successfulProviders.push('google');
-      }
+  return {
+    works: result ? result.works.slice(0, maxResults) : [],
+    totalItems: result ? result.totalItems : 0,
+    provider: result ? result.provider : 'orchestrated:',
+    cached: false,
+    responseTime: Date.now() - startTime
+  };
+}
+
+/**
+ * Look up many ISBNs at once
+ * Core of POST /v1/books/lookup. Cached ISBNs are answered straight from KV;
+ * the rest are fetched from the providers with at most CONCURRENCY_LIMIT
+ * lookups in flight. Duplicate spellings of one ISBN are fetched once.
+ *
+ * ISBNdb is not used here: its quota and rate-limit bookkeeping (about six
+ * subrequests and a 1s wait per call) would not fit a large batch into one
+ * request. Each uncached ISBN costs four subrequests (KV read, Google Books,
+ * OpenLibrary, KV write) - callers cap batches to fit (MAX_LOOKUP_ISBNS).
+ *
+ * @param {string[]} rawIsbns - ISBN-10s / ISBN-13s, formatted or not
+ * @param {Object} env - Worker environment bindings
+ * @param {Object} ctx - Execution context
+ * @param {Object} options - { buckets } - provider → token bucket (services/enrichment.js
+ *   providerBuckets) pacing the provider calls of long-running callers such as imports
+ * @returns {Promise<Object>} { results, summary } - `results` maps each input ISBN to
+ *   { status: 'found' | 'not_found' | 'error', isbn13, work, cached, error? };
+ *   summary found/notFound/errors count inputs, unique/cached count distinct ISBN-13s
+ */
+export async function lookupWorksByISBNs(rawIsbns, env, ctx, { buckets } = {}) {
+  const results = {};
+  const inputsByIsbn = new Map(); // canonical ISBN-13 → input spellings
+
+  for (const input of rawIsbns.map(String)) {
+    const parsed = parseISBN(input);
+    if (!parsed.valid) {
+      results[input] = { status: 'error', isbn13: null, work: null, cached: false, error: parsed.error, repaired: parsed.repaired };
+      continue;
     }
+    inputsByIsbn.set(parsed.isbn13, [...(inputsByIsbn.get(parsed.isbn13) || []), input]);
+  }
 
-    // Process OpenLibrary results
-    if (results[1].status === 'fulfilled' && results[1].value.success) {
-      const olData = results[1].value;
-      if (olData.works && olData.works.length > 0) {
-        const transformedItems = olData.works.map(work => transformWorkToGoogleFormat(work));
-        finalItems = [...finalItems, ...transformedItems];
-        successfulProviders.push('openlibrary');
-      }
+  const isbns = [...inputsByIsbn.keys()];
+  const cached = await Promise.all(isbns.map(isbn => getCached(isbnCacheKey(isbn), env)));
+  const misses = isbns.filter((_, i) => !cached[i]);
+
+  const fetched = await mapWithConcurrency(misses, concurrencyLimit(env), async (isbn) => {
+    try {
+      return await fetchWorksByISBN(isbn, 1, env, ctx, { isbndb: false, buckets });
+    } catch (error) {
+      console.error(`[BulkLookup] Lookup failed for ${isbn}:`, error);
+      return null;
     }
+  });
 
-    // Simple deduplication by ISBN
-    const dedupedItems = deduplicateByISBN(finalItems);
+  const lookups = new Map();
+  isbns.forEach((isbn, i) => {
+    if (cached[i]) lookups.set(isbn, { ...cached[i], cached: true });
+  });
+  misses.forEach((isbn, i) => lookups.set(isbn, fetched[i]));
+
+  for (const [isbn, inputs] of inputsByIsbn) {
+    const lookup = lookups.get(isbn);
+    const entry = !lookup
+      ? { status: 'error', isbn13: isbn, work: null, cached: false, error: 'All providers failed' }
+      : { status: lookup.works.length > 0 ? 'found' : 'not_found', isbn13: isbn, work: lookup.works[0] || null, cached: lookup.cached };
+    inputs.forEach(input => { results[input] = entry; });
+  }
 
-    const responseData = {
-      kind: "books#volumes",
-      totalItems: dedupedItems.length,
-      items: dedupedItems.slice(0, maxResults),
-      provider: `orchestrated:${successfulProviders.join('+')}`,
-      cached: false,
-      responseTime: Date.now() - startTime
-    };
+  const entries = Object.values(results);
+  return {
+    results,
+    summary: {
+      requested: rawIsbns.length,
+      unique: isbns.length,
+      found: entries.filter(entry => entry.status === 'found').length,
+      notFound: entries.filter(entry => entry.status === 'not_found').length,
+      errors: entries.filter(entry => entry.status === 'error').length,
+      cached: isbns.length - misses.length
+    }
+  };
+}
+
+/**
+ * Fetch one canonical ISBN-13 from Google Books + OpenLibrary (+ ISBNdb) and cache it
+ * @param {Object} options - { isbndb: false } skips the ISBNdb fill (bulk lookups);
+ *   { buckets } paces each provider call with its token bucket
+ * @returns {Promise<Object|null>} { works, totalItems, provider, cached, responseTime },
+ *   or null when every provider failed (nothing is cached then)
+ */
+async function fetchWorksByISBN(isbn, maxResults, env, ctx, { isbndb = true, buckets = {} } = {}) {
+  const startTime = Date.now();
+  const paced = async (provider, search) => {
+    await buckets[provider]?.take();
+    return search();
+  };
+
+  // Search both Google Books and OpenLibrary in parallel
+  const results = await Promise.allSettled([
+    paced('google-books', () => externalApis.searchGoogleBooksByISBN(isbn, env)),
+    paced('openlibrary', () => externalApis.searchOpenLibrary(isbn, { maxResults, isbn }, env))
+  ]);
+
+  const { works, successfulProviders } = collectWorks(results, ['google', 'openlibrary']);
+
+  // Merge the same book across providers (ISBN / title + author clustering)
+  let dedupedWorks = mergeWorks(works);
+
+  // ISBNdb as fallback (nothing found) or field-filler (result incomplete)
+  const skippedISBNdb = !isbndb && wantsISBNdb(dedupedWorks, 1);
+  const filled = isbndb
+    ? await fillFromISBNdb(dedupedWorks, 1, () => externalApis.searchISBNdbByISBN(isbn, env), env)
+    : null;
+  if (filled) {
+    dedupedWorks = filled;
+    successfulProviders.push('isbndb');
+  }
 
-    // Cache for 7 days (ISBN data is stable)
+  const answered = filled || results.some(result => result.status === 'fulfilled' && result.value.success);
+  if (!answered) {
+    return null;
+  }
+
+  const responseData = {
+    works: dedupedWorks,
+    totalItems: dedupedWorks.length,
+    provider: `orchestrated:${successfulProviders.join('+')}`,
+    cached: false,
+    responseTime: Date.now() - startTime
+  };
+
+  // Cache for 7 days (ISBN data is stable) - unless ISBNdb was skipped while it could
+  // have helped, so the next single-ISBN search still gets the chance to fill it
+  if (!skippedISBNdb) {
     const ttl = 7 * 24 * 60 * 60; // 604800 seconds
-    ctx.waitUntil(setCached(cacheKey, responseData, ttl, env));
+    ctx.waitUntil(setCached(isbnCacheKey(isbn), responseData, ttl, env));
+  }
+
+  return responseData;
+}
+
+function isbnCacheKey(isbn13) {
+  return generateCacheKey('search:isbn:works', { isbn: isbn13 });
+}
+
+/**
+ * Author bibliography with multi-provider orchestration
+ * Core of both GET /v1/search/author and the legacy GET /search/author adapter.
+ * The author is resolved via OpenLibrary; Google Books `inauthor:` results by
+ * the same author are merged in for editions, covers and descriptions.
+ *
+ * @param {string} author - Author name to search
+ * @param {Object} options - Search options
+ * @param {number} options.page - 1-based page number (default: 1)
+ * @param {number} options.maxResults - Works per page (default: 20)
+ * @param {string} options.cursor - nextCursor from a previous page (overrides page)
+ * @param {string} options.sort - Key of BROWSE_SORTS (default: 'popularity')
+ * @param {Object} env - Worker environment bindings
+ * @param {Object} ctx - Execution context
+ * @returns {Promise<Object>} { author, works, totalItems, pagination, provider, cached, responseTime }
+ */
+export async function searchWorksByAuthor(author, options, env, ctx) {
+  const { sort = 'popularity' } = options;
+  const startTime = Date.now();
+
+  const bibliography = await getAuthorBibliography(author, env, ctx);
+
+  return {
+    author: bibliography.author,
+    ...sortAndPaginate(bibliography.works, sort, resolvePage(options)),
+    provider: bibliography.provider,
+    cached: bibliography.cached,
+    responseTime: Date.now() - startTime
+  };
+}
+
+/**
+ * Fetch (or load from cache) an author's full merged bibliography
+ * @returns {Promise<Object>} { author, works, provider, cached }
+ */
+async function getAuthorBibliography(author, env, ctx) {
+  const cacheKey = generateCacheKey('search:author:works', { author });
+
+  // Try cache first
+  const cached = await getCached(cacheKey, env);
+  if (cached) {
+    return { ...cached, cached: true };
+  }
+
+  // Search OpenLibrary (author + bibliography) and Google Books in parallel
+  const results = await Promise.allSettled([
+    externalApis.getOpenLibraryAuthorWorks(author, env),
+    externalApis.searchGoogleBooks(`inauthor:"${author}"`, { maxResults: 40 }, env)
+  ]);
+
+  const olResult = results[0].status === 'fulfilled' && results[0].value.success ? results[0].value : null;
+  const authorName = olResult?.author.name || author;
+
+  // inauthor: is fuzzy - keep only works actually by this author
+  if (results[1].status === 'fulfilled' && results[1].value.success) {
+    results[1].value.works = results[1].value.works.filter(work => isByAuthor(work, authorName));
+  }
+
+  const { works, successfulProviders } = collectWorks(results, ['openlibrary', 'google']);
+  const mergedWorks = mergeWorks(works);
+
+  const bibliography = {
+    author: olResult?.author || (mergedWorks.length > 0 ? createAuthor({ name: authorName, source: 'google-books' }) : null),
+    works: mergedWorks,
+    provider: `orchestrated:${successfulProviders.join('+')}`,
+    cached: false
+  };
 
-    return responseData;
+  // Cache for 24 hours (nothing to cache when every provider failed)
+  if (successfulProviders.length > 0) {
+    const ttl = 24 * 60 * 60; // 86400 seconds
+    ctx.waitUntil(setCached(cacheKey, bibliography, ttl, env));
+  }
+
+  return bibliography;
+}
+
+/**
+ * Browse works for a subject/genre with multi-provider orchestration
+ * Core of both GET /v1/subjects/:slug and the legacy GET /search/subject adapter.
+ * OpenLibrary's subjects API is merged with a Google Books `subject:` query.
+ *
+ * @param {string} slug - Genre slug from utils/genres.js or any subject ('dragons')
+ * @param {Object} options - Search options
+ * @param {number} options.page - 1-based page number (default: 1)
+ * @param {number} options.maxResults - Works per page (default: 20)
+ * @param {string} options.cursor - nextCursor from a previous page (overrides page)
+ * @param {string} options.sort - Key of BROWSE_SORTS (default: 'popularity')
+ * @param {Object} env - Worker environment bindings
+ * @param {Object} ctx - Execution context
+ * @returns {Promise<Object>} { subject, works, totalItems, pagination, provider, cached, responseTime }
+ */
+export async function searchWorksBySubject(slug, options, env, ctx) {
+  const { sort = 'popularity' } = options;
+  const startTime = Date.now();
+
+  const subjectWorks = await getSubjectWorks(resolveSubject(slug), env, ctx);
+
+  return {
+    subject: subjectWorks.subject,
+    ...sortAndPaginate(subjectWorks.works, sort, resolvePage(options)),
+    provider: subjectWorks.provider,
+    cached: subjectWorks.cached,
+    responseTime: Date.now() - startTime
+  };
+}
+
+/**
+ * Fetch (or load from cache) the merged works pool for a subject
+ * @returns {Promise<Object>} { subject, works, provider, cached }
+ */
+async function getSubjectWorks(subject, env, ctx) {
+  const cacheKey = generateCacheKey('search:subject:works', { subject: subject.slug });
+
+  // Try cache first
+  const cached = await getCached(cacheKey, env);
+  if (cached) {
+    return { ...cached, cached: true };
+  }
+
+  // Search OpenLibrary subjects and Google Books categories in parallel
+  const results = await Promise.allSettled([
+    externalApis.getOpenLibrarySubject(subject.openLibrary, { limit: 100 }, env),
+    externalApis.searchGoogleBooks(`subject:"${subject.google}"`, { maxResults: 40 }, env)
+  ]);
+
+  const olResult = results[0].status === 'fulfilled' && results[0].value.success ? results[0].value : null;
+  const { works, successfulProviders } = collectWorks(results, ['openlibrary', 'google']);
+
+  const subjectWorks = {
+    subject: {
+      slug: subject.slug,
+      name: subject.name,
+      genre: subject.genre,
+      workCount: olResult?.subject.workCount ?? null
+    },
+    works: mergeWorks(works),
+    provider: `orchestrated:${successfulProviders.join('+')}`,
+    cached: false
+  };
+
+  // Cache for 24 hours (nothing to cache when every provider failed)
+  if (successfulProviders.length > 0) {
+    const ttl = 24 * 60 * 60; // 86400 seconds
+    ctx.waitUntil(setCached(cacheKey, subjectWorks, ttl, env));
+  }
+
+  return subjectWorks;
+}
+
+/**
+ * Search books by title (legacy Google Books-shaped response)
+ * Adapter over searchWorksByTitle for GET /search/title.
+ *
+ * @param {string} title - Book title to search
+ * @param {Object} options - Search options
+ * @param {number} options.maxResults - Maximum results to return (default: 20)
+ * @param {Object} env - Worker environment bindings
+ * @param {Object} ctx - Execution context
+ * @returns {Promise<Object>} Search results in Google Books format
+ */
+export async function searchByTitle(title, options, env, ctx) {
+  try {
+    return toVolumesResponse(await searchWorksByTitle(title, options, env, ctx));
+  } catch (error) {
+    if (error instanceof HttpError) throw error; // bad cursor → 400
+    console.error(`Title search failed for "${title}":`, error);
+    return {
+      error: 'Title search failed',
+      details: error.message,
+      items: []
+    };
+  }
+}
+
+/**
+ * Search books by ISBN (legacy Google Books-shaped response)
+ * Adapter over searchWorksByISBN for GET /search/isbn.
+ *
+ * @param {string} isbn - ISBN-10 or ISBN-13
+ * @param {Object} options - Search options
+ * @param {number} options.maxResults - Maximum results to return (default: 1)
+ * @param {Object} env - Worker environment bindings
+ * @param {Object} ctx - Execution context
+ * @returns {Promise<Object>} Book details in Google Books format
+ * @throws {HttpError} 400 when the ISBN is malformed or fails its checksum
+ */
+export async function searchByISBN(isbn, options, env, ctx) {
+  try {
+    return toVolumesResponse(await searchWorksByISBN(isbn, options, env, ctx));
   } catch (error) {
+    if (error instanceof HttpError) throw error; // malformed ISBN → 400
     console.error(`ISBN search failed for "${isbn}":`, error);
     return {
       error: 'ISBN search failed',
@@ -170,97 +553,151 @@ export async function searchByISBN(isbn, options, env, ctx) {
 }
 
 /**
- * Transform OpenLibrary work to Google Books format
- * Simplified version for api-worker
+ * Search books by author (legacy Google Books-shaped response)
+ * Adapter over searchWorksByAuthor for GET /search/author.
+ *
+ * @param {string} author - Author name to search
+ * @param {Object} options - Search options (page, maxResults, cursor, sort)
+ * @param {Object} env - Worker environment bindings
+ * @param {Object} ctx - Execution context
+ * @returns {Promise<Object>} Bibliography page in Google Books format
  */
-function transformWorkToGoogleFormat(work) {
-  const primaryEdition = work.editions && work.editions.length > 0 ? work.editions[0] : null;
-
-  // Handle different author formats
-  let authors = [];
-  if (work.authors) {
-    if (Array.isArray(work.authors)) {
-      authors = work.authors.map(a => {
-        if (typeof a === 'string') return a;
-        if (a && a.name) return a.name;
-        return String(a);
-      });
-    } else if (typeof work.authors === 'string') {
-      authors = [work.authors];
-    }
+export async function searchByAuthor(author, options, env, ctx) {
+  try {
+    return toVolumesResponse(await searchWorksByAuthor(author, options, env, ctx));
+  } catch (error) {
+    if (error instanceof HttpError) throw error; // bad cursor → 400
+    console.error(`Author search failed for "${author}":`, error);
+    return {
+      error: 'Author search failed',
+      details: error.message,
+      items: []
+    };
   }
+}
 
-  // If no authors in work, try edition
-  if (authors.length === 0 && primaryEdition?.authors) {
-    authors = Array.isArray(primaryEdition.authors)
-      ? primaryEdition.authors.map(a => typeof a === 'string' ? a : a.name || String(a))
-      : [String(primaryEdition.authors)];
+/**
+ * Browse books by subject (legacy Google Books-shaped response)
+ * Adapter over searchWorksBySubject for GET /search/subject.
+ *
+ * @param {string} subject - Subject or genre slug
+ * @param {Object} options - Search options (page, maxResults, cursor, sort)
+ * @param {Object} env - Worker environment bindings
+ * @param {Object} ctx - Execution context
+ * @returns {Promise<Object>} Subject page in Google Books format
+ */
+export async function searchBySubject(subject, options, env, ctx) {
+  try {
+    return toVolumesResponse(await searchWorksBySubject(subject, options, env, ctx));
+  } catch (error) {
+    if (error instanceof HttpError) throw error; // bad cursor → 400
+    console.error(`Subject search failed for "${subject}":`, error);
+    return {
+      error: 'Subject search failed',
+      details: error.message,
+      items: []
+    };
   }
+}
 
-  // Prepare industry identifiers
-  const industryIdentifiers = [];
-  if (primaryEdition?.isbn13) {
-    industryIdentifiers.push({ type: "ISBN_13", identifier: primaryEdition.isbn13 });
-  }
-  if (primaryEdition?.isbn10) {
-    industryIdentifiers.push({ type: "ISBN_10", identifier: primaryEdition.isbn10 });
+/**
+ * Gather works from settled provider searches
+ * @param {PromiseSettledResult[]} results - Settled provider calls, in provider order
+ * @param {string[]} providerNames - Provider label for each result
+ * @returns {{works: Object[], successfulProviders: string[]}}
+ */
+function collectWorks(results, providerNames) {
+  const works = [];
+  const successfulProviders = [];
+
+  results.forEach((result, i) => {
+    if (result.status === 'fulfilled' && result.value.success && result.value.works?.length > 0) {
+      works.push(...result.value.works);
+      successfulProviders.push(providerNames[i]);
+    }
+  });
+
+  return { works, successfulProviders };
+}
+
+/**
+ * Ask ISBNdb when Google Books + OpenLibrary came back empty or incomplete
+ * ISBNdb is rate limited (1 req/s) and metered, so it is called at most once
+ * per search and only when it can add something.
+ *
+ * @param {Object[]} works - Merged works from the other providers
+ * @param {number} window - How many leading results must be complete
+ * @param {Function} search - () => Promise<ISBNdb works result>
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<Object[]|null>} Re-merged works, or null when ISBNdb was not used
+ */
+async function fillFromISBNdb(works, window, search, env) {
+  if (!wantsISBNdb(works, window)) return null;
+
+  if (!(await externalApis.isISBNdbAvailable(env))) {
+    console.log('ISBNdb unavailable (no key or daily quota used), skipping');
+    return null;
   }
 
-  const volumeInfo = {
-    title: work.title,
-    subtitle: work.subtitle || "",
-    authors: authors,
-    publisher: primaryEdition?.publisher || "",
-    publishedDate: work.firstPublicationYear ? work.firstPublicationYear.toString() : (primaryEdition?.publicationDate || ""),
-    description: work.description || primaryEdition?.description || "",
-    industryIdentifiers: industryIdentifiers,
-    pageCount: primaryEdition?.pageCount || 0,
-    categories: work.subjects || [],
-    imageLinks: primaryEdition?.coverImageURL ? {
-      thumbnail: primaryEdition.coverImageURL,
-      smallThumbnail: primaryEdition.coverImageURL
-    } : undefined
-  };
+  const result = await search();
+  if (!result.success || !result.works || result.works.length === 0) return null;
 
-  const volumeId = work.id ||
-    work.openLibraryWorkKey ||
-    `synthetic-${work.title.replace(/\s+/g, '-').toLowerCase()}`;
+  const merged = mergeWorks([...works, ...result.works]);
 
-  return {
-    kind: "books#volume",
-    id: volumeId,
-    volumeInfo: volumeInfo
-  };
+  // As a field-filler ISBNdb may only complete existing results, not add new ones
+  return works.length === 0 ? merged : merged.filter(work => work.sources.some(source => source !== 'isbndb'));
 }
 
 /**
- * Deduplicate items by title (case-insensitive)
+ * True when ISBNdb could add something: nothing was found, or a leading result is incomplete
  */
-function deduplicateByTitle(items) {
-  const seen = new Set();
-  return items.filter(item => {
-    const title = item.volumeInfo?.title?.toLowerCase() || '';
-    if (seen.has(title)) {
-      return false;
-    }
-    seen.add(title);
-    return true;
-  });
+function wantsISBNdb(works, window) {
+  return works.length === 0 || works.slice(0, window).some(work => missingFields(work).length > 0);
+}
+
+function isByAuthor(work, authorName) {
+  const target = normalizeAuthorName(authorName);
+  return work.authors.some(a => similarity(normalizeAuthorName(a.name), target) >= AUTHOR_MATCH_THRESHOLD);
 }
 
 /**
- * Deduplicate items by ISBN
+ * Sort a cached works pool and cut one page out of it
+ * @returns {{works: Object[], totalItems: number, pagination: Object}}
  */
-function deduplicateByISBN(items) {
-  const seen = new Set();
-  return items.filter(item => {
-    const identifiers = item.volumeInfo?.industryIdentifiers || [];
-    const isbns = identifiers.map(id => id.identifier).join(',');
-    if (!isbns) return true; // Keep items without ISBNs
-    if (seen.has(isbns)) {
-      return false;
-    }
-    seen.add(isbns);
-    return true;
-  });
+function sortAndPaginate(works, sort, window) {
+  const compare = Object.hasOwn(BROWSE_SORTS, sort) ? BROWSE_SORTS[sort] : BROWSE_SORTS.popularity;
+  const { items, pagination } = paginate([...works].sort(compare), window);
+
+  return { works: items, totalItems: works.length, pagination };
+}
+
+/**
+ * Oldest first; works without a year go last
+ */
+function byYear(a, b) {
+  return (a.firstPublicationYear ?? Infinity) - (b.firstPublicationYear ?? Infinity);
+}
+
+/**
+ * Keep or drop the ranking scoreBreakdown on each work
+ */
+function withExplanation(works, explain) {
+  return explain ? works : works.map(({ scoreBreakdown, ...work }) => work);
+}
+
+/**
+ * Convert a works search result to the legacy `books#volumes` response
+ * Paginated results also carry their `pagination` block, corrected searches their `didYouMean`.
+ */
+function toVolumesResponse(result) {
+  return {
+    kind: "books#volumes",
+    totalItems: result.totalItems,
+    items: result.works.map(work => toGoogleBooksVolume(work)),
+    ...(result.pagination && { pagination: result.pagination }),
+    ...(result.didYouMean && { didYouMean: result.didYouMean }),
+    provider: result.provider,
+    cached: result.cached,
+    responseTime: result.responseTime
+  };
 }
@@ -0,0 +1,80 @@
+/**
+ * Enrichment route handlers
+ * Extracted from the monolithic fetch() in index.js
+ */
+
+import * as enrichment from '../services/enrichment.js';
+import { jsonResponse, HttpError } from '../utils/response.js';
+
+/**
+ * POST /api/enrichment/start - Start batch enrichment with WebSocket progress
+ * Body: { jobId, workIds: string[] }
+ */
+export async function handleEnrichmentStart(req) {
+  const { env, ctx } = req;
+  const { jobId, workIds } = req.body;
+
+  // Validate request
+  if (!jobId || !workIds || !Array.isArray(workIds)) {
+    throw new HttpError(400, 'Invalid request: jobId and workIds (array) required');
+  }
+
+  if (workIds.length === 0) {
+    throw new HttpError(400, 'Invalid request: workIds array cannot be empty');
+  }
+
+  // Get DO stub for this job
+  const doId = env.PROGRESS_WEBSOCKET_DO.idFromName(jobId);
+  const doStub = env.PROGRESS_WEBSOCKET_DO.get(doId);
+
+  // Persist the job so the DO can resume it if this invocation is evicted
+  const job = await doStub.createJob({
+    jobId,
+    type: 'enrichment',
+    totalItems: workIds.length,
+    details: { enrichedCount: 0, errorCount: 0 },
+    input: { workIds }
+  });
+  if (job.error) {
+    throw new HttpError(409, `Enrichment job ${jobId} is already running`);
+  }
+
+  // Start enrichment in background (direct function call, NO RPC!)
+  ctx.waitUntil(enrichment.enrichBatch(jobId, workIds, env, doStub, { runId: job.runId }));
+
+  // Return 202 Accepted immediately
+  return jsonResponse({
+    jobId,
+    status: 'started',
+    totalBooks: workIds.length,
+    message: 'Enrichment job started. Connect to /ws/progress?jobId=' + jobId + ' for real-time updates.',
+    statusUrl: `/v1/jobs/${jobId}`
+  }, 202);
+}
+
+/**
+ * POST /api/enrichment/cancel - Cancel an in-flight enrichment job
+ * Body: { jobId }
+ */
+export async function handleEnrichmentCancel(req) {
+  const { env } = req;
+  const { jobId } = req.body;
+
+  // Validate request
+  if (!jobId) {
+    throw new HttpError(400, 'Invalid request: jobId required');
+  }
+
+  // Get DO stub for this job
+  const doId = env.PROGRESS_WEBSOCKET_DO.idFromName(jobId);
+  const doStub = env.PROGRESS_WEBSOCKET_DO.get(doId);
+
+  // Call cancelJob() on the Durable Object
+  await doStub.cancelJob("Canceled by iOS client during library reset");
+
+  return jsonResponse({
+    jobId,
+    status: 'canceled',
+    message: 'Enrichment job canceled successfully'
+  });
+}
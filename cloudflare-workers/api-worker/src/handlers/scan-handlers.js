@@ -0,0 +1,94 @@
+/**
+ * AI bookshelf scanner route handlers
+ * Extracted from the monolithic fetch() in index.js
+ */
+
+import * as aiScanner from '../services/ai-scanner.js';
+import { jsonResponse, HttpError } from '../utils/response.js';
+
+/**
+ * POST /api/scan-bookshelf?jobId={id} - AI bookshelf scanner with WebSocket progress
+ * Body: raw image bytes with Content-Type: image/*
+ */
+export async function handleScanBookshelf(req) {
+  const { request, env, ctx } = req;
+
+  // Get or generate jobId
+  const jobId = req.query.jobId || crypto.randomUUID();
+
+  // DIAGNOSTIC: Log all incoming headers
+  console.log(`[Diagnostic Layer 1: Main Router] === Incoming Request Headers for job ${jobId} ===`);
+  const aiProviderHeader = request.headers.get('X-AI-Provider');
+  console.log(`[Diagnostic Layer 1: Main Router] X-AI-Provider header: ${aiProviderHeader ? aiProviderHeader : 'NOT FOUND'}`);
+  console.log(`[Diagnostic Layer 1: Main Router] All headers:`, Object.fromEntries(request.headers.entries()));
+
+  // Validate content type
+  const contentType = request.headers.get('content-type') || '';
+  if (!contentType.startsWith('image/')) {
+    throw new HttpError(400, 'Invalid content type: image/* required');
+  }
+
+  // Read image data
+  const imageData = await request.arrayBuffer();
+
+  // Validate size (default 10MB max)
+  const maxSize = parseInt(env.MAX_SCAN_FILE_SIZE || '10485760');
+  if (imageData.byteLength > maxSize) {
+    throw new HttpError(413, 'Image too large', {
+      maxSize: maxSize,
+      receivedSize: imageData.byteLength
+    });
+  }
+
+  // Get DO stub for this job
+  const doId = env.PROGRESS_WEBSOCKET_DO.idFromName(jobId);
+  const doStub = env.PROGRESS_WEBSOCKET_DO.get(doId);
+
+  const job = await doStub.createJob({ jobId, type: 'scan', totalItems: 3 });
+  if (job.error) {
+    throw new HttpError(409, `Scan job ${jobId} is already running`);
+  }
+
+  // Start AI scan in background (direct function call, NO RPC!)
+  ctx.waitUntil(aiScanner.processBookshelfScan(jobId, imageData, request, env, doStub));
+
+  // Define stages metadata for iOS client (used for progress estimation)
+  const stages = [
+    { name: "Image Quality Analysis", typicalDuration: 3, progress: 0.1 },
+    { name: "AI Processing", typicalDuration: 25, progress: 0.5 },
+    { name: "Metadata Enrichment", typicalDuration: 12, progress: 1.0 }
+  ];
+
+  // Calculate estimated range based on total stage durations
+  const totalDuration = stages.reduce((sum, stage) => sum + stage.typicalDuration, 0);
+  const estimatedRange = [Math.floor(totalDuration * 0.8), Math.ceil(totalDuration * 1.2)];
+
+  // Return 202 Accepted immediately with stages metadata
+  return jsonResponse({
+    jobId,
+    status: 'started',
+    message: 'AI scan started. Connect to /ws/progress?jobId=' + jobId + ' for real-time updates.',
+    stages,
+    estimatedRange
+  }, 202);
+}
+
+/**
+ * POST /api/scan-bookshelf/cancel - Cancel batch processing
+ * Body: { jobId }
+ */
+export async function handleScanCancel(req) {
+  const { env } = req;
+  const { jobId } = req.body;
+
+  if (!jobId) {
+    throw new HttpError(400, 'jobId required');
+  }
+
+  // Call Durable Object to cancel batch
+  const doId = env.PROGRESS_WEBSOCKET_DO.idFromName(jobId);
+  const doStub = env.PROGRESS_WEBSOCKET_DO.get(doId);
+  const result = await doStub.cancelBatch();
+
+  return jsonResponse(result);
+}
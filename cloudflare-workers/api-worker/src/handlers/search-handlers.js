@@ -4,115 +4,160 @@
  */
 
 import * as externalApis from '../services/external-apis.js';
+import { toGoogleBooksVolume } from '../utils/serializers.js';
+import { rankWorks } from '../services/ranking.js';
+import { fetchProviderChunk, fetchProviderRange } from '../services/provider-fetch.js';
+import { findCorrection } from '../services/query-correction.js';
+import { resolvePage, paginate, pageInfo } from '../utils/pagination.js';
+import { HttpError } from '../utils/response.js';
 
 /**
- * Advanced search handler for multi-provider book search
- * Previously called via RPC from bookshelf-ai-worker
+ * Advanced multi-field search returning normalized works
+ * Core of POST /v1/search/advanced; handleAdvancedSearch adapts it to Google Books format.
+ *
+ * The first provider with results for the query (Google Books, then OpenLibrary,
+ * then ISBNdb) serves every page; provider fetches are cached in chunks
+ * (services/provider-fetch.js) and each chunk is ranked, so pages are stable.
+ * When no provider finds the title it is corrected (services/query-correction.js)
+ * and searched again; the correction is returned as `didYouMean`.
  *
  * @param {Object} searchParams - Search parameters
  * @param {string} searchParams.bookTitle - Book title to search
  * @param {string} searchParams.authorName - Author name to search
  * @param {Object} options - Search options
- * @param {number} options.maxResults - Maximum results to return (default: 1)
+ * @param {number} options.maxResults - Page size (default: 1)
+ * @param {number} options.page - 1-based page number (default: 1)
+ * @param {string} options.cursor - nextCursor from a previous page (overrides page)
+ * @param {Object} options.buckets - provider → token bucket (services/enrichment.js providerBuckets),
+ *   for batch callers that must stay within provider rate limits; uncached calls wait for a token
  * @param {Object} env - Worker environment bindings
- * @returns {Promise<Object>} Search results with items array (Google Books format)
+ * @param {Object} ctx - Execution context (optional)
+ * @returns {Promise<Object>} { works (ranked by relevance), totalItems, pagination, provider, didYouMean, responseTime }
  */
-export async function handleAdvancedSearch(searchParams, options = {}, env) {
+export async function advancedSearchWorks(searchParams, options = {}, env, ctx) {
   const { bookTitle, authorName } = searchParams;
-  const maxResults = options.maxResults || 1;
+  const { buckets = {} } = options;
+  const window = resolvePage({ ...options, maxResults: options.maxResults || 1 });
+  const startTime = Date.now();
+  const rank = (works) => rankWorks(works, { query: bookTitle || '', author: authorName || '' });
 
   console.log(`[AdvancedSearch] Searching for "${bookTitle}" by "${authorName}"`);
 
-  try {
-    // Try Google Books first (most reliable for enrichment)
-    const query = [bookTitle, authorName].filter(Boolean).join(' ');
-
-    const googleResult = await externalApis.searchGoogleBooks(query, { maxResults }, env);
-
-    if (googleResult.success && googleResult.works && googleResult.works.length > 0) {
-      // Convert normalized works back to Google Books volumeInfo format
-      // This maintains compatibility with the existing enrichment code
-      const items = googleResult.works.flatMap(work =>
-        work.editions.map(edition => ({
-          id: edition.googleBooksVolumeId || `synthetic-${edition.isbn13 || edition.isbn10}`,
-          volumeInfo: {
-            title: work.title,
-            subtitle: work.subtitle,
-            authors: work.authors.map(a => a.name),
-            publishedDate: edition.publicationDate || edition.publishDate,
-            publisher: edition.publisher,
-            pageCount: edition.pageCount || edition.pages,
-            categories: edition.genres || [],
-            description: edition.description,
-            imageLinks: edition.coverImageURL ? {
-              thumbnail: edition.coverImageURL,
-              smallThumbnail: edition.coverImageURL
-            } : undefined,
-            industryIdentifiers: [
-              edition.isbn13 ? { type: 'ISBN_13', identifier: edition.isbn13 } : null,
-              edition.isbn10 ? { type: 'ISBN_10', identifier: edition.isbn10 } : null
-            ].filter(Boolean),
-            previewLink: edition.previewLink,
-            infoLink: edition.infoLink
-          }
-        }))
-      );
+  let result = await searchProviders(bookTitle, authorName, window, env, ctx, buckets);
 
+  // Nothing anywhere usually means a misspelled title - retry once with a corrected one
+  let didYouMean = null;
+  if (!result && bookTitle) {
+    await buckets.openlibrary?.take(); // The correction searches OpenLibrary
+    didYouMean = await findCorrection(bookTitle, [], env);
+    if (didYouMean) {
+      console.log(`[AdvancedSearch] No results for "${bookTitle}", retrying as "${didYouMean}"`);
+      result = await searchProviders(didYouMean, authorName, window, env, ctx, buckets);
+    }
+  }
+
+  if (result) {
+    return { ...result, didYouMean, responseTime: Date.now() - startTime };
+  }
+
+  // Last resort: ISBNdb (rate limited + metered, so only when the free providers miss)
+  if (bookTitle && await externalApis.isISBNdbAvailable(env)) {
+    await buckets.isbndb?.take();
+    const isbndbResult = await externalApis.searchISBNdb(bookTitle, authorName || '', env);
+
+    if (isbndbResult.success && isbndbResult.works && isbndbResult.works.length > 0) {
+      const { items, pagination } = paginate(rank(isbndbResult.works), window);
       return {
-        success: true,
-        provider: 'google',
-        items: items.slice(0, maxResults),
-        cached: false
+        works: items,
+        totalItems: isbndbResult.works.length,
+        pagination,
+        provider: 'isbndb',
+        didYouMean: null,
+        responseTime: Date.now() - startTime
       };
     }
+  }
+
+  // No results from any provider
+  return {
+    works: [],
+    totalItems: 0,
+    pagination: pageInfo(window, 0, 0, false),
+    provider: 'none',
+    didYouMean: null,
+    responseTime: Date.now() - startTime
+  };
+}
 
-    // Fallback to OpenLibrary if Google Books fails
-    console.log(`[AdvancedSearch] Google Books returned no results, trying OpenLibrary...`);
-
-    const olResult = await externalApis.searchOpenLibrary(query, { maxResults }, env);
-
-    if (olResult.success && olResult.works && olResult.works.length > 0) {
-      // Convert OpenLibrary format to Google Books-compatible format
-      const items = olResult.works.flatMap(work =>
-        work.editions.map(edition => ({
-          id: work.externalIds?.openLibraryWorkId || `ol-${work.title.replace(/\s+/g, '-').toLowerCase()}`,
-          volumeInfo: {
-            title: work.title,
-            subtitle: work.subtitle,
-            authors: work.authors.map(a => a.name),
-            publishedDate: edition.publicationDate,
-            publisher: edition.publisher,
-            pageCount: edition.pageCount,
-            categories: work.subjects?.slice(0, 5) || [],
-            imageLinks: edition.coverImageURL ? {
-              thumbnail: edition.coverImageURL,
-              smallThumbnail: edition.coverImageURL
-            } : undefined,
-            industryIdentifiers: [
-              edition.isbn13 ? { type: 'ISBN_13', identifier: edition.isbn13 } : null,
-              edition.isbn10 ? { type: 'ISBN_10', identifier: edition.isbn10 } : null
-            ].filter(Boolean)
-          }
-        }))
-      );
+/**
+ * Page through the first provider with results for a query
+ * Google Books first (most reliable for enrichment), then OpenLibrary.
+ * @returns {Promise<Object|null>} { works, totalItems, pagination, provider }, or null when both came back empty
+ */
+async function searchProviders(bookTitle, authorName, window, env, ctx, buckets = {}) {
+  const query = [bookTitle, authorName].filter(Boolean).join(' ');
+  const rank = (works) => rankWorks(works, { query: bookTitle || '', author: authorName || '' });
+
+  for (const [provider, label] of [['google-books', 'google'], ['openlibrary', 'openlibrary']]) {
+    const firstChunk = await fetchProviderChunk(provider, query, 0, env, ctx, buckets[provider]);
+
+    if (firstChunk.success && firstChunk.works.length > 0) {
+      const range = await fetchProviderRange(provider, query, window.offset, window.limit, env, ctx, rank, buckets[provider]);
+      const works = range.success ? range.works : [];
 
       return {
-        success: true,
-        provider: 'openlibrary',
-        items: items.slice(0, maxResults),
-        cached: false
+        works,
+        totalItems: firstChunk.totalResults,
+        pagination: pageInfo(window, works.length, firstChunk.totalResults, Boolean(range.hasMore)),
+        provider: label
       };
     }
 
-    // No results from any provider
+    console.log(`[AdvancedSearch] ${provider} returned no results for "${query}", trying next provider...`);
+  }
+
+  return null;
+}
+
+/**
+ * Advanced search handler for multi-provider book search
+ * Previously called via RPC from bookshelf-ai-worker
+ *
+ * @param {Object} searchParams - Search parameters
+ * @param {string} searchParams.bookTitle - Book title to search
+ * @param {string} searchParams.authorName - Author name to search
+ * @param {Object} options - Search options
+ * @param {number} options.maxResults - Maximum results to return (default: 1)
+ * @param {number} options.page - 1-based page number (default: 1)
+ * @param {string} options.cursor - nextCursor from a previous page
+ * @param {Object} env - Worker environment bindings
+ * @param {Object} ctx - Execution context (optional)
+ * @returns {Promise<Object>} Search results with items array (Google Books format)
+ */
+export async function handleAdvancedSearch(searchParams, options = {}, env, ctx) {
+  const { bookTitle } = searchParams;
+  const maxResults = options.maxResults || 1;
+
+  try {
+    const { works, totalItems, pagination, provider, didYouMean } = await advancedSearchWorks(searchParams, options, env, ctx);
+
+    // One Google Books volume per edition - maintains compatibility with the existing enrichment code
+    const items = works.flatMap(work =>
+      work.editions.map(edition => toGoogleBooksVolume(work, edition))
+    );
+
     return {
       success: true,
-      provider: 'none',
-      items: [],
+      provider,
+      totalItems,
+      items: items.slice(0, maxResults),
+      pagination,
+      ...(didYouMean && { didYouMean }),
       cached: false
     };
 
   } catch (error) {
+    if (error instanceof HttpError) throw error; // bad cursor → 400
     console.error(`[AdvancedSearch] Error searching for "${bookTitle}":`, error);
     return {
       success: false,
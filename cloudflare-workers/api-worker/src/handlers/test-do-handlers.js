@@ -0,0 +1,67 @@
+/**
+ * Test endpoints for Durable Object batch state management
+ * Used by tests/batch-scan.test.js - not listed in /health
+ */
+
+import { jsonResponse, HttpError } from '../utils/response.js';
+
+function getDoStub(env, jobId) {
+  const doId = env.PROGRESS_WEBSOCKET_DO.idFromName(jobId);
+  return env.PROGRESS_WEBSOCKET_DO.get(doId);
+}
+
+/**
+ * POST /test/do/init-batch - Initialize batch job in Durable Object
+ */
+export async function handleInitBatch(req) {
+  const { jobId, totalPhotos, status } = req.body;
+  const result = await getDoStub(req.env, jobId).initBatch({ jobId, totalPhotos, status });
+  return jsonResponse(result);
+}
+
+/**
+ * GET /test/do/get-state - Get batch state from Durable Object
+ */
+export async function handleGetState(req) {
+  const state = await getDoStub(req.env, req.query.jobId).getState();
+
+  if (!state || Object.keys(state).length === 0) {
+    throw new HttpError(404, 'Job not found');
+  }
+
+  return jsonResponse(state);
+}
+
+/**
+ * POST /test/do/update-photo - Update photo status in Durable Object
+ */
+export async function handleUpdatePhoto(req) {
+  const { jobId, photoIndex, status, booksFound, error: photoError } = req.body;
+  const result = await getDoStub(req.env, jobId).updatePhoto({ photoIndex, status, booksFound, error: photoError });
+  return jsonResponse(result, result.error ? 404 : 200);
+}
+
+/**
+ * POST /test/do/complete-batch - Complete batch in Durable Object
+ */
+export async function handleCompleteBatch(req) {
+  const { jobId, status, totalBooks, photoResults, books } = req.body;
+  const result = await getDoStub(req.env, jobId).completeBatch({ status, totalBooks, photoResults, books });
+  return jsonResponse(result);
+}
+
+/**
+ * GET /test/do/is-canceled - Check if batch is canceled
+ */
+export async function handleIsCanceled(req) {
+  const result = await getDoStub(req.env, req.query.jobId).isBatchCanceled();
+  return jsonResponse(result);
+}
+
+/**
+ * POST /test/do/cancel-batch - Cancel batch in Durable Object
+ */
+export async function handleCancelBatch(req) {
+  const result = await getDoStub(req.env, req.body.jobId).cancelBatch();
+  return jsonResponse(result);
+}
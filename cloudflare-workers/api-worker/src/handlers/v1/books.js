@@ -0,0 +1,40 @@
+/**
+ * /v1 book lookup handlers
+ * Backed by lookupWorksByISBNs (handlers/book-search.js).
+ */
+
+import { lookupWorksByISBNs } from '../book-search.js';
+import { envelopeResponse } from '../../utils/envelope.js';
+import { HttpError } from '../../utils/response.js';
+
+// Each uncached ISBN costs 4 subrequests (see lookupWorksByISBNs): 200 x 4 = 800,
+// inside the 1000 per request with room for the envelope and exports' R2 writes
+export const MAX_LOOKUP_ISBNS = 200;
+
+/**
+ * POST /v1/books/lookup
+ * Body: { isbns: string[] } (up to MAX_LOOKUP_ISBNS)
+ * `data.results` maps every requested ISBN, as sent, to
+ * { status: 'found' | 'not_found' | 'error', isbn13, work, cached, error? }.
+ */
+export async function handleV1BooksLookup(req) {
+  const { isbns } = req.body;
+
+  if (!Array.isArray(isbns) || isbns.length === 0) {
+    throw new HttpError(400, 'Body must include a non-empty "isbns" array');
+  }
+  if (isbns.length > MAX_LOOKUP_ISBNS) {
+    throw new HttpError(400, `At most ${MAX_LOOKUP_ISBNS} ISBNs per request`, { maxIsbns: MAX_LOOKUP_ISBNS });
+  }
+  // Numbers are refused: 0441013597 would arrive as 441013597, a different (or no) ISBN
+  if (!isbns.every(isbn => typeof isbn === 'string')) {
+    throw new HttpError(400, 'Every ISBN must be a string');
+  }
+
+  const { results, summary } = await lookupWorksByISBNs(isbns, req.env, req.ctx);
+
+  return envelopeResponse(req, { results, summary }, {
+    provider: 'orchestrated',
+    cached: summary.cached === summary.unique && summary.unique > 0
+  });
+}
@@ -0,0 +1,140 @@
+/**
+ * /v1 library export handlers
+ * Serialization lives in services/export-formats.js, storage in services/library-export.js.
+ * Download links are signed with EXPORT_SIGNING_KEY (utils/signing.js) and expire.
+ */
+
+import { resolveExportEntries, readLibrarySnapshot, writeExportFiles, exportObjectKey } from '../../services/library-export.js';
+import { EXPORT_FORMATS } from '../../services/export-formats.js';
+import { envelopeResponse } from '../../utils/envelope.js';
+import { HttpError } from '../../utils/response.js';
+import { MAX_LOOKUP_ISBNS } from './books.js';
+import { signingSecret, signPath, verifyPath } from '../../utils/signing.js';
+
+export const MAX_EXPORT_ITEMS = MAX_LOOKUP_ISBNS; // Items are resolved by the bulk ISBN lookup
+export const DEFAULT_LINK_TTL = 24 * 60 * 60; // 24 hours
+export const MAX_LINK_TTL = 7 * 24 * 60 * 60; // 7 days
+
+const EXPORT_ID_PATTERN = /^[0-9a-f-]{36}$/;
+const SNAPSHOT_NAME_PATTERN = /^[\w-]{1,128}$/;
+
+/**
+ * POST /v1/exports
+ * Body: { formats: ['goodreads-csv' | 'json' | 'bibtex' | 'marc', ...],
+ *         items: [isbn | { isbn, userEntry }] (up to MAX_EXPORT_ITEMS) | snapshot: name,
+ *         expiresIn?: seconds (default 24h, max 7 days) }
+ * Responds 201 with one signed download URL per format.
+ */
+export async function handleV1ExportCreate(req) {
+  const { env, ctx } = req;
+  const { items, snapshot, expiresIn = DEFAULT_LINK_TTL } = req.body;
+  const formats = [...new Set([].concat(req.body.formats ?? req.body.format ?? 'json'))];
+
+  const unknown = formats.filter(format => !EXPORT_FORMATS[format]);
+  if (formats.length === 0 || unknown.length > 0) {
+    throw new HttpError(400, `Unknown export format: ${unknown.join(', ') || '(none)'}`, { formats: Object.keys(EXPORT_FORMATS) });
+  }
+  if ((items === undefined) === (snapshot === undefined)) {
+    throw new HttpError(400, 'Body must include either an "items" array or a "snapshot" name');
+  }
+  if (!Number.isInteger(expiresIn) || expiresIn < 60 || expiresIn > MAX_LINK_TTL) {
+    throw new HttpError(400, `"expiresIn" must be between 60 and ${MAX_LINK_TTL} seconds`);
+  }
+
+  const secret = await signingSecret(env);
+  if (!secret || !env.LIBRARY_DATA) {
+    throw new HttpError(503, 'Exports are not configured (EXPORT_SIGNING_KEY and LIBRARY_DATA required)');
+  }
+
+  const { entries, missing } = items !== undefined
+    ? await resolveItems(items, env, ctx)
+    : await resolveSnapshot(snapshot, env);
+
+  if (entries.length === 0) {
+    throw new HttpError(404, 'None of the requested books were found', { missing });
+  }
+
+  const exportId = crypto.randomUUID();
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const files = await writeExportFiles(exportId, entries, formats, env);
+
+  for (const file of files) {
+    const path = downloadPath(exportId, file.filename);
+    file.url = `${path}?expires=${expires}&signature=${await signPath(path, expires, secret)}`;
+  }
+
+  return envelopeResponse(req, {
+    exportId,
+    count: entries.length,
+    missing,
+    expiresAt: new Date(expires * 1000).toISOString(),
+    files
+  }, {}, 201);
+}
+
+/**
+ * GET /v1/exports/:exportId/:filename?expires={unix}&signature={hex}
+ * Streams the stored file as an attachment.
+ */
+export async function handleV1ExportDownload(req) {
+  const { env } = req;
+  const { exportId, filename } = req.params;
+  const { expires, signature } = req.query;
+
+  if (!EXPORT_ID_PATTERN.test(exportId) || !Object.values(EXPORT_FORMATS).some(format => format.filename === filename)) {
+    throw new HttpError(404, 'Export not found');
+  }
+
+  const secret = await signingSecret(env);
+  if (!secret || !env.LIBRARY_DATA) {
+    throw new HttpError(503, 'Exports are not configured (EXPORT_SIGNING_KEY and LIBRARY_DATA required)');
+  }
+
+  if (!(await verifyPath(downloadPath(exportId, filename), expires, signature, secret))) {
+    throw new HttpError(403, 'Invalid download signature');
+  }
+  if (expires * 1000 < Date.now()) {
+    throw new HttpError(410, 'Download link expired', { expiredAt: new Date(expires * 1000).toISOString() });
+  }
+
+  const object = await env.LIBRARY_DATA.get(exportObjectKey(exportId, filename));
+  if (!object) {
+    throw new HttpError(404, 'Export not found');
+  }
+
+  const headers = new Headers({ 'Cache-Control': 'private, no-store' });
+  object.writeHttpMetadata(headers);
+  headers.set('Content-Length', String(object.size));
+  return new Response(object.body, { status: 200, headers });
+}
+
+function downloadPath(exportId, filename) {
+  return `/v1/exports/${exportId}/${filename}`;
+}
+
+async function resolveItems(items, env, ctx) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new HttpError(400, '"items" must be a non-empty array');
+  }
+  if (items.length > MAX_EXPORT_ITEMS) {
+    throw new HttpError(400, `At most ${MAX_EXPORT_ITEMS} items per export`, { maxItems: MAX_EXPORT_ITEMS });
+  }
+  return resolveExportEntries(items, env, ctx);
+}
+
+async function resolveSnapshot(name, env) {
+  if (typeof name !== 'string' || !SNAPSHOT_NAME_PATTERN.test(name)) {
+    throw new HttpError(400, '"snapshot" must be a name of letters, digits, "_" or "-"');
+  }
+
+  let entries;
+  try {
+    entries = await readLibrarySnapshot(name, env);
+  } catch (error) {
+    throw new HttpError(400, `Invalid snapshot: ${error.message}`);
+  }
+  if (!entries) {
+    throw new HttpError(404, `Snapshot "${name}" not found`);
+  }
+  return { entries, missing: [] };
+}
@@ -0,0 +1,94 @@
+/**
+ * /v1 library import handlers
+ * Parsing lives in services/import-formats.js, resolution in services/library-import.js.
+ */
+
+import { parseLibraryFile, dedupeRows } from '../../services/import-formats.js';
+import { importLibrary } from '../../services/library-import.js';
+import { envelopeResponse } from '../../utils/envelope.js';
+import { HttpError } from '../../utils/response.js';
+
+export const MAX_IMPORT_BYTES = 5 * 1024 * 1024; // 5MB
+export const MAX_IMPORT_ROWS = 5000;
+
+const UPLOAD_TYPES = ['text/csv', 'text/tab-separated-values', 'text/plain', 'application/octet-stream', 'multipart/form-data'];
+
+/**
+ * POST /v1/imports?jobId={id}
+ * Body: a Goodreads, StoryGraph, LibraryThing or plain Title/Author/ISBN export,
+ * as raw CSV/TSV or a multipart form with a `file` field.
+ * Responds 202 once the file is parsed; resolved rows stream over /ws/progress?jobId={id}.
+ */
+export async function handleV1ImportCreate(req) {
+  const { request, env, ctx } = req;
+  const jobId = req.query.jobId || crypto.randomUUID();
+
+  const text = await readUpload(request);
+  const parsed = parseLibraryFile(text);
+
+  if (!parsed.format) {
+    throw new HttpError(400, 'Unrecognized file: expected a CSV or TSV export with a Title column');
+  }
+  if (parsed.rows.length > MAX_IMPORT_ROWS) {
+    throw new HttpError(413, `Too many rows (max ${MAX_IMPORT_ROWS})`, { maxRows: MAX_IMPORT_ROWS, receivedRows: parsed.rows.length });
+  }
+
+  const { rows, duplicates } = dedupeRows(parsed.rows);
+  if (rows.length === 0) {
+    throw new HttpError(400, 'No importable rows: every row lacks both a title and an ISBN', { skipped: parsed.skipped });
+  }
+
+  // Get DO stub for this job
+  const doId = env.PROGRESS_WEBSOCKET_DO.idFromName(jobId);
+  const doStub = env.PROGRESS_WEBSOCKET_DO.get(doId);
+
+  const job = await doStub.createJob({ jobId, type: 'import', totalItems: rows.length });
+  if (job.error) {
+    throw new HttpError(409, `Import job ${jobId} is already running`);
+  }
+
+  // Resolve rows in background; progress streams through the DO
+  ctx.waitUntil(importLibrary(jobId, { format: parsed.format, rows, duplicates, skipped: parsed.skipped }, env, ctx, doStub));
+
+  return envelopeResponse(req, {
+    jobId,
+    status: 'started',
+    format: parsed.format,
+    totalRows: rows.length,
+    duplicates,
+    skipped: parsed.skipped.length,
+    websocketUrl: `/ws/progress?jobId=${jobId}`
+  }, {}, 202);
+}
+
+/**
+ * Read the uploaded file as text
+ * @throws {HttpError} 400 for other content types or a missing file, 413 when too large
+ */
+async function readUpload(request) {
+  const contentType = (request.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  if (!UPLOAD_TYPES.includes(contentType)) {
+    throw new HttpError(400, 'Invalid content type: upload text/csv, text/tab-separated-values or multipart/form-data');
+  }
+
+  const declaredSize = parseInt(request.headers.get('content-length')) || 0;
+  if (declaredSize > MAX_IMPORT_BYTES) {
+    throw new HttpError(413, 'File too large', { maxSize: MAX_IMPORT_BYTES, receivedSize: declaredSize });
+  }
+
+  let text;
+  if (contentType === 'multipart/form-data') {
+    const file = (await request.formData()).get('file');
+    if (!file || typeof file === 'string') {
+      throw new HttpError(400, 'Missing "file" field in multipart upload');
+    }
+    text = await file.text();
+  } else {
+    text = await request.text();
+  }
+
+  if (text.length > MAX_IMPORT_BYTES) {
+    throw new HttpError(413, 'File too large', { maxSize: MAX_IMPORT_BYTES, receivedSize: text.length });
+  }
+  return text;
+}
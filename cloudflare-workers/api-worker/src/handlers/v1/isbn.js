@@ -0,0 +1,16 @@
+/**
+ * /v1 ISBN utility handlers
+ * Parsing and conversion live in utils/isbn.js.
+ */
+
+import { parseISBN } from '../../utils/isbn.js';
+import { envelopeResponse } from '../../utils/envelope.js';
+
+/**
+ * GET /v1/isbn/:isbn/validate
+ * Always 200: `data.valid` says whether the ISBN is usable, `data.error` why
+ * not, and `data.repaired` suggests a fix for a wrong check digit.
+ */
+export async function handleV1ValidateISBN(req) {
+  return envelopeResponse(req, parseISBN(req.params.isbn));
+}
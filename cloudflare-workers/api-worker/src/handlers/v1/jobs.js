@@ -0,0 +1,128 @@
+/**
+ * /v1 background job handlers
+ * Jobs are persisted by ProgressWebSocketDO (durable-objects/progress-socket.js),
+ * one DO per jobId, and survive the Worker invocation that started them.
+ * The job model and its lifecycle live in services/jobs.js.
+ */
+
+import { isActive } from '../../services/jobs.js';
+import { envelopeResponse } from '../../utils/envelope.js';
+import { HttpError } from '../../utils/response.js';
+
+// Longest a long-poll (GET /v1/jobs/:jobId?wait=N) holds the request
+export const MAX_POLL_WAIT_SECONDS = 30;
+
+/**
+ * GET /v1/jobs/:jobId[?since={seq}][&wait={seconds}]
+ * `data` is the job in the progress message schema { jobId, jobType, status, stage, progress,
+ * processedItems, totalItems, currentStatus, ...details } plus resumeCount, summary, error,
+ * createdAt, updatedAt, completedAt and `results`, the enrichment results checkpointed so far.
+ *
+ * Long-poll: with `since` or `wait`, data has `messages` - the WebSocket messages after
+ * `since` (default: the latest, i.e. only new ones) - and `seq`, the `since` for the next poll,
+ * instead of `results`: every poll re-reading the checkpointed results would resend them all.
+ * When there are none yet the request is held up to `wait` seconds (max 30) for the next one.
+ */
+export async function handleV1JobStatus(req) {
+  const { env } = req;
+  const { jobId } = req.params;
+  const { since, wait } = req.query;
+
+  if (wait !== undefined && (wait < 0 || wait > MAX_POLL_WAIT_SECONDS)) {
+    throw new HttpError(400, `"wait" must be between 0 and ${MAX_POLL_WAIT_SECONDS} seconds`);
+  }
+  if (since !== undefined && since < 0) {
+    throw new HttpError(400, '"since" must be a sequence number (0 or more)');
+  }
+
+  // Get DO stub for this job
+  const doId = env.PROGRESS_WEBSOCKET_DO.idFromName(jobId);
+  const doStub = env.PROGRESS_WEBSOCKET_DO.get(doId);
+
+  const job = await doStub.getJob();
+  if (!job) {
+    throw new HttpError(404, 'Job not found', { jobId });
+  }
+
+  if (since === undefined && wait === undefined) {
+    return envelopeResponse(req, { ...job, results: await doStub.getJobResults() });
+  }
+
+  const { messages, seq } = await doStub.pollEvents({ since, waitMs: (wait || 0) * 1000 });
+  // Re-read after waiting so the status matches the messages
+  const current = messages.length > 0 ? await doStub.getJob() : job;
+  return envelopeResponse(req, { ...current, messages, seq });
+}
+
+/**
+ * GET /v1/jobs/:jobId/events[?since={seq}]
+ * Server-Sent Events stream of the job's WebSocket messages, for clients that can't hold a
+ * WebSocket: one `id: {seq}` / `data: {message JSON}` event per message. Replays from the
+ * Last-Event-ID header an EventSource sends on reconnect, else `since` (default 0, everything
+ * kept), then streams live until the final message. Streams end after a minute to let the DO
+ * hibernate; EventSource reconnects on its own and resumes from Last-Event-ID.
+ */
+export async function handleV1JobEvents(req) {
+  const { env } = req;
+  const { jobId } = req.params;
+  const lastEventId = parseInt(req.request.headers.get('Last-Event-ID'), 10);
+  // Last-Event-ID wins: a reconnecting EventSource repeats the original URL's ?since
+  const since = lastEventId >= 0 ? lastEventId : (req.query.since ?? 0);
+
+  if (since < 0) {
+    throw new HttpError(400, '"since" must be a sequence number (0 or more)');
+  }
+
+  // Get DO stub for this job
+  const doId = env.PROGRESS_WEBSOCKET_DO.idFromName(jobId);
+  const doStub = env.PROGRESS_WEBSOCKET_DO.get(doId);
+
+  if (!(await doStub.getJob())) {
+    throw new HttpError(404, 'Job not found', { jobId });
+  }
+
+  const stream = await doStub.streamEvents({ since });
+  return new Response(stream, {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive'
+    }
+  });
+}
+
+/**
+ * GET /v1/jobs/:jobId/result
+ * The final result of any progress-tracked job (enrichment, bookshelf scan, import),
+ * kept for JOB_RESULT_RETENTION_HOURS after it ends:
+ * { jobId, status: 'complete' | 'canceled' | 'failed', completedAt, expiresAt, result, error }.
+ * Responds 202 { jobId, status } while the job is still queued, running or canceling.
+ */
+export async function handleV1JobResult(req) {
+  const { env } = req;
+  const { jobId } = req.params;
+
+  // Get DO stub for this job
+  const doId = env.PROGRESS_WEBSOCKET_DO.idFromName(jobId);
+  const doStub = env.PROGRESS_WEBSOCKET_DO.get(doId);
+
+  const stored = await doStub.getResult();
+  if (!stored) {
+    const job = await doStub.getJob();
+    if (job && isActive(job.status)) {
+      return envelopeResponse(req, { jobId, status: job.status }, {}, 202);
+    }
+    throw new HttpError(404, 'No result for this job (unknown, still running or expired)', { jobId });
+  }
+
+  const { result = null, error = null } = stored.message.data;
+  return envelopeResponse(req, {
+    jobId,
+    status: stored.status,
+    completedAt: new Date(stored.completedAt).toISOString(),
+    expiresAt: new Date(stored.expiresAt).toISOString(),
+    result,
+    error
+  });
+}
@@ -0,0 +1,116 @@
+/**
+ * /v1 search route handlers
+ * Return normalized works inside the standard response envelope (utils/envelope.js).
+ * The legacy /search/* routes are adapters over the same core functions.
+ */
+
+import { searchWorksByTitle, searchWorksByISBN, searchWorksByAuthor, BROWSE_SORTS } from '../book-search.js';
+import { advancedSearchWorks } from '../search-handlers.js';
+import { envelopeResponse } from '../../utils/envelope.js';
+import { HttpError } from '../../utils/response.js';
+import { assertPageOptions } from '../../utils/pagination.js';
+
+/**
+ * GET /v1/search/title?q={query}&maxResults={n}&page={n}&cursor={cursor}&lang={lang}&explain={bool}
+ * Works are ranked by relevance and carry a `score`; explain=true adds `scoreBreakdown`.
+ * `didYouMean` holds the corrected query when a misspelled one was searched instead.
+ */
+export async function handleV1SearchTitle(req) {
+  const { q, maxResults, page, cursor, lang, explain } = req.query;
+  assertPageOptions(req.query);
+
+  const result = await searchWorksByTitle(q, { maxResults, page, cursor, language: lang, explain }, req.env, req.ctx);
+
+  return envelopeResponse(req, {
+    works: result.works,
+    totalItems: result.totalItems,
+    pagination: result.pagination,
+    didYouMean: result.didYouMean
+  }, {
+    provider: result.provider,
+    cached: result.cached,
+    responseTime: result.responseTime
+  });
+}
+
+/**
+ * GET /v1/search/isbn?isbn={isbn}&maxResults={n}
+ */
+export async function handleV1SearchISBN(req) {
+  const { isbn, maxResults } = req.query;
+  const result = await searchWorksByISBN(isbn, { maxResults }, req.env, req.ctx);
+
+  return envelopeResponse(req, {
+    works: result.works,
+    totalItems: result.totalItems
+  }, {
+    provider: result.provider,
+    cached: result.cached,
+    responseTime: result.responseTime
+  });
+}
+
+/**
+ * GET /v1/search/author?q={author}&page={n}&maxResults={n}&cursor={cursor}&sort={popularity|year|-year|title}
+ * The author's bibliography, one page at a time.
+ */
+export async function handleV1SearchAuthor(req) {
+  const { q, page, maxResults, cursor, sort } = req.query;
+  assertBrowseOptions(req.query);
+
+  const result = await searchWorksByAuthor(q, { page, maxResults, cursor, sort }, req.env, req.ctx);
+
+  if (!result.author) {
+    throw new HttpError(404, `Author "${q}" not found`);
+  }
+
+  return envelopeResponse(req, {
+    author: result.author,
+    works: result.works,
+    totalItems: result.totalItems,
+    pagination: { ...result.pagination, sort }
+  }, {
+    provider: result.provider,
+    cached: result.cached,
+    responseTime: result.responseTime
+  });
+}
+
+/**
+ * POST /v1/search/advanced
+ * Body: { bookTitle?, authorName?, maxResults?, page?, cursor? }
+ */
+export async function handleV1SearchAdvanced(req) {
+  const { bookTitle, authorName, cursor } = req.body;
+
+  if (!bookTitle && !authorName) {
+    throw new HttpError(400, 'At least one search parameter required (bookTitle or authorName)');
+  }
+
+  const maxResults = req.body.maxResults || 20;
+  const page = req.body.page || 1;
+  assertPageOptions({ page, maxResults });
+
+  const result = await advancedSearchWorks({ bookTitle, authorName }, { maxResults, page, cursor }, req.env, req.ctx);
+
+  return envelopeResponse(req, {
+    works: result.works,
+    totalItems: result.totalItems,
+    pagination: result.pagination,
+    didYouMean: result.didYouMean
+  }, {
+    provider: result.provider,
+    responseTime: result.responseTime
+  });
+}
+
+/**
+ * Validate page/maxResults/sort for paginated browse routes (author, subject)
+ * @throws {HttpError} 400 on an unknown sort or out-of-range paging
+ */
+export function assertBrowseOptions({ page, maxResults, sort }) {
+  if (!Object.hasOwn(BROWSE_SORTS, sort)) {
+    throw new HttpError(400, `Invalid sort "${sort}"`, { validSorts: Object.keys(BROWSE_SORTS) });
+  }
+  assertPageOptions({ page, maxResults });
+}
@@ -0,0 +1,40 @@
+/**
+ * /v1 subject (genre) browse handlers
+ * Backed by searchWorksBySubject; the genre vocabulary lives in utils/genres.js.
+ */
+
+import { searchWorksBySubject } from '../book-search.js';
+import { assertBrowseOptions } from './search.js';
+import { GENRES } from '../../utils/genres.js';
+import { envelopeResponse } from '../../utils/envelope.js';
+
+/**
+ * GET /v1/subjects
+ * The genre vocabulary, for building a discovery screen.
+ */
+export async function handleV1Subjects(req) {
+  const subjects = Object.entries(GENRES).map(([slug, genre]) => ({ slug, name: genre.name }));
+  return envelopeResponse(req, { subjects, totalItems: subjects.length });
+}
+
+/**
+ * GET /v1/subjects/:slug?page={n}&maxResults={n}&cursor={cursor}&sort={popularity|year|-year|title}
+ * Works for a genre slug ('science-fiction') or any OpenLibrary subject ('dragons').
+ */
+export async function handleV1Subject(req) {
+  const { page, maxResults, cursor, sort } = req.query;
+  assertBrowseOptions(req.query);
+
+  const result = await searchWorksBySubject(req.params.slug, { page, maxResults, cursor, sort }, req.env, req.ctx);
+
+  return envelopeResponse(req, {
+    subject: result.subject,
+    works: result.works,
+    totalItems: result.totalItems,
+    pagination: { ...result.pagination, sort }
+  }, {
+    provider: result.provider,
+    cached: result.cached,
+    responseTime: result.responseTime
+  });
+}
@@ -8,15 +8,20 @@
 
 import { handleAdvancedSearch } from '../handlers/search-handlers.js';
 import { scanImageWithGemini } from '../providers/gemini-provider.js';
+import { reportJob } from './jobs.js';
 
 /**
- * Process bookshelf image scan with AI vision
+ * Process bookshelf image scan with AI vision as a 'scan' job (services/jobs.js):
+ * analyze → detect → enrich
  *
  * @param {string} jobId - Unique job identifier
  * @param {ArrayBuffer} imageData - Raw image data
  * @param {Request} request - Request object with X-AI-Provider header
  * @param {Object} env - Worker environment bindings
  * @param {Object} doStub - ProgressWebSocketDO stub for status updates
+ *
+ * The final message (result or error) is kept by the DO, so a client whose
+ * socket dropped can still fetch it from GET /v1/jobs/:jobId/result.
  */
 export async function processBookshelfScan(jobId, imageData, request, env, doStub) {
   const startTime = Date.now();
@@ -24,23 +29,26 @@ export async function processBookshelfScan(jobId, imageData, request, env, doStu
   try {
     console.log(`[AI Scanner] Starting scan for job ${jobId}, image size: ${imageData.byteLength} bytes`);
 
-    // Stage 1: Image quality analysis (10% progress)
-    await doStub.pushProgress({
-      progress: 0.1,
+    // Stage 1: Image quality analysis
+    await reportJob(doStub, {
+      jobId,
+      stage: 'analyze',
       processedItems: 0,
       totalItems: 3,
-      currentStatus: 'Analyzing image quality...',
-      jobId
+      currentStatus: 'Analyzing image quality...'
     });
-    console.log(`[AI Scanner] Progress pushed: 10% (image quality analysis)`);
+
+    if (await doStub.isCanceled()) {
+      await finishCanceled(jobId, doStub, []);
+      return;
+    }
 
     // Stage 2: AI processing with Gemini 2.0 Flash
-    await doStub.pushProgress({
-      progress: 0.3,
+    await reportJob(doStub, {
+      jobId,
+      stage: 'detect',
       processedItems: 1,
-      totalItems: 3,
-      currentStatus: 'Processing with Gemini AI...',
-      jobId
+      currentStatus: 'Processing with Gemini AI...'
     });
 
     console.log(`[AI Scanner] Job ${jobId} - Using Gemini 2.0 Flash`);
@@ -59,21 +67,25 @@ export async function processBookshelfScan(jobId, imageData, request, env, doStu
 
     console.log(`[AI Scanner] ${detectedBooks.length} books detected (${scanResult.metadata.processingTimeMs}ms)`);
 
-    await doStub.pushProgress({
-      progress: 0.5,
-      processedItems: 1,
-      totalItems: 3,
-      currentStatus: `Detected ${detectedBooks.length} books, enriching data...`,
+    await reportJob(doStub, {
       jobId,
-      detectedBooks
+      stage: 'detect',
+      stageProgress: 1,
+      currentStatus: `Detected ${detectedBooks.length} books, enriching data...`,
+      data: { detectedBooks }
     });
 
-    // Stage 3: Enrichment (70% → 100% progress)
+    // Stage 3: Enrichment
     // CRITICAL: Direct function call instead of RPC!
     const enrichedBooks = [];
     for (let i = 0; i < detectedBooks.length; i++) {
       const book = detectedBooks[i];
 
+      if (await doStub.isCanceled()) {
+        await finishCanceled(jobId, doStub, enrichedBooks);
+        return;
+      }
+
       try {
         // Direct function call - NO RPC, no circular dependency!
         const searchResults = await handleAdvancedSearch({
@@ -91,13 +103,12 @@ export async function processBookshelfScan(jobId, imageData, request, env, doStu
           }
         });
 
-        const progress = 0.7 + (0.25 * (i + 1) / detectedBooks.length);
-        await doStub.pushProgress({
-          progress,
+        await reportJob(doStub, {
+          jobId,
+          stage: 'enrich',
+          stageProgress: (i + 1) / detectedBooks.length,
           processedItems: 2,
-          totalItems: 3,
-          currentStatus: `Enriched ${i + 1}/${detectedBooks.length} books`,
-          jobId
+          currentStatus: `Enriched ${i + 1}/${detectedBooks.length} books`
         });
 
       } catch (error) {
@@ -119,13 +130,10 @@ export async function processBookshelfScan(jobId, imageData, request, env, doStu
 
     const processingTime = Date.now() - startTime;
 
-    // Stage 4: Complete (100%)
-    await doStub.pushProgress({
-      progress: 1.0,
-      processedItems: 3,
-      totalItems: 3,
+    // Complete: the DO stores the result, sends it as the final message and closes the WebSocket
+    await doStub.finishJob({
+      status: 'complete',
       currentStatus: 'Scan complete',
-      jobId,
       result: {
         totalDetected: detectedBooks.length,
         approved: approved.length,
@@ -135,7 +143,7 @@ export async function processBookshelfScan(jobId, imageData, request, env, doStu
           processingTime,
           enrichedCount: enrichedBooks.filter(b => b.enrichment?.status === 'success').length,
           timestamp: new Date().toISOString(),
-          modelUsed: providerParam  // Include model in metadata
+          modelUsed: scanResult.metadata.model  // Include model in metadata
         }
       }
     });
@@ -146,16 +154,19 @@ export async function processBookshelfScan(jobId, imageData, request, env, doStu
     console.error(`[AI Scanner] Scan failed for job ${jobId}:`, error);
 
     // Push error to WebSocket
-    await doStub.pushProgress({
-      progress: 0,
-      processedItems: 0,
-      totalItems: 3,
-      currentStatus: 'Scan failed',
-      jobId,
-      error: error.message
-    });
-  } finally {
-    // Close WebSocket connection
-    await doStub.closeConnection(1000, 'Scan complete');
+    await doStub.finishJob({ status: 'failed', currentStatus: 'Scan failed', error: error.message })
+      .catch(finishError => console.warn(`[AI Scanner] Could not mark job ${jobId} failed: ${finishError.message}`));
   }
 }
+
+/**
+ * End a scan the client canceled, keeping the books enriched so far
+ */
+async function finishCanceled(jobId, doStub, enrichedBooks) {
+  console.log(`[AI Scanner] Job ${jobId} canceled after ${enrichedBooks.length} books`);
+  await doStub.finishJob({
+    status: 'canceled',
+    currentStatus: 'Scan canceled by user',
+    result: { canceled: true, books: enrichedBooks }
+  });
+}
@@ -1,4 +1,10 @@
 import * as externalApis from './external-apis.js';
+import { mergeWorks, missingFields, isSameWork, completeness } from './merge.js';
+import { canonicalISBN } from '../utils/isbn.js';
+import { toGoogleBooksVolume } from '../utils/serializers.js';
+import { primaryEdition } from '../types/canonical.js';
+import { concurrencyLimit, createTokenBucket } from '../utils/concurrency.js';
+import { reportJob } from './jobs.js';
 
 /**
  * Book enrichment service
@@ -9,118 +15,166 @@ import * as externalApis from './external-apis.js';
  */
 
 /**
- * Enrich batch of works with progress updates via WebSocket
+ * Default provider budgets (requests per second) shared by all workers of a
+ * batch; override with PROVIDER_RATE_LIMITS ("google-books=10,openlibrary=5,isbndb=1").
+ */
+const DEFAULT_PROVIDER_RATES = {
+  'google-books': 10,
+  'openlibrary': 5,
+  'isbndb': 1
+};
+
+// Ask the DO about cancellation at most once per this many books or milliseconds
+const CANCEL_CHECK_EVERY_ITEMS = 10;
+const CANCEL_CHECK_EVERY_MS = 2000;
+
+// Persisted jobs save their results every this many books
+const CHECKPOINT_EVERY_ITEMS = 10;
+
+/**
+ * Enrich batch of works as an 'enrichment' job (services/jobs.js)
+ *
+ * Works are enriched by a pool of CONCURRENCY_LIMIT workers, with every
+ * provider call paced by that provider's token bucket. Results finish out of
+ * order but are reported to the DO in workIds order.
+ *
+ * Resumable jobs (a `runId` from ProgressWebSocketDO.createJob) checkpoint
+ * every CHECKPOINT_EVERY_ITEMS books; the DO resumes them from the last
+ * checkpoint by calling enrichBatch again with the stored cursor and results.
  *
  * @param {string} jobId - Job identifier for tracking
  * @param {string[]} workIds - Array of work IDs to enrich (ISBN or title+author)
  * @param {Object} env - Worker environment bindings
  * @param {Object} doStub - ProgressWebSocketDO stub for direct progress updates
+ * @param {Object} [resume] - { runId, cursor, enrichedWorks, errors } for persisted jobs
  * @returns {Promise<Object>} Enrichment result
  */
-export async function enrichBatch(jobId, workIds, env, doStub) {
+export async function enrichBatch(jobId, workIds, env, doStub, resume = {}) {
+  const { runId = null, cursor = 0 } = resume;
   const totalCount = workIds.length;
-  let processedCount = 0;
-  const enrichedWorks = [];
-  const errors = [];
+  const buckets = providerBuckets(env);
+  const shouldStop = batchedCancelCheck(jobId, doStub);
+  const outcomes = new Array(totalCount);
+  let next = cursor;
+  let processedCount = cursor;
+  const enrichedWorks = [...(resume.enrichedWorks || [])];
+  const errors = [...(resume.errors || [])];
+
+  const notify = (update) => reportJob(doStub, {
+    jobId,
+    runId,
+    stage: 'enrich',
+    stageProgress: processedCount / totalCount,
+    processedItems: processedCount,
+    totalItems: totalCount,
+    ...update
+  });
+
+  // Persist results reported since the last checkpoint; a superseded run stops
+  let saved = { works: enrichedWorks.length, errors: errors.length, cursor };
+  let superseded = false;
+  const checkpoint = async () => {
+    if (!runId || superseded || processedCount === saved.cursor) return;
+    const fresh = { enrichedWorks: enrichedWorks.slice(saved.works), errors: errors.slice(saved.errors) };
+    saved = { works: enrichedWorks.length, errors: errors.length, cursor: processedCount };
+    try {
+      await doStub.saveCheckpoint({ runId, cursor: processedCount, ...fresh });
+    } catch (error) {
+      console.warn(`[${jobId}] Checkpoint rejected, stopping this run: ${error.message}`);
+      superseded = true;
+    }
+  };
+
+  // Report finished works strictly in workIds order
+  let reported = cursor;
+  let reporting = Promise.resolve();
+  const report = () => {
+    reporting = reporting.then(async () => {
+      while (reported < totalCount && outcomes[reported]) {
+        const outcome = outcomes[reported++];
+        processedCount++;
+        if (outcome.error) {
+          errors.push({ workId: outcome.workId, error: outcome.error });
+        } else {
+          enrichedWorks.push(outcome.result);
+
+          // Direct progress update to DO (NO RPC!)
+          await notify({
+            currentStatus: `Enriched ${processedCount}/${totalCount} books`,
+            data: { currentWorkId: outcome.workId }
+          });
+        }
+
+        if (processedCount - saved.cursor >= CHECKPOINT_EVERY_ITEMS) {
+          await checkpoint();
+        }
+      }
+    });
+    return reporting;
+  };
 
   try {
     // Initial progress update
-    await doStub.pushProgress({
-      progress: 0,
-      processedItems: 0,
-      totalItems: totalCount,
-      currentStatus: `Starting enrichment for ${totalCount} books...`,
-      jobId
+    await notify({
+      currentStatus: cursor > 0
+        ? `Resuming enrichment at ${cursor}/${totalCount} books...`
+        : `Starting enrichment for ${totalCount} books...`
     });
 
-    // Process each work
-    for (const workId of workIds) {
-      // --- NEW CANCELLATION CHECK ---
-      // Before processing the next item, check if the DO has been canceled
-      let canceled = false;
-      try {
-        canceled = await doStub.isCanceled();
-      } catch (e) {
-        // An error here (e.g., "Job canceled by client") also means we should stop
-        console.warn(`[${jobId}] Stopping batch, DO stub threw: ${e.message}`);
-        canceled = true;
+    const worker = async () => {
+      while (next < totalCount && !superseded && !(await shouldStop())) {
+        const index = next++;
+        const workId = workIds[index];
+        try {
+          // Enrich single work using internal function call (NO RPC!)
+          outcomes[index] = { workId, result: await enrichWorkWithAPIs(workId, env, buckets) };
+        } catch (error) {
+          console.error(`Enrichment failed for ${workId}:`, error);
+          outcomes[index] = { workId, error: error.message };
+        }
+        await report();
       }
+    };
 
-      if (canceled) {
-        console.log(`[${jobId}] Cancellation detected. Stopping enrichment batch.`);
-        // Send cancellation status to client
-        await doStub.pushProgress({
-          progress: processedCount / totalCount,
-          processedItems: processedCount,
-          totalItems: totalCount,
-          currentStatus: 'Enrichment canceled by user',
-          jobId,
-          result: {
-            success: false,
-            canceled: true,
-            processedCount: processedCount,
-            totalCount: totalCount,
-            enrichedCount: enrichedWorks.length,
-            errorCount: errors.length
-          }
-        }).catch(() => {
-          // Ignore error - socket might already be closed
-          console.log(`[${jobId}] Could not send cancel status (socket closed)`);
-        });
-        // Break the loop to stop processing
-        break;
-      }
-      // --- END CANCELLATION CHECK ---
+    await Promise.all(Array.from({ length: Math.min(concurrencyLimit(env), totalCount - cursor) }, worker));
+    await reporting;
+    await checkpoint();
 
-      try {
-        // Enrich single work using internal function call (NO RPC!)
-        const result = await enrichWorkWithAPIs(workId, env);
-        enrichedWorks.push(result);
+    if (superseded) {
+      return { success: false, superseded: true, processedCount, totalCount };
+    }
 
-        processedCount++;
-        const progress = processedCount / totalCount;
-
-        // Direct progress update to DO (NO RPC!)
-        await doStub.pushProgress({
-          progress: progress,
-          processedItems: processedCount,
-          totalItems: totalCount,
-          currentStatus: `Enriched ${processedCount}/${totalCount} books`,
-          currentWorkId: workId,
-          jobId
-        });
-
-      } catch (error) {
-        console.error(`Enrichment failed for ${workId}:`, error);
-        errors.push({
-          workId,
-          error: error.message
-        });
-
-        // Continue processing remaining works
-        processedCount++;
-      }
+    const summary = {
+      success: !shouldStop.canceled,
+      ...(shouldStop.canceled && { canceled: true }),
+      processedCount: processedCount,
+      totalCount: totalCount,
+      enrichedCount: enrichedWorks.filter(work => work.enriched).length,
+      errorCount: errors.length
+    };
 
-      // Yield to event loop to avoid blocking
-      await new Promise(resolve => setTimeout(resolve, 0));
+    if (shouldStop.canceled) {
+      console.log(`[${jobId}] Cancellation detected. Stopped enrichment batch after ${processedCount} books.`);
+
+      // Send cancellation status to client
+      await doStub.finishJob({
+        runId,
+        status: 'canceled',
+        currentStatus: 'Enrichment canceled by user',
+        result: summary,
+        summary
+      });
+
+      return { ...summary, enrichedWorks, errors };
     }
 
-    // Final success update
-    await doStub.pushProgress({
-      progress: 1.0,
-      processedItems: processedCount,
-      totalItems: totalCount,
+    // Final success update - the DO closes the job's sockets after sending it
+    await doStub.finishJob({
+      runId,
+      status: 'complete',
       currentStatus: 'Enrichment complete',
-      jobId,
-      result: {
-        success: true,
-        processedCount: processedCount,
-        totalCount: totalCount,
-        enrichedCount: enrichedWorks.length,
-        errorCount: errors.length,
-        enrichedWorks: enrichedWorks,
-        errors: errors
-      }
+      result: { ...summary, enrichedWorks: enrichedWorks, errors: errors },
+      summary
     });
 
     return {
@@ -135,64 +189,163 @@ export async function enrichBatch(jobId, workIds, env, doStub) {
     console.error('Enrichment batch failed:', error);
 
     // Send error status
-    await doStub.pushProgress({
-      progress: processedCount / totalCount,
-      error: error.message,
-      currentStatus: 'Enrichment failed',
-      jobId
-    });
+    await doStub.finishJob({ runId, status: 'failed', currentStatus: 'Enrichment failed', error: error.message })
+      .catch(finishError => console.warn(`[${jobId}] Could not mark job failed: ${finishError.message}`));
 
     throw error;
+  }
+}
 
-  } finally {
-    // Close WebSocket connection when done
-    await doStub.closeConnection(1000, "Job complete");
+/**
+ * One token bucket per provider for a batch
+ * @param {Object} env - Worker environment bindings (PROVIDER_RATE_LIMITS)
+ * @returns {Object} provider → bucket
+ */
+export function providerBuckets(env) {
+  const rates = { ...DEFAULT_PROVIDER_RATES };
+  for (const pair of (env.PROVIDER_RATE_LIMITS || '').split(',')) {
+    const [provider, rate] = pair.split('=').map(part => part.trim());
+    if (provider && parseFloat(rate) > 0) rates[provider] = parseFloat(rate);
   }
+
+  return Object.fromEntries(Object.entries(rates).map(([provider, rate]) => [provider, createTokenBucket({ rate })]));
+}
+
+/**
+ * Cancellation check shared by all workers of a batch
+ * Asks the DO every CANCEL_CHECK_EVERY_ITEMS books or CANCEL_CHECK_EVERY_MS,
+ * whichever comes first; concurrent callers share one in-flight RPC.
+ * Once canceled (or the stub throws) it stays canceled - see `.canceled`.
+ */
+function batchedCancelCheck(jobId, doStub) {
+  let sinceCheck = CANCEL_CHECK_EVERY_ITEMS; // check before the first book
+  let lastCheck = 0;
+  let pending = null;
+
+  const shouldStop = async () => {
+    if (shouldStop.canceled) return true;
+
+    sinceCheck++;
+    if (!pending && sinceCheck < CANCEL_CHECK_EVERY_ITEMS && Date.now() - lastCheck < CANCEL_CHECK_EVERY_MS) {
+      return false;
+    }
+
+    if (!pending) {
+      sinceCheck = 0;
+      lastCheck = Date.now();
+      pending = doStub.isCanceled()
+        .catch(error => {
+          // An unreachable DO also means we should stop
+          console.warn(`[${jobId}] Stopping batch, DO stub threw: ${error.message}`);
+          return true;
+        })
+        .finally(() => { pending = null; });
+    }
+
+    shouldStop.canceled = (await pending) || shouldStop.canceled;
+    return shouldStop.canceled;
+  };
+  shouldStop.canceled = false;
+
+  return shouldStop;
 }
 
+/**
+ * Provider chain, in order. Each step is asked only while the record still
+ * lacks a key field (merge.js missingFields); ISBNdb is metered, so it is
+ * skipped when unavailable.
+ */
+const ENRICHMENT_CHAIN = [
+  {
+    provider: 'google-books',
+    byISBN: (isbn, env) => externalApis.searchGoogleBooksByISBN(isbn, env),
+    byQuery: (query, env) => externalApis.searchGoogleBooks(query, { maxResults: 5 }, env)
+  },
+  {
+    provider: 'openlibrary',
+    byISBN: (isbn, env) => externalApis.searchOpenLibrary(isbn, { maxResults: 5 }, env),
+    byQuery: (query, env) => externalApis.searchOpenLibrary(query, { maxResults: 5 }, env)
+  },
+  {
+    provider: 'isbndb',
+    isAvailable: (env) => externalApis.isISBNdbAvailable(env),
+    byISBN: (isbn, env) => externalApis.searchISBNdbByISBN(isbn, env),
+    byQuery: (query, env) => externalApis.searchISBNdb(query, '', env)
+  }
+];
+
 /**
  * Internal: Enrich single work using external APIs
+ * Walks ENRICHMENT_CHAIN, merging each provider's match into one canonical
+ * record (services/merge.js) until nothing key is missing.
  *
  * @param {string} workId - Work identifier (ISBN or title+author)
  * @param {Object} env - Worker environment bindings
- * @returns {Promise<Object>} Enrichment result with metadata
+ * @param {Object} buckets - provider → token bucket (providerBuckets)
+ * @returns {Promise<Object>} { workId, enriched, isISBN, work, data, fieldSources, completeness,
+ *   missingFields, providers: [{ provider, status: 'found' | 'empty' | 'error' | 'skipped', error? }],
+ *   timestamp } - data is the work as a Google Books volume, the shape clients read before `work`
  */
-async function enrichWorkWithAPIs(workId, env) {
-  try {
-    // Determine if workId is ISBN or title search
-    const isISBN = /^(97[89])?\d{9}[\dX]$/i.test(workId);
-
-    let enrichmentData;
-    if (isISBN) {
-      // Use ISBN search - direct function call (NO RPC!)
-      enrichmentData = await externalApis.searchGoogleBooksByISBN(workId, env);
-
-      // Fallback to other providers if Google Books fails
-      if (!enrichmentData || !enrichmentData.items || enrichmentData.items.length === 0) {
-        // Try other providers as fallback
-        console.log(`Google Books returned no results for ISBN ${workId}, trying alternatives...`);
-      }
-    } else {
-      // Use general search - direct function call (NO RPC!)
-      enrichmentData = await externalApis.searchGoogleBooks(workId, { maxResults: 5 }, env);
+async function enrichWorkWithAPIs(workId, env, buckets = {}) {
+  // Determine if workId is ISBN or title search
+  const isbn = canonicalISBN(workId);
+  const isISBN = Boolean(isbn);
+
+  let work = null;
+  const providers = [];
+
+  for (const step of ENRICHMENT_CHAIN) {
+    if (work && missingFields(work).length === 0) {
+      providers.push({ provider: step.provider, status: 'skipped' });
+      continue;
+    }
+    if (step.isAvailable && !(await step.isAvailable(env))) {
+      console.log(`[Enrichment] ${step.provider} unavailable, skipping for ${workId}`);
+      providers.push({ provider: step.provider, status: 'skipped' });
+      continue;
     }
 
-    return {
-      workId,
-      enriched: true,
-      data: enrichmentData,
-      isISBN,
-      timestamp: new Date().toISOString()
-    };
+    let result;
+    try {
+      await buckets[step.provider]?.take();
+      // Use ISBN search (canonical ISBN-13) or general search - direct function call (NO RPC!)
+      result = isISBN ? await step.byISBN(isbn, env) : await step.byQuery(workId, env);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
 
-  } catch (error) {
-    console.error(`enrichWorkWithAPIs failed for ${workId}:`, error);
+    if (!result.success) {
+      console.warn(`[Enrichment] ${step.provider} failed for ${workId}: ${result.error}`);
+      providers.push({ provider: step.provider, status: 'error', error: result.error });
+      continue;
+    }
 
-    return {
-      workId,
-      enriched: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    };
+    // Later providers only count when they describe the book already found
+    const match = (result.works || []).find(candidate => !work || isSameWork(work, candidate));
+    if (!match) {
+      if (!work) console.log(`[Enrichment] ${step.provider} returned no results for ${workId}, trying next provider`);
+      providers.push({ provider: step.provider, status: 'empty' });
+      continue;
+    }
+
+    work = work ? mergeWorks([work, match])[0] : match;
+    providers.push({ provider: step.provider, status: 'found' });
   }
+
+  const report = work ? completeness(work) : { fieldSources: {}, completeness: 0, missing: [] };
+  const failed = providers.filter(p => p.status === 'error');
+
+  return {
+    workId,
+    enriched: Boolean(work),
+    isISBN,
+    work,
+    data: work ? toGoogleBooksVolume(work, primaryEdition(work)) : null,
+    fieldSources: report.fieldSources,
+    completeness: report.completeness,
+    missingFields: report.missing,
+    providers,
+    ...(!work && failed.length > 0 && { error: failed.map(p => `${p.provider}: ${p.error}`).join('; ') }),
+    timestamp: new Date().toISOString()
+  };
 }
@@ -0,0 +1,215 @@
+/**
+ * Library export formats produced by POST /v1/exports
+ *
+ * Every serializer takes the same export entries: { work, edition, userEntry }
+ * where work is a canonical Work, edition the exported edition (or null) and
+ * userEntry the reader's history in the shape Goodreads imports produce
+ * (services/goodreads-import.js), or null.
+ */
+
+import { formatDelimited } from '../utils/csv.js';
+import { toISBN10 } from '../utils/isbn.js';
+import { statusToShelf } from './goodreads-import.js';
+
+/**
+ * name → { filename, contentType, serialize(entries, exportedAt) }
+ */
+export const EXPORT_FORMATS = {
+  'goodreads-csv': {
+    filename: 'library.csv',
+    contentType: 'text/csv; charset=utf-8',
+    serialize: toGoodreadsCSV
+  },
+  json: {
+    filename: 'library.json',
+    contentType: 'application/json',
+    serialize: toLibraryJSON
+  },
+  bibtex: {
+    filename: 'library.bib',
+    contentType: 'application/x-bibtex; charset=utf-8',
+    serialize: toBibTeX
+  },
+  marc: {
+    filename: 'library.mrk',
+    contentType: 'text/plain; charset=utf-8',
+    serialize: toMARC
+  }
+};
+
+// ============================================================================
+// Goodreads CSV
+// ============================================================================
+
+// The columns Goodreads' "Import Library" reads
+const GOODREADS_HEADERS = [
+  'Title', 'Author', 'Additional Authors', 'ISBN', 'ISBN13', 'My Rating', 'Publisher', 'Binding',
+  'Number of Pages', 'Year Published', 'Original Publication Year', 'Date Read', 'Date Added',
+  'Bookshelves', 'Exclusive Shelf', 'My Review', 'Read Count', 'Owned Copies'
+];
+
+/**
+ * Goodreads-compatible CSV: ISBNs Excel-quoted and dates as "2023/05/14", like Goodreads' own export
+ * @param {Object[]} entries - Export entries
+ * @returns {string} CSV
+ */
+export function toGoodreadsCSV(entries) {
+  const rows = entries.map(({ work, edition, userEntry }) => {
+    const authors = work.authors.map(author => author.name);
+    const isbn13 = edition?.isbn13 || null;
+    const exclusiveShelf = userEntry?.exclusiveShelf || statusToShelf(userEntry?.readingStatus);
+
+    return {
+      'Title': work.title,
+      'Author': authors[0] || '',
+      'Additional Authors': authors.slice(1).join(', '),
+      'ISBN': excelQuote(edition?.isbn10 || (isbn13 && toISBN10(isbn13))),
+      'ISBN13': excelQuote(isbn13),
+      'My Rating': userEntry?.rating || 0,
+      'Publisher': edition?.publisher,
+      'Binding': edition?.binding,
+      'Number of Pages': edition?.pageCount,
+      'Year Published': edition?.publicationYear,
+      'Original Publication Year': work.firstPublicationYear,
+      'Date Read': goodreadsDate(userEntry?.dateRead),
+      'Date Added': goodreadsDate(userEntry?.dateAdded),
+      'Bookshelves': [exclusiveShelf, ...(userEntry?.shelves || [])].join(', '),
+      'Exclusive Shelf': exclusiveShelf,
+      'My Review': userEntry?.review,
+      'Read Count': userEntry?.readCount ?? (exclusiveShelf === 'read' ? 1 : 0),
+      'Owned Copies': userEntry?.ownedCopies ?? 0
+    };
+  });
+
+  return formatDelimited(GOODREADS_HEADERS, rows);
+}
+
+function excelQuote(value) {
+  return `="${value || ''}"`;
+}
+
+function goodreadsDate(isoDate) {
+  return isoDate ? isoDate.replace(/-/g, '/') : '';
+}
+
+// ============================================================================
+// JSON
+// ============================================================================
+
+/**
+ * Full-fidelity JSON: canonical works with every edition, plus reading history
+ * @param {Object[]} entries - Export entries
+ * @param {string} exportedAt - ISO timestamp
+ * @returns {string} JSON document { format, version, exportedAt, count, entries }
+ */
+export function toLibraryJSON(entries, exportedAt) {
+  return JSON.stringify({
+    format: 'bookstrack-library',
+    version: 1,
+    exportedAt,
+    count: entries.length,
+    entries: entries.map(({ work, edition, userEntry }) => ({
+      work,
+      isbn13: edition?.isbn13 || null,
+      userEntry: userEntry || null
+    }))
+  }, null, 2);
+}
+
+// ============================================================================
+// BibTeX
+// ============================================================================
+
+/**
+ * BibTeX @book entries, keyed "<surname><year><first title word>" (a/b/... on collisions)
+ * @param {Object[]} entries - Export entries
+ * @returns {string} .bib file
+ */
+export function toBibTeX(entries) {
+  const usedKeys = new Map();
+
+  return entries.map(({ work, edition }) => {
+    const year = edition?.publicationYear || work.firstPublicationYear;
+    const baseKey = citationKey(work, year);
+    const uses = usedKeys.get(baseKey) || 0;
+    usedKeys.set(baseKey, uses + 1);
+    const key = uses === 0 ? baseKey : baseKey + String.fromCharCode(97 + ((uses - 1) % 26));
+
+    const title = work.subtitle ? `${work.title}: ${work.subtitle}` : work.title;
+    const fields = [
+      ['title', `{${bibtexEscape(title)}}`],
+      ['author', work.authors.map(author => bibtexEscape(author.name)).join(' and ')],
+      ['year', year],
+      ['publisher', edition?.publisher && bibtexEscape(edition.publisher)],
+      ['isbn', edition?.isbn13],
+      ['pagetotal', edition?.pageCount]
+    ].filter(([, value]) => value);
+
+    const body = fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n');
+    return `@book{${key},\n${body}\n}\n`;
+  }).join('\n');
+}
+
+function citationKey(work, year) {
+  const surname = (work.authors[0]?.name || 'anon').split(/\s+/).pop();
+  const word = work.title.split(/\s+/).find(w => !/^(the|a|an)$/i.test(w)) || work.title;
+  return `${asciiWord(surname)}${year || ''}${asciiWord(word)}` || 'book';
+}
+
+function asciiWord(value) {
+  return value.normalize('NFD').replace(/[^A-Za-z0-9]/g, '').toLowerCase();
+}
+
+function bibtexEscape(value) {
+  return String(value).replace(/[\\{}]/g, '').replace(/([&%$#_])/g, '\\$1');
+}
+
+// ============================================================================
+// MARC-lite
+// ============================================================================
+
+/**
+ * MARC-like records in MARCMaker mnemonic form (.mrk), one blank line between records.
+ * Covers the fields catalog tools read most: 020 ISBN, 100/700 authors, 245 title,
+ * 260 publication, 300 extent, 520 summary, 650 subjects. Indicators use "\" for blank.
+ * @param {Object[]} entries - Export entries
+ * @returns {string} .mrk file
+ */
+export function toMARC(entries) {
+  return entries.map(({ work, edition }) => {
+    const [mainAuthor, ...otherAuthors] = work.authors.map(author => invertName(author.name));
+    const year = edition?.publicationYear || work.firstPublicationYear;
+    const statement = work.authors.map(author => author.name).join(', ');
+
+    const fields = [
+      ['LDR', '00000nam a2200000 a 4500'],
+      ['001', edition?.isbn13 || work.externalIds.openLibraryWorkId],
+      edition?.isbn13 && ['020', `\\\\$a${edition.isbn13}`],
+      mainAuthor && ['100', `1\\$a${marcText(mainAuthor)}.`],
+      ['245', `${mainAuthor ? 1 : 0}0$a${marcText(work.title)}` +
+        (work.subtitle ? ` :$b${marcText(work.subtitle)}` : '') +
+        (statement ? ` /$c${marcText(statement)}.` : '.')],
+      (edition?.publisher || year) && ['260', '\\\\' +
+        [edition?.publisher && `$b${marcText(edition.publisher)}`, year && `$c${year}`].filter(Boolean).join(',') + '.'],
+      edition?.pageCount && ['300', `\\\\$a${edition.pageCount} pages.`],
+      work.description && ['520', `\\\\$a${marcText(work.description)}`],
+      ...work.subjects.map(subject => ['650', `\\0$a${marcText(subject)}.`]),
+      ...otherAuthors.map(name => ['700', `1\\$a${marcText(name)}.`])
+    ].filter(field => field && field[1]);
+
+    return fields.map(([tag, value]) => `=${tag}  ${value}`).join('\n') + '\n';
+  }).join('\n');
+}
+
+/**
+ * "Frank Herbert" → "Herbert, Frank"; single names and "Last, First" pass through
+ */
+function invertName(name) {
+  if (name.includes(',')) return name;
+  const parts = name.trim().split(/\s+/);
+  return parts.length > 1 ? `${parts.pop()}, ${parts.join(' ')}` : name;
+}
+
+function marcText(value) {
+  return String(value).replace(/\s+/g, ' ').replace(/\$/g, '{dollar}').replace(/[.\s]+$/, '');
+}
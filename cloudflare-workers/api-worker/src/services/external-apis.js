@@ -3,9 +3,13 @@
  * Migrated from external-apis-worker
  *
  * This service provides functions for searching and enriching book data
- * from multiple external providers.
+ * from multiple external providers. Every provider response is mapped into
+ * the canonical Work/Edition/Author DTOs from types/canonical.js.
  */
 
+import { createWork, createEdition, createAuthor } from '../types/canonical.js';
+import { normalizeGenres } from '../utils/genres.js';
+
 // ============================================================================
 // Google Books API
 // ============================================================================
@@ -27,7 +31,8 @@ export async function searchGoogleBooks(query, params = {}, env) {
     }
 
     const maxResults = params.maxResults || 20;
-    const searchUrl = `https://www.googleapis.com/books/v1/volumes?q=${encodeURIComponent(query)}&maxResults=${maxResults}&key=${apiKey}`;
+    const startIndex = params.startIndex || 0;
+    const searchUrl = `https://www.googleapis.com/books/v1/volumes?q=${encodeURIComponent(query)}&maxResults=${maxResults}&startIndex=${startIndex}&key=${apiKey}`;
 
     const response = await fetch(searchUrl, {
       headers: {
@@ -139,7 +144,7 @@ export async function searchGoogleBooksByISBN(isbn, env) {
 
 function normalizeGoogleBooksResponse(apiResponse) {
   if (!apiResponse.items || apiResponse.items.length === 0) {
-    return { works: [], authors: [] };
+    return { works: [], authors: [], totalResults: apiResponse.totalItems || 0 };
   }
 
   const worksMap = new Map();
@@ -151,60 +156,65 @@ function normalizeGoogleBooksResponse(apiResponse) {
       return;
     }
 
-    const authors = volumeInfo.authors || ['Unknown Author'];
+    try {
+      const authors = volumeInfo.authors || ['Unknown Author'];
+
+      const workKey = `${volumeInfo.title.toLowerCase()}-${authors[0].toLowerCase()}`;
+
+      if (!worksMap.has(workKey)) {
+        worksMap.set(workKey, createWork({
+          title: volumeInfo.title,
+          subtitle: volumeInfo.subtitle,
+          authors,
+          description: volumeInfo.description,
+          subjects: volumeInfo.categories,
+          firstPublicationYear: extractYear(volumeInfo.publishedDate),
+          popularity: {
+            ratingsCount: volumeInfo.ratingsCount,
+            averageRating: volumeInfo.averageRating
+          },
+          source: 'google-books'
+        }));
+      }
+
+      const work = worksMap.get(workKey);
 
-    const workKey = `${volumeInfo.title.toLowerCase()}-${authors[0].toLowerCase()}`;
+      const isbn13 = volumeInfo.industryIdentifiers?.find(id => id.type === 'ISBN_13')?.identifier;
+      const isbn10 = volumeInfo.industryIdentifiers?.find(id => id.type === 'ISBN_10')?.identifier;
 
-    if (!worksMap.has(workKey)) {
-      worksMap.set(workKey, {
+      work.editions.push(createEdition({
+        isbn13,
+        isbn10,
         title: volumeInfo.title,
         subtitle: volumeInfo.subtitle,
-        authors: authors.map(name => ({ name })),
-        editions: [],
-        firstPublishYear: extractYear(volumeInfo.publishedDate),
-        firstPublicationYear: extractYear(volumeInfo.publishedDate),
+        publisher: volumeInfo.publisher,
+        publicationDate: volumeInfo.publishedDate,
+        pageCount: volumeInfo.pageCount,
+        language: volumeInfo.language,
+        genres: normalizeGenres(volumeInfo.categories),
+        description: volumeInfo.description,
+        coverImageURL: volumeInfo.imageLinks?.thumbnail?.replace('http:', 'https:'),
+        previewLink: volumeInfo.previewLink,
+        infoLink: volumeInfo.infoLink,
+        externalIds: { googleBooksVolumeId: item.id },
+        source: 'google-books'
+      }));
+      work.externalIds.googleBooksVolumeIds.push(item.id);
+
+      authors.forEach(authorName => {
+        if (!authorsMap.has(authorName)) {
+          authorsMap.set(authorName, createAuthor({ name: authorName, source: 'google-books' }));
+        }
       });
+    } catch (error) {
+      console.warn(`Skipping invalid Google Books volume ${item.id}: ${error.message}`);
     }
-
-    const work = worksMap.get(workKey);
-
-    const isbn13 = volumeInfo.industryIdentifiers?.find(id => id.type === 'ISBN_13')?.identifier;
-    const isbn10 = volumeInfo.industryIdentifiers?.find(id => id.type === 'ISBN_10')?.identifier;
-
-    work.editions.push({
-      googleBooksVolumeId: item.id,
-      isbn13: isbn13,
-      isbn10: isbn10,
-      title: volumeInfo.title,
-      subtitle: volumeInfo.subtitle,
-      publisher: volumeInfo.publisher,
-      publishDate: volumeInfo.publishedDate,
-      publicationDate: volumeInfo.publishedDate,
-      publishYear: extractYear(volumeInfo.publishedDate),
-      pages: volumeInfo.pageCount,
-      pageCount: volumeInfo.pageCount,
-      language: volumeInfo.language,
-      genres: volumeInfo.categories || [],
-      description: volumeInfo.description,
-      coverImageURL: volumeInfo.imageLinks?.thumbnail?.replace('http:', 'https:'),
-      previewLink: volumeInfo.previewLink,
-      infoLink: volumeInfo.infoLink,
-      source: 'google-books',
-    });
-
-    authors.forEach(authorName => {
-      if (!authorsMap.has(authorName)) {
-        authorsMap.set(authorName, {
-          name: authorName,
-          source: 'google-books'
-        });
-      }
-    });
   });
 
   return {
     works: Array.from(worksMap.values()),
-    authors: Array.from(authorsMap.values())
+    authors: Array.from(authorsMap.values()),
+    totalResults: apiResponse.totalItems || 0
   };
 }
 
@@ -219,8 +229,9 @@ export async function searchOpenLibrary(query, params = {}, env) {
     console.log(`OpenLibrary general search for "${query}"`);
 
     const maxResults = params.maxResults || 20;
+    const offset = params.offset || 0;
 
-    const searchUrl = `https://openlibrary.org/search.json?q=${encodeURIComponent(query)}&limit=${maxResults}`;
+    const searchUrl = `https://openlibrary.org/search.json?q=${encodeURIComponent(query)}&limit=${maxResults}&offset=${offset}`;
     const response = await fetch(searchUrl, {
       headers: { 'User-Agent': OPENLIBRARY_USER_AGENT }
     });
@@ -245,25 +256,27 @@ export async function searchOpenLibrary(query, params = {}, env) {
   }
 }
 
-export async function getOpenLibraryAuthorWorks(authorName, env) {
+export async function getOpenLibraryAuthorWorks(authorName, env, params = {}) {
   try {
     console.log(`OpenLibrary getAuthorWorks("${authorName}")`);
 
-    const authorKey = await findAuthorKeyByName(authorName);
-    if (!authorKey) {
+    const authorDoc = await findAuthorByName(authorName);
+    if (!authorDoc) {
       return { success: false, error: 'Author not found in OpenLibrary' };
     }
 
-    const works = await getWorksByAuthorKey(authorKey);
+    const { works, totalResults } = await getWorksByAuthorKey(authorDoc.key, params.limit);
 
     const response = {
       success: true,
       provider: 'openlibrary',
-      author: {
-        name: authorName,
-        openLibraryKey: authorKey,
-      },
+      author: createAuthor({
+        name: authorDoc.name || authorName,
+        externalIds: { openLibraryAuthorId: authorDoc.key },
+        source: 'openlibrary'
+      }),
       works: works,
+      totalResults
     };
 
     return response;
@@ -274,6 +287,93 @@ export async function getOpenLibraryAuthorWorks(authorName, env) {
   }
 }
 
+/**
+ * Convert a getOpenLibraryAuthorWorks result to the legacy
+ * GET /external/openlibrary-author response ({ name, openLibraryKey } author,
+ * { title, openLibraryWorkKey, firstPublicationYear, editions: [] } works)
+ */
+export function toLegacyAuthorWorks(result) {
+  if (!result.success) return result;
+
+  return {
+    success: true,
+    provider: result.provider,
+    author: {
+      name: result.author.name,
+      openLibraryKey: result.author.externalIds.openLibraryAuthorId
+    },
+    works: result.works.map(work => ({
+      title: work.title,
+      openLibraryWorkKey: work.externalIds.openLibraryWorkId ? `/works/${work.externalIds.openLibraryWorkId}` : null,
+      firstPublicationYear: work.firstPublicationYear,
+      editions: []
+    }))
+  };
+}
+
+/**
+ * List works for an OpenLibrary subject (subjects API, sorted by edition count)
+ * @param {string} subject - OpenLibrary subject key, e.g. 'science_fiction'
+ * @param {Object} params - { limit, offset }
+ */
+export async function getOpenLibrarySubject(subject, params = {}, env) {
+  try {
+    console.log(`OpenLibrary getSubject("${subject}")`);
+
+    const limit = params.limit || 100;
+    const offset = params.offset || 0;
+    const url = `https://openlibrary.org/subjects/${encodeURIComponent(subject.toLowerCase())}.json?limit=${limit}&offset=${offset}`;
+    const response = await fetch(url, { headers: { 'User-Agent': OPENLIBRARY_USER_AGENT } });
+
+    if (!response.ok) {
+      throw new Error(`OpenLibrary subjects API failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    return {
+      success: true,
+      provider: 'openlibrary',
+      subject: { name: data.name || subject, workCount: data.work_count || 0 },
+      works: normalizeOpenLibrarySubjectWorks(data.works || []),
+      totalResults: data.work_count || 0
+    };
+
+  } catch (error) {
+    console.error(`Error in OpenLibrary subject "${subject}":`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+function normalizeOpenLibrarySubjectWorks(entries) {
+  return entries
+    .filter(entry => entry.title)
+    .flatMap(entry => {
+      try {
+        return [createWork({
+          title: entry.title,
+          authors: (entry.authors || []).map(author => ({
+            name: author.name,
+            externalIds: { openLibraryAuthorId: author.key?.replace('/authors/', '') }
+          })),
+          subjects: (entry.subject || []).slice(0, 20),
+          firstPublicationYear: entry.first_publish_year,
+          popularity: { editionCount: entry.edition_count },
+          externalIds: { openLibraryWorkId: extractWorkId(entry.key) },
+          editions: [{
+            coverImageURL: entry.cover_id ? `https://covers.openlibrary.org/b/id/${entry.cover_id}-L.jpg` : null,
+            genres: normalizeGenres(entry.subject),
+            externalIds: { openLibraryEditionId: entry.cover_edition_key }
+          }],
+          source: 'openlibrary'
+        })];
+      } catch (error) {
+        console.warn(`Skipping invalid OpenLibrary subject work ${entry.key}: ${error.message}`);
+        return [];
+      }
+    });
+}
+
 function normalizeOpenLibrarySearchResults(docs) {
   const worksMap = new Map();
 
@@ -289,43 +389,57 @@ function normalizeOpenLibrarySearchResults(docs) {
 
     const workKey = doc.key || `synthetic-${doc.title?.replace(/\s+/g, '-').toLowerCase()}`;
 
-    if (!worksMap.has(workKey)) {
-      const work = {
+    if (worksMap.has(workKey)) {
+      return;
+    }
+
+    try {
+      const work = createWork({
         title: doc.title || 'Unknown Title',
         subtitle: doc.subtitle,
-        authors: (doc.author_name || []).map(name => ({ name })),
+        authors: (doc.author_name || []).map((name, i) => ({
+          name,
+          externalIds: { openLibraryAuthorId: doc.author_key?.[i] }
+        })),
         firstPublicationYear: doc.first_publish_year,
         subjects: doc.subject || [],
+        popularity: {
+          ratingsCount: doc.ratings_count,
+          averageRating: doc.ratings_average,
+          editionCount: doc.edition_count,
+          readingLogCount: doc.readinglog_count
+        },
 
         externalIds: {
           openLibraryWorkId: isWork ? extractWorkId(doc.key) : null,
-          openLibraryEditionId: !isWork ? extractEditionId(doc.key) : null,
           goodreadsWorkIds: doc.id_goodreads || [],
           amazonASINs: doc.id_amazon || [],
           librarythingIds: doc.id_librarything || [],
           googleBooksVolumeIds: doc.id_google || [],
-          isbndbIds: [],
         },
 
         editions: [{
-          isbn10: doc.isbn?.[0],
+          isbn10: doc.isbn?.find(isbn => isbn.length === 10),
           isbn13: doc.isbn?.find(isbn => isbn.length === 13),
+          isbns: doc.isbn?.slice(0, 20) || [],
           publisher: doc.publisher?.[0],
           publicationDate: doc.publish_date?.[0],
           pageCount: doc.number_of_pages_median,
           language: doc.language?.[0],
           coverImageURL: doc.cover_i ? `https://covers.openlibrary.org/b/id/${doc.cover_i}-L.jpg` : null,
           externalIds: {
-            openLibraryEditionId: !isWork ? extractEditionId(doc.key) : null,
-            googleBooksVolumeIds: doc.id_google || [],
+            openLibraryEditionId: !isWork ? extractEditionId(doc.key) : (doc.cover_edition_key || null),
+            googleBooksVolumeId: doc.id_google?.[0],
             amazonASINs: doc.id_amazon || []
           }
         }],
 
         source: 'openlibrary'
-      };
+      });
 
       worksMap.set(workKey, work);
+    } catch (error) {
+      console.warn(`Skipping invalid OpenLibrary doc ${doc.key}: ${error.message}`);
     }
   });
 
@@ -344,28 +458,38 @@ function extractEditionId(key) {
   return match ? match[1] : null;
 }
 
-async function findAuthorKeyByName(authorName) {
+/**
+ * Resolve an author name to the best-matching OpenLibrary author
+ * @returns {Promise<{key: string, name: string}|null>}
+ */
+async function findAuthorByName(authorName) {
   const searchUrl = `https://openlibrary.org/search/authors.json?q=${encodeURIComponent(authorName)}&limit=1`;
   const response = await fetch(searchUrl, { headers: { 'User-Agent': OPENLIBRARY_USER_AGENT } });
   if (!response.ok) throw new Error('OpenLibrary author search API failed');
   const data = await response.json();
-  return data.docs && data.docs.length > 0 ? data.docs[0].key : null;
+  const doc = data.docs?.[0];
+  return doc ? { key: doc.key, name: doc.name } : null;
 }
 
-async function getWorksByAuthorKey(authorKey) {
-  const worksUrl = `https://openlibrary.org/authors/${authorKey}/works.json?limit=1000`;
+const AUTHOR_WORKS_LIMIT = 200;
+
+/**
+ * Fetch an author's works with edition data (ISBNs, covers, page counts)
+ * Uses the search API rather than /authors/{key}/works.json, which only has
+ * bare titles.
+ */
+async function getWorksByAuthorKey(authorKey, limit = AUTHOR_WORKS_LIMIT) {
+  const worksUrl = `https://openlibrary.org/search.json?q=${encodeURIComponent(`author_key:${authorKey}`)}&limit=${limit}`;
   const response = await fetch(worksUrl, { headers: { 'User-Agent': OPENLIBRARY_USER_AGENT } });
   if (!response.ok) throw new Error('OpenLibrary works fetch API failed');
   const data = await response.json();
 
-  console.log(`OpenLibrary returned ${data.entries?.length || 0} works for ${authorKey}`);
+  console.log(`OpenLibrary returned ${data.docs?.length || 0} of ${data.numFound || 0} works for ${authorKey}`);
 
-  return (data.entries || []).map(work => ({
-    title: work.title,
-    openLibraryWorkKey: work.key,
-    firstPublicationYear: work.first_publish_year,
-    editions: [],
-  }));
+  return {
+    works: normalizeOpenLibrarySearchResults(data.docs || []),
+    totalResults: data.numFound || 0
+  };
 }
 
 // ============================================================================
@@ -374,6 +498,8 @@ async function getWorksByAuthorKey(authorKey) {
 
 const RATE_LIMIT_KEY = 'isbndb_last_request';
 const RATE_LIMIT_INTERVAL = 1000;
+const QUOTA_KEY_PREFIX = 'isbndb_quota';
+const DEFAULT_DAILY_QUOTA = 5000;
 
 /**
  * Search ISBNdb for books by title and author using combined search endpoint
@@ -389,6 +515,7 @@ export async function searchISBNdb(title, authorName, env) {
       searchUrl += `&author=${encodeURIComponent(authorName)}`;
     }
 
+    await enforceQuota(env);
     await enforceRateLimit(env);
     const searchResponse = await fetchWithAuth(searchUrl, env);
 
@@ -396,35 +523,10 @@ export async function searchISBNdb(title, authorName, env) {
       return { success: true, works: [], totalResults: 0 };
     }
 
-    // Convert ISBNdb books to normalized work format
-    const works = searchResponse.books.map(book => ({
-      title: book.title,
-      subtitle: book.title_long !== book.title ? book.title_long : null,
-      authors: (book.authors || []).map(name => ({ name })),
-      firstPublicationYear: parseInt(book.date_published?.substring(0, 4), 10) || null,
-      subjects: normalizeGenres(book.subjects),
-
-      externalIds: {
-        openLibraryWorkId: null,
-        openLibraryEditionId: null,
-        goodreadsWorkIds: [],
-        amazonASINs: [],
-        librarythingIds: [],
-        googleBooksVolumeIds: [],
-        isbndbIds: [book.isbn13].filter(Boolean),
-      },
-
-      editions: [{
-        isbn10: book.isbn,
-        isbn13: book.isbn13,
-        publisher: book.publisher,
-        publicationDate: book.date_published,
-        binding: book.binding,
-        pages: book.pages,
-        coverImageURL: book.image,
-        synopsis: book.synopsis,
-      }].filter(e => e.isbn13), // Only include if has ISBN
-    }));
+    // Convert ISBNdb books to canonical works (only books with an ISBN-13)
+    const works = searchResponse.books
+      .filter(book => book.title && book.isbn13)
+      .map(book => normalizeISBNdbBook(book));
 
     return {
       success: true,
@@ -444,6 +546,7 @@ export async function getISBNdbEditionsForWork(title, authorName, env) {
     console.log(`ISBNdb getEditionsForWork ("${title}", "${authorName}")`);
     const searchUrl = `https://api2.isbndb.com/books/${encodeURIComponent(title)}?column=title&language=en&shouldMatchAll=1&pageSize=100`;
 
+    await enforceQuota(env);
     await enforceRateLimit(env);
     const searchResponse = await fetchWithAuth(searchUrl, env);
 
@@ -467,10 +570,44 @@ export async function getISBNdbEditionsForWork(title, authorName, env) {
   }
 }
 
+/**
+ * Look up a single ISBN in ISBNdb and return it as a canonical work
+ * A 404 from ISBNdb is a successful empty result, not an error.
+ */
+export async function searchISBNdbByISBN(isbn, env) {
+  const result = await getISBNdbBookByISBN(isbn, env);
+
+  if (!result.success) {
+    if (result.error?.includes('ISBNdb API error: 404')) {
+      return { success: true, provider: 'isbndb', works: [], totalResults: 0 };
+    }
+    return result;
+  }
+
+  const book = result.book;
+  const works = book?.title && book?.isbn13 ? [normalizeISBNdbBook(book)] : [];
+  return { success: true, provider: 'isbndb', works, totalResults: works.length };
+}
+
+/**
+ * True when ISBNdb can take another request today (key configured, quota left)
+ * Orchestrators check this before using ISBNdb as a fallback or field-filler.
+ */
+export async function isISBNdbAvailable(env) {
+  if (!env.ISBNDB_API_KEY) return false;
+
+  const kvBinding = env.KV_CACHE || env.CACHE;
+  if (!kvBinding) return true;
+
+  const used = parseInt(await kvBinding.get(quotaKey())) || 0;
+  return used < dailyQuota(env);
+}
+
 export async function getISBNdbBookByISBN(isbn, env) {
   try {
     console.log(`ISBNdb getBookByISBN("${isbn}")`);
     const url = `https://api2.isbndb.com/book/${isbn}?with_prices=0`;
+    await enforceQuota(env);
     await enforceRateLimit(env);
     const response = await fetchWithAuth(url, env);
     return { success: true, book: response.book };
@@ -521,19 +658,10 @@ function processAndDeduplicateEditions(books) {
     const year = parseInt(book.date_published, 10);
     if (!isNaN(year) && year > 2015) score += 5;
 
-    const currentEdition = {
-      isbn13: book.isbn13,
-      isbn10: book.isbn,
-      title: book.title,
-      publisher: book.publisher,
-      publishDate: book.date_published,
-      binding: book.binding,
-      pages: book.pages,
-      genres: normalizeGenres(book.subjects),
-      coverImageURL: book.image,
-      source: 'isbndb',
+    const currentEdition = createEdition({
+      ...isbndbEditionFields(book),
       qualityScore: score
-    };
+    });
 
     if (!editionMap.has(isbn13) || score > editionMap.get(isbn13).qualityScore) {
       editionMap.set(isbn13, currentEdition);
@@ -543,25 +671,44 @@ function processAndDeduplicateEditions(books) {
   return Array.from(editionMap.values());
 }
 
-function normalizeGenres(subjects) {
-  if (!subjects || subjects.length === 0) {
-    return [];
-  }
-
-  const genreBlacklist = new Set([
-    'fiction', 'history', 'biography & autobiography', 'juvenile fiction', 'social science'
-  ]);
-
-  const cleanedGenres = subjects
-    .map(s => s.split(' / ')[0].trim())
-    .filter(s => s.length > 2 && !genreBlacklist.has(s.toLowerCase()))
-    .map(s => s.charAt(0).toUpperCase() + s.slice(1));
-
-  if (cleanedGenres.length === 0 && subjects.some(s => s.toLowerCase().includes('juvenile fiction'))) {
-    return ['Young Adult'];
-  }
+/**
+ * Map an ISBNdb book to a canonical work with a single edition
+ */
+function normalizeISBNdbBook(book) {
+  return createWork({
+    title: book.title,
+    subtitle: book.title_long !== book.title ? book.title_long : null,
+    authors: book.authors || [],
+    description: book.synopsis,
+    firstPublicationYear: extractYear(book.date_published),
+    subjects: normalizeGenres(book.subjects),
+    externalIds: {
+      isbndbIds: [book.isbn13],
+    },
+    editions: [isbndbEditionFields(book)],
+    source: 'isbndb'
+  });
+}
 
-  return [...new Set(cleanedGenres)].slice(0, 4);
+/**
+ * Canonical edition fields from an ISBNdb book record
+ */
+function isbndbEditionFields(book) {
+  return {
+    isbn13: book.isbn13,
+    isbn10: book.isbn10 || (book.isbn?.length === 10 ? book.isbn : null),
+    title: book.title,
+    publisher: book.publisher,
+    publicationDate: book.date_published,
+    binding: book.binding,
+    pageCount: book.pages,
+    language: book.language,
+    description: book.synopsis,
+    genres: normalizeGenres(book.subjects),
+    coverImageURL: book.image,
+    externalIds: { isbndbId: book.isbn13 },
+    source: 'isbndb'
+  };
 }
 
 async function fetchWithAuth(url, env) {
@@ -581,6 +728,31 @@ async function fetchWithAuth(url, env) {
   return response.json();
 }
 
+/**
+ * Count this request against the ISBNdb daily quota (ISBNDB_DAILY_QUOTA)
+ * KV counters are not atomic, so the quota is approximate under concurrency.
+ * @throws {Error} When today's quota is used up
+ */
+async function enforceQuota(env) {
+  const kvBinding = env.KV_CACHE || env.CACHE;
+  if (!kvBinding) return;
+
+  const key = quotaKey();
+  const used = parseInt(await kvBinding.get(key)) || 0;
+  if (used >= dailyQuota(env)) {
+    throw new Error('ISBNdb daily quota exhausted');
+  }
+  await kvBinding.put(key, String(used + 1), { expirationTtl: 2 * 24 * 60 * 60 });
+}
+
+function quotaKey() {
+  return `${QUOTA_KEY_PREFIX}:${new Date().toISOString().slice(0, 10)}`;
+}
+
+function dailyQuota(env) {
+  return parseInt(env.ISBNDB_DAILY_QUOTA) || DEFAULT_DAILY_QUOTA;
+}
+
 async function enforceRateLimit(env) {
   // Use CACHE binding instead of KV_CACHE (unified naming)
   const kvBinding = env.KV_CACHE || env.CACHE;
@@ -606,6 +778,6 @@ async function enforceRateLimit(env) {
 
 function extractYear(dateString) {
   if (!dateString) return null;
-  const yearMatch = dateString.match(/(\d{4})/);
+  const yearMatch = String(dateString).match(/(\d{4})/);
   return yearMatch ? parseInt(yearMatch[1], 10) : null;
 }
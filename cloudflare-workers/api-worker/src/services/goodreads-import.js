@@ -0,0 +1,181 @@
+/**
+ * Goodreads "Export Library" CSV parser
+ *
+ * Goodreads exports carry the reader's history next to the book: shelves,
+ * ratings and dates. Each record becomes an import row { line, title, author,
+ * isbn13 } plus a `userEntry` holding that history, mapped onto the app's
+ * ReadingStatus values (UserLibraryEntry.swift).
+ *
+ * Quirks handled here:
+ * - ISBNs are Excel-quoted (`="0441013597"`, `=""` when missing)
+ * - "My Rating" is 0 for unrated books
+ * - Dates are "2023/05/14" (older exports sometimes "2023/05")
+ * - "Bookshelves" repeats the exclusive shelf for to-read / currently-reading
+ */
+
+import { parseDelimited } from '../utils/csv.js';
+import { canonicalISBN, toISBN10 } from '../utils/isbn.js';
+
+/**
+ * ReadingStatus raw values used by the iOS app
+ */
+export const READING_STATUS = {
+  WISHLIST: 'Wishlist',
+  TO_READ: 'TBR',
+  READING: 'Reading',
+  READ: 'Read',
+  ON_HOLD: 'On Hold',
+  DNF: 'DNF'
+};
+
+// Goodreads' built-in exclusive shelves
+const BUILT_IN_SHELVES = ['read', 'currently-reading', 'to-read'];
+
+// Shelf name → status, for built-in and popular custom exclusive shelves.
+// to-read maps to Wishlist to match ReadingStatus.from(string:) in the app.
+const SHELF_STATUS = {
+  'to-read': READING_STATUS.WISHLIST,
+  'want-to-read': READING_STATUS.WISHLIST,
+  'wishlist': READING_STATUS.WISHLIST,
+  'owned': READING_STATUS.TO_READ,
+  'owned-tbr': READING_STATUS.TO_READ,
+  'tbr': READING_STATUS.TO_READ,
+  'to-be-read': READING_STATUS.TO_READ,
+  'currently-reading': READING_STATUS.READING,
+  'reading': READING_STATUS.READING,
+  'read': READING_STATUS.READ,
+  'finished': READING_STATUS.READ,
+  'on-hold': READING_STATUS.ON_HOLD,
+  'paused': READING_STATUS.ON_HOLD,
+  'dnf': READING_STATUS.DNF,
+  'did-not-finish': READING_STATUS.DNF,
+  'abandoned': READING_STATUS.DNF
+};
+
+/**
+ * Parse a full Goodreads export
+ * @param {string} text - goodreads_library_export.csv contents
+ * @returns {{format: 'goodreads', rows: Object[], skipped: Object[]}} rows as from goodreadsRow;
+ *   skipped are { line, reason }
+ */
+export function parseGoodreadsExport(text) {
+  const { records } = parseDelimited(text, ',');
+  const rows = [];
+  const skipped = [];
+
+  for (const record of records) {
+    const row = goodreadsRow(record);
+    if (!row.title && !row.isbn13) {
+      skipped.push({ line: record._line, reason: 'No title or ISBN' });
+      continue;
+    }
+    rows.push(row);
+  }
+
+  return { format: 'goodreads', rows, skipped };
+}
+
+/**
+ * Map one Goodreads record to an import row
+ * @param {Object} record - Record from parseDelimited (keyed by Goodreads header)
+ * @returns {Object} { line, title, author, isbn13, userEntry } where userEntry is
+ *   { goodreadsId, readingStatus, exclusiveShelf, shelves, rating, dateRead, dateAdded,
+ *     readCount, ownedCopies, review, isbn10 }
+ */
+export function goodreadsRow(record) {
+  const isbn13 = canonicalISBN(unwrapExcelValue(record['ISBN13'])) ||
+    canonicalISBN(unwrapExcelValue(record['ISBN']));
+  const exclusiveShelf = (record['Exclusive Shelf'] || '').toLowerCase() || null;
+  const shelves = parseShelves(record['Bookshelves']);
+  const dateRead = parseGoodreadsDate(record['Date Read']);
+
+  return {
+    line: record._line,
+    title: record['Title'] || null,
+    author: record['Author'] || null,
+    isbn13,
+    userEntry: {
+      goodreadsId: record['Book Id'] || null,
+      readingStatus: shelfToStatus(exclusiveShelf, shelves, dateRead),
+      exclusiveShelf,
+      shelves: shelves.filter(shelf => shelf !== exclusiveShelf && !BUILT_IN_SHELVES.includes(shelf)),
+      rating: parseRating(record['My Rating']),
+      dateRead,
+      dateAdded: parseGoodreadsDate(record['Date Added']),
+      readCount: parseInt(record['Read Count']) || 0,
+      ownedCopies: parseInt(record['Owned Copies']) || 0,
+      review: record['My Review'] || null,
+      isbn10: isbn13 ? toISBN10(isbn13) : null
+    }
+  };
+}
+
+/**
+ * Unwrap Excel text-quoting: `="0441013597"` → "0441013597", `=""` → ""
+ * @param {string} value - Cell value
+ * @returns {string}
+ */
+export function unwrapExcelValue(value) {
+  if (!value) return '';
+  const match = String(value).trim().match(/^="(.*)"$/);
+  return match ? match[1] : String(value).trim();
+}
+
+/**
+ * Reading status from the exclusive shelf, falling back to the other shelves
+ * for custom exclusive shelves Goodreads users name themselves
+ * @param {string|null} exclusiveShelf - "read", "currently-reading", "to-read" or custom
+ * @param {string[]} shelves - All shelves on the book
+ * @param {string|null} dateRead - ISO date, a hint that an unknown shelf means finished
+ * @returns {string} READING_STATUS value
+ */
+export function shelfToStatus(exclusiveShelf, shelves = [], dateRead = null) {
+  const known = [exclusiveShelf, ...shelves].find(shelf => shelf && SHELF_STATUS[shelf]);
+  if (known) return SHELF_STATUS[known];
+  return dateRead ? READING_STATUS.READ : READING_STATUS.WISHLIST;
+}
+
+/**
+ * Exclusive shelf to export a reading status under (inverse of shelfToStatus)
+ * Statuses without a built-in shelf keep a custom exclusive shelf Goodreads imports as-is.
+ * @param {string|null} status - READING_STATUS value
+ * @returns {string} Shelf name
+ */
+export function statusToShelf(status) {
+  switch (status) {
+    case READING_STATUS.READ: return 'read';
+    case READING_STATUS.READING: return 'currently-reading';
+    case READING_STATUS.ON_HOLD: return 'on-hold';
+    case READING_STATUS.DNF: return 'dnf';
+    default: return 'to-read';
+  }
+}
+
+/**
+ * @param {string} value - "My Rating" (0-5, 0 = not rated)
+ * @returns {number|null} 1-5, or null when unrated
+ */
+export function parseRating(value) {
+  const rating = parseInt(value);
+  return rating >= 1 && rating <= 5 ? rating : null;
+}
+
+/**
+ * @param {string} value - Goodreads date ("2023/05/14", "2023/05" or "2023-05-14")
+ * @returns {string|null} ISO date ("2023-05-14", "2023-05"), or null when empty/unparseable
+ */
+export function parseGoodreadsDate(value) {
+  const match = (value || '').trim().match(/^(\d{4})[/-](\d{1,2})(?:[/-](\d{1,2}))?$/);
+  if (!match) return null;
+
+  const [, year, month, day] = match;
+  const parts = [year, month.padStart(2, '0'), day && day.padStart(2, '0')].filter(Boolean);
+  return parts.join('-');
+}
+
+function parseShelves(value) {
+  return (value || '')
+    .split(',')
+    .map(shelf => shelf.trim().toLowerCase())
+    .filter(Boolean);
+}
@@ -0,0 +1,164 @@
+/**
+ * Library export formats accepted by POST /v1/imports
+ *
+ * Each format is recognized from its header row and maps a CSV record to an
+ * import row { line, title, author, isbn13 }. Anything with a title column
+ * (e.g. the `Title,Author,ISBN-13` lists in personal-library-cache-warmer)
+ * falls back to the generic format.
+ */
+
+import { parseDelimited } from '../utils/csv.js';
+import { canonicalISBN } from '../utils/isbn.js';
+import { goodreadsRow } from './goodreads-import.js';
+import { normalizeTitle, normalizeAuthorName } from '../utils/text.js';
+
+/**
+ * name → { detect(has), title, author, authorForm?, isbns, readRecord? }
+ * Column names are matched case-insensitively; detection runs in this order.
+ * authorForm: 'list' ("Neil Gaiman, Terry Pratchett") or 'last-first' ("Herbert, Frank").
+ * readRecord: format-specific record → row mapper, used instead of the column lists.
+ */
+export const IMPORT_FORMATS = {
+  goodreads: {
+    detect: has => has('exclusive shelf') || (has('book id') && has('author l-f')),
+    title: ['Title'],
+    author: ['Author'],
+    isbns: ['ISBN13', 'ISBN'],
+    readRecord: goodreadsRow
+  },
+  storygraph: {
+    detect: has => has('read status') && has('isbn/uid'),
+    title: ['Title'],
+    author: ['Authors'],
+    authorForm: 'list',
+    isbns: ['ISBN/UID']
+  },
+  librarything: {
+    detect: has => has('primary author'),
+    title: ['Title'],
+    author: ['Primary Author'],
+    authorForm: 'last-first',
+    isbns: ['ISBNs', 'ISBN']
+  },
+  generic: {
+    detect: has => has('title') || has('book title'),
+    title: ['Title', 'Book Title', 'Name'],
+    author: ['Author', 'Authors', 'Author Name', 'Creator'],
+    isbns: ['ISBN13', 'ISBN-13', 'ISBN 13', 'ISBN', 'ISBN10', 'ISBN-10', 'EAN']
+  }
+};
+
+/**
+ * Pick the format whose header signature matches
+ * @param {string[]} headers - Header row
+ * @returns {string|null} Key of IMPORT_FORMATS, or null when no title column exists
+ */
+export function detectFormat(headers) {
+  const present = new Set(headers.map(header => header.toLowerCase()));
+  const has = (name) => present.has(name);
+  return Object.keys(IMPORT_FORMATS).find(name => IMPORT_FORMATS[name].detect(has)) || null;
+}
+
+/**
+ * Parse an uploaded library export into import rows
+ * @param {string} text - CSV or TSV file contents
+ * @returns {{format: string|null, rows: Object[], skipped: Object[]}} rows are
+ *   { line, title, author, isbn13 } (Goodreads rows add a userEntry); skipped are { line, reason }
+ */
+export function parseLibraryFile(text) {
+  const { headers, records } = parseDelimited(text);
+  const format = detectFormat(headers);
+  if (!format) {
+    return { format: null, rows: [], skipped: [] };
+  }
+
+  const columns = IMPORT_FORMATS[format];
+  const rows = [];
+  const skipped = [];
+
+  for (const record of records) {
+    const row = columns.readRecord ? columns.readRecord(record) : readRow(record, columns);
+
+    if (!row.title && !row.isbn13) {
+      skipped.push({ line: record._line, reason: 'No title or ISBN' });
+      continue;
+    }
+
+    rows.push(row);
+  }
+
+  return { format, rows, skipped };
+}
+
+/**
+ * Drop rows naming a book already seen (same ISBN, or same title + author)
+ * @param {Object[]} rows - Import rows
+ * @returns {{rows: Object[], duplicates: number}} First occurrence of each book kept
+ */
+export function dedupeRows(rows) {
+  const seen = new Set();
+  const unique = [];
+
+  for (const row of rows) {
+    const keys = [
+      row.isbn13 && `isbn:${row.isbn13}`,
+      row.title && `work:${normalizeTitle(row.title)}|${normalizeAuthorName(row.author)}`
+    ].filter(Boolean);
+
+    if (keys.some(key => seen.has(key))) continue;
+    keys.forEach(key => seen.add(key));
+    unique.push(row);
+  }
+
+  return { rows: unique, duplicates: rows.length - unique.length };
+}
+
+function readRow(record, columns) {
+  return {
+    line: record._line,
+    title: firstValue(record, columns.title) || null,
+    author: readAuthor(firstValue(record, columns.author), columns.authorForm),
+    isbn13: firstISBN(record, columns.isbns)
+  };
+}
+
+/**
+ * Non-empty values of the named columns, in `names` order
+ */
+function columnValues(record, names) {
+  const headers = Object.keys(record);
+  return names
+    .map(name => headers.find(header => header.toLowerCase() === name.toLowerCase()))
+    .filter(header => header && record[header])
+    .map(header => record[header]);
+}
+
+function firstValue(record, names) {
+  return columnValues(record, names)[0] || '';
+}
+
+/**
+ * First valid ISBN across the ISBN columns, as ISBN-13; cells may hold lists
+ * ("0441013597, 9780441013593"), LibraryThing's "[0441013597]" or StoryGraph UIDs
+ */
+function firstISBN(record, names) {
+  for (const cell of columnValues(record, names)) {
+    for (const candidate of cell.split(/[,;|]+/)) {
+      const isbn = canonicalISBN(candidate);
+      if (isbn) return isbn;
+    }
+  }
+  return null;
+}
+
+function readAuthor(value, form) {
+  if (!value) return null;
+  if (form === 'list') return value.split(',')[0].trim();
+  if (form === 'last-first') return normalizeNameOrder(value);
+  return value;
+}
+
+function normalizeNameOrder(value) {
+  const [last, first] = value.split(',').map(part => part.trim());
+  return first ? `${first} ${last}` : last;
+}
@@ -0,0 +1,335 @@
+/**
+ * Background job model
+ *
+ * Every progress-tracked job - enrichment, bookshelf scan, batch scan and
+ * library import - is one job record in its ProgressWebSocketDO with the same
+ * lifecycle, weighted stages and message schema. The DO owns the record and
+ * applies updates with the pure functions below; workers report through
+ * reportJob() and finishJob RPCs.
+ *
+ * Lifecycle:
+ *   queued → running → complete | failed
+ *   running → canceling (client asked) → canceled (worker stopped)
+ *   running → paused → running (resumable jobs only; paused → canceled ends it)
+ *   queued → complete | canceled | failed (ended before any progress)
+ *
+ * Every WebSocket message (and the stored final message) is
+ *   { type: 'progress', jobId, timestamp, seq, data: { jobType, status, stage,
+ *     progress, processedItems, totalItems, currentStatus, ...details, result?, error? } }
+ * where seq is the DO's sequence number (clients reconnect with ?since=seq),
+ * stage is { name, index, count, progress } and details are the job type's
+ * own fields (photos for batch scans, items for imports, ...).
+ *
+ * Clients steer a job with command frames on the same WebSocket
+ * (parseCommand); each is answered with { type: 'ack', command, id, ok, ... }.
+ */
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  CANCELING: 'canceling',
+  CANCELED: 'canceled',
+  COMPLETE: 'complete',
+  FAILED: 'failed'
+};
+
+const TRANSITIONS = {
+  queued: ['running', 'complete', 'canceled', 'failed'],
+  running: ['canceling', 'paused', 'complete', 'failed'],
+  paused: ['running', 'canceled', 'failed'],
+  canceling: ['canceled', 'complete', 'failed'],
+  canceled: [],
+  complete: [],
+  failed: []
+};
+
+// Give up on a resumable job after this many resumes in a row without progress
+export const MAX_JOB_RESUMES = 5;
+
+/**
+ * Stages per job type; weights are each stage's share of overall progress
+ */
+export const JOB_TYPES = {
+  enrichment: {
+    stages: [{ name: 'enrich', weight: 1 }]
+  },
+  import: {
+    stages: [{ name: 'resolve', weight: 1 }]
+  },
+  scan: {
+    stages: [
+      { name: 'analyze', weight: 0.1 },
+      { name: 'detect', weight: 0.4 },
+      { name: 'enrich', weight: 0.5 }
+    ]
+  },
+  'batch-scan': {
+    stages: [
+      { name: 'upload', weight: 0.1 },
+      { name: 'scan', weight: 0.9 }
+    ]
+  }
+};
+
+/**
+ * @param {string} status - JOB_STATUS value
+ * @returns {boolean} True for complete, canceled and failed
+ */
+export function isTerminal(status) {
+  return TRANSITIONS[status]?.length === 0;
+}
+
+/**
+ * @param {string} status - JOB_STATUS value
+ * @returns {boolean} True until the job ends (queued, running, paused, canceling)
+ */
+export function isActive(status) {
+  return status in TRANSITIONS && !isTerminal(status);
+}
+
+/**
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * New job record
+ * @param {Object} options - { jobId, type, totalItems, details? }
+ * @returns {Object} Queued job
+ * @throws {Error} When the job type is unknown
+ */
+export function createJobRecord({ jobId, type, totalItems = 0, details = {} }) {
+  if (!JOB_TYPES[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const now = Date.now();
+  return {
+    jobId,
+    type,
+    status: JOB_STATUS.QUEUED,
+    stageIndex: 0,
+    stageProgress: 0,
+    progress: 0,
+    processedItems: 0,
+    totalItems,
+    currentStatus: 'Queued',
+    details,
+    summary: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null
+  };
+}
+
+/**
+ * Apply a worker's progress report (the first one starts a queued job)
+ * @param {Object} job - Job record
+ * @param {Object} update - { stage?, stageProgress?, processedItems?, totalItems?, currentStatus?, details? }
+ *   stage is a stage name of the job type; moving to a later stage resets stageProgress
+ * @returns {Object} Updated job (unchanged once terminal)
+ */
+export function applyJobUpdate(job, update) {
+  if (isTerminal(job.status)) return job;
+
+  const stages = JOB_TYPES[job.type].stages;
+  const next = { ...job, updatedAt: Date.now() };
+
+  if (job.status === JOB_STATUS.QUEUED) {
+    next.status = JOB_STATUS.RUNNING;
+  }
+  if (update.stage !== undefined) {
+    const index = stages.findIndex(stage => stage.name === update.stage);
+    if (index === -1) {
+      throw new Error(`Unknown stage "${update.stage}" for ${job.type} jobs`);
+    }
+    if (index !== job.stageIndex) {
+      next.stageIndex = index;
+      next.stageProgress = 0;
+    }
+  }
+  if (update.stageProgress !== undefined) {
+    next.stageProgress = Math.min(Math.max(update.stageProgress, 0), 1);
+  }
+  for (const field of ['processedItems', 'totalItems', 'currentStatus']) {
+    if (update[field] !== undefined) next[field] = update[field];
+  }
+  if (update.details) {
+    next.details = { ...job.details, ...update.details };
+  }
+
+  next.progress = weightedProgress(stages, next.stageIndex, next.stageProgress);
+  return next;
+}
+
+/**
+ * Move a job to a new status
+ * @param {Object} job - Job record
+ * @param {string} status - Requested JOB_STATUS
+ * @param {Object} [fields] - { currentStatus, summary, error }
+ * @returns {Object|null} Updated job, or null when the transition is not allowed
+ */
+export function transitionJob(job, status, fields = {}) {
+  if (!canTransition(job.status, status)) return null;
+
+  const now = Date.now();
+  const next = { ...job, ...fields, status, updatedAt: now };
+  if (isTerminal(status)) {
+    next.completedAt = now;
+    if (status === JOB_STATUS.COMPLETE) {
+      next.stageIndex = JOB_TYPES[job.type].stages.length - 1;
+      next.stageProgress = 1;
+      next.progress = 1;
+    }
+  }
+  return next;
+}
+
+/**
+ * Record a resumable job's checkpoint
+ * A cursor that moved forward resets resumeCount: only resumes that made no
+ * progress since the previous one count toward MAX_JOB_RESUMES.
+ * @param {Object} job - Job record ({ cursor, resumeCount, processedItems, ... })
+ * @param {number} cursor - Items covered by stored results
+ * @returns {Object} Updated job
+ */
+export function checkpointJob(job, cursor) {
+  return {
+    ...job,
+    cursor,
+    processedItems: Math.max(job.processedItems, cursor),
+    resumeCount: cursor > job.cursor ? 0 : job.resumeCount,
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * Count one more resume of a job whose lease ran out
+ * @param {Object} job - Job record
+ * @returns {Object|null} Job to restart, or null when it already made no progress for MAX_JOB_RESUMES resumes
+ */
+export function resumeJob(job) {
+  if (job.resumeCount >= MAX_JOB_RESUMES) return null;
+  return { ...job, resumeCount: job.resumeCount + 1 };
+}
+
+/**
+ * Overall progress: finished stages' weights plus the current stage's share
+ * @param {Object[]} stages - [{ name, weight }]
+ * @param {number} stageIndex - Current stage
+ * @param {number} stageProgress - 0-1 within the current stage
+ * @returns {number} 0-1, rounded to 3 decimals
+ */
+export function weightedProgress(stages, stageIndex, stageProgress) {
+  const total = stages.reduce((sum, stage) => sum + stage.weight, 0);
+  const done = stages.slice(0, stageIndex).reduce((sum, stage) => sum + stage.weight, 0);
+  const current = (stages[stageIndex]?.weight || 0) * stageProgress;
+  return Math.round(((done + current) / total) * 1000) / 1000;
+}
+
+/**
+ * The message clients receive for a job
+ * @param {Object} job - Job record
+ * @param {Object} [extra] - Message-only fields (items, detectedBooks, currentWorkId, result, error)
+ * @returns {Object} { type: 'progress', jobId, timestamp, data }
+ */
+export function jobMessage(job, extra = {}) {
+  const stages = JOB_TYPES[job.type].stages;
+  return {
+    type: 'progress',
+    jobId: job.jobId,
+    timestamp: Date.now(),
+    data: {
+      jobType: job.type,
+      status: job.status,
+      stage: {
+        name: stages[job.stageIndex].name,
+        index: job.stageIndex,
+        count: stages.length,
+        progress: job.stageProgress
+      },
+      progress: job.progress,
+      processedItems: job.processedItems,
+      totalItems: job.totalItems,
+      currentStatus: job.currentStatus,
+      ...job.details,
+      ...extra
+    }
+  };
+}
+
+/**
+ * Report progress to a job's DO. Best-effort: a failed report never stops the work.
+ * @param {Object} doStub - ProgressWebSocketDO stub
+ * @param {Object} update - updateJob payload ({ jobId, stage, stageProgress, ..., data })
+ * @returns {Promise<Object|null>} updateJob response, or null when the report failed
+ */
+export async function reportJob(doStub, update) {
+  try {
+    return await doStub.updateJob(update);
+  } catch (error) {
+    console.warn(`[${update.jobId}] Progress not delivered: ${error.message}`);
+    return null;
+  }
+}
+
+// ============================================================================
+// Client commands
+// ============================================================================
+
+/**
+ * Commands a client may send over the progress WebSocket
+ *   cancel { reason? }       - same as the /cancel endpoints
+ *   pause, resume            - resumable (enrichment) jobs
+ *   prioritize { items }     - move workIds (enrichment) or photo indexes (batch scans) to the front
+ *   ping                     - answered with the job's status and latest seq
+ *   ack { seq }              - the client has handled every message up to seq
+ */
+export const CLIENT_COMMANDS = ['cancel', 'pause', 'resume', 'prioritize', 'ping', 'ack'];
+
+/**
+ * Parse a command frame
+ * @param {string|ArrayBuffer} raw - WebSocket message
+ * @returns {Object} { type, id, ...fields } - id is the client's correlation id (null if none)
+ * @throws {Error} When the frame is not a JSON command this DO understands
+ */
+export function parseCommand(raw) {
+  let command;
+  try {
+    command = JSON.parse(typeof raw === 'string' ? raw : new TextDecoder().decode(raw));
+  } catch {
+    throw new Error('Commands must be JSON objects');
+  }
+
+  if (!command || typeof command !== 'object' || Array.isArray(command)) {
+    throw new Error('Commands must be JSON objects');
+  }
+  if (!CLIENT_COMMANDS.includes(command.type)) {
+    throw new Error(`Unknown command "${command.type}" (expected one of: ${CLIENT_COMMANDS.join(', ')})`);
+  }
+  if (command.type === 'prioritize' && (!Array.isArray(command.items) || command.items.length === 0)) {
+    throw new Error('"prioritize" needs a non-empty "items" array');
+  }
+  if (command.type === 'ack' && !(Number.isInteger(command.seq) && command.seq >= 0)) {
+    throw new Error('"ack" needs the "seq" of the last message handled');
+  }
+
+  return { ...command, id: command.id ?? null };
+}
+
+/**
+ * Move prioritized items to the front of a queue
+ * @param {Array} queue - Items not started yet, in processing order
+ * @param {Array} priority - Items to take first, most urgent first; items not in the queue are ignored
+ * @returns {Array} Reordered queue (same items)
+ */
+export function prioritizeQueue(queue, priority) {
+  const first = [...new Set(priority)].filter(item => queue.includes(item));
+  return [...first, ...queue.filter(item => !first.includes(item))];
+}
@@ -0,0 +1,114 @@
+/**
+ * Library export pipeline
+ *
+ * Builds export entries { work, edition, userEntry } either from requested
+ * ISBNs (resolved through the bulk ISBN lookup) or from a library snapshot in
+ * the LIBRARY_DATA bucket, serializes them (services/export-formats.js) and
+ * stores the files under exports/{exportId}/ in the same bucket.
+ *
+ * Snapshots live at libraries/{name}.json and hold the `entries` of a JSON
+ * export ({ work, isbn13, userEntry }), so an export can be fed back in as-is.
+ */
+
+import { lookupWorksByISBNs } from '../handlers/book-search.js';
+import { primaryEdition } from '../types/canonical.js';
+import { EXPORT_FORMATS } from './export-formats.js';
+
+export const SNAPSHOT_PREFIX = 'libraries/';
+export const EXPORT_PREFIX = 'exports/';
+
+/**
+ * Resolve requested books to export entries
+ * @param {Array<string|Object>} items - ISBNs, or { isbn, userEntry? } to carry reading history
+ * @param {Object} env - Worker environment bindings
+ * @param {Object} ctx - Execution context
+ * @returns {Promise<{entries: Object[], missing: Object[]}>} missing are
+ *   { isbn, status: 'not_found' | 'error', error? } in request order
+ */
+export async function resolveExportEntries(items, env, ctx) {
+  const requested = items.map(item => (typeof item === 'object' && item !== null
+    ? { isbn: String(item.isbn ?? ''), userEntry: item.userEntry || null }
+    : { isbn: String(item), userEntry: null }));
+
+  const { results } = await lookupWorksByISBNs(requested.map(item => item.isbn), env, ctx);
+  const entries = [];
+  const missing = [];
+
+  for (const { isbn, userEntry } of requested) {
+    const result = results[isbn];
+    if (result?.status === 'found') {
+      entries.push({ work: result.work, edition: editionFor(result.work, result.isbn13), userEntry });
+    } else {
+      missing.push({ isbn, status: result?.status || 'not_found', ...(result?.error && { error: result.error }) });
+    }
+  }
+
+  return { entries, missing };
+}
+
+/**
+ * Load a stored library snapshot
+ * @param {string} name - Snapshot name (libraries/{name}.json)
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<Object[]|null>} Export entries, or null when the snapshot does not exist
+ * @throws {Error} When the snapshot is not a JSON export
+ */
+export async function readLibrarySnapshot(name, env) {
+  const object = await env.LIBRARY_DATA.get(`${SNAPSHOT_PREFIX}${name}.json`);
+  if (!object) return null;
+
+  const snapshot = await object.json();
+  const stored = Array.isArray(snapshot) ? snapshot : snapshot?.entries;
+  if (!Array.isArray(stored)) {
+    throw new Error(`Snapshot "${name}" has no entries array`);
+  }
+
+  return stored
+    .filter(entry => entry?.work?.title)
+    .map(entry => ({
+      work: { authors: [], subjects: [], editions: [], externalIds: {}, ...entry.work },
+      edition: editionFor(entry.work, entry.isbn13),
+      userEntry: entry.userEntry || null
+    }));
+}
+
+/**
+ * Serialize entries in each format and store the files
+ * @param {string} exportId - Export identifier (R2 folder)
+ * @param {Object[]} entries - Export entries
+ * @param {string[]} formats - Keys of EXPORT_FORMATS
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<Object[]>} Files { format, filename, contentType, size }
+ */
+export async function writeExportFiles(exportId, entries, formats, env) {
+  const exportedAt = new Date().toISOString();
+
+  return Promise.all(formats.map(async (format) => {
+    const { filename, contentType, serialize } = EXPORT_FORMATS[format];
+    const body = new TextEncoder().encode(serialize(entries, exportedAt));
+
+    await env.LIBRARY_DATA.put(exportObjectKey(exportId, filename), body, {
+      httpMetadata: { contentType, contentDisposition: `attachment; filename="${filename}"` },
+      customMetadata: { exportId, format, exportedAt, count: String(entries.length) }
+    });
+
+    console.log(`[Export ${exportId}] Stored ${format} (${body.byteLength} bytes, ${entries.length} books)`);
+    return { format, filename, contentType, size: body.byteLength };
+  }));
+}
+
+/**
+ * R2 key of an export file
+ */
+export function exportObjectKey(exportId, filename) {
+  return `${EXPORT_PREFIX}${exportId}/${filename}`;
+}
+
+/**
+ * The edition matching the requested ISBN, else the work's primary edition
+ */
+function editionFor(work, isbn13) {
+  const editions = work.editions || [];
+  return (isbn13 && editions.find(edition => (edition.isbns || []).includes(isbn13))) ||
+    primaryEdition({ editions });
+}
@@ -0,0 +1,170 @@
+/**
+ * Library import pipeline
+ *
+ * Resolves parsed import rows (services/import-formats.js) to canonical works
+ * in batches: rows with an ISBN go through the bulk ISBN lookup, the rest (and
+ * ISBN misses) through advanced title + author search. It runs as an 'import'
+ * job (services/jobs.js): after each batch the resolved rows are streamed to
+ * ProgressWebSocketDO, so clients build the library up incrementally; the
+ * final message carries only the summary.
+ */
+
+import { lookupWorksByISBNs } from '../handlers/book-search.js';
+import { advancedSearchWorks } from '../handlers/search-handlers.js';
+import { primaryEdition } from '../types/canonical.js';
+import { mapWithConcurrency, concurrencyLimit } from '../utils/concurrency.js';
+import { normalizeTitle, similarity } from '../utils/text.js';
+import { reportJob } from './jobs.js';
+import { providerBuckets } from './enrichment.js';
+
+export const IMPORT_BATCH_SIZE = 25;
+
+// A title search hit must resemble the imported title to count as a match
+const TITLE_MATCH_THRESHOLD = 0.7;
+
+/**
+ * Resolve import rows with progress updates via WebSocket
+ *
+ * @param {string} jobId - Job identifier for tracking
+ * @param {Object} importInfo - { format, rows, duplicates, skipped } from the upload
+ * @param {Object} env - Worker environment bindings
+ * @param {Object} ctx - Execution context
+ * @param {Object} doStub - ProgressWebSocketDO stub for progress updates
+ * @returns {Promise<Object>} Import summary
+ */
+export async function importLibrary(jobId, { format, rows, duplicates, skipped }, env, ctx, doStub) {
+  const totalCount = rows.length;
+  const counts = { resolved: 0, unresolved: 0, errors: 0 };
+  const unresolvedRows = [];
+  // Shared by every batch so a long import stays within PROVIDER_RATE_LIMITS, as enrichment does
+  const buckets = providerBuckets(env);
+  let processedCount = 0;
+
+  await reportJob(doStub, {
+    jobId,
+    stage: 'resolve',
+    processedItems: 0,
+    totalItems: totalCount,
+    currentStatus: `Starting import of ${totalCount} books (${format})...`
+  });
+
+  for (let start = 0; start < totalCount; start += IMPORT_BATCH_SIZE) {
+    if (await isCanceled(doStub, jobId)) {
+      console.log(`[Import ${jobId}] Cancellation detected. Stopping import.`);
+      const summary = { success: false, canceled: true, processedCount, totalCount, ...counts };
+      await finishJob(doStub, jobId, { status: 'canceled', currentStatus: 'Import canceled by user', result: summary });
+      return summary;
+    }
+
+    const batch = await resolveBatch(rows.slice(start, start + IMPORT_BATCH_SIZE), env, ctx, buckets);
+
+    for (const item of batch) {
+      counts[item.status === 'error' ? 'errors' : item.status]++;
+      if (item.status !== 'resolved') unresolvedRows.push(item);
+    }
+    processedCount += batch.length;
+
+    await reportJob(doStub, {
+      jobId,
+      stageProgress: processedCount / totalCount,
+      processedItems: processedCount,
+      currentStatus: `Imported ${processedCount}/${totalCount} books`,
+      data: { items: batch }
+    });
+  }
+
+  const summary = {
+    success: true,
+    format,
+    processedCount,
+    totalCount,
+    ...counts,
+    duplicates,
+    skipped,
+    unresolvedRows
+  };
+
+  await finishJob(doStub, jobId, { status: 'complete', currentStatus: 'Import complete', result: summary });
+
+  return summary;
+}
+
+/**
+ * Resolve one batch of rows, in row order
+ * Provider calls (ISBN lookups and title searches) wait on the per-provider token buckets.
+ * @param {Object} buckets - provider → token bucket (default: fresh providerBuckets)
+ * @returns {Promise<Object[]>} Items { line, title, author, isbn13, status, matchedBy, work, userEntry?, error? }
+ *   status: 'resolved' | 'unresolved' | 'error'; matchedBy: 'isbn' | 'title' | null
+ */
+export async function resolveBatch(rows, env, ctx, buckets = providerBuckets(env)) {
+  const isbns = rows.filter(row => row.isbn13).map(row => row.isbn13);
+  const { results } = isbns.length > 0
+    ? await lookupWorksByISBNs(isbns, env, ctx, { buckets })
+    : { results: {} };
+
+  return mapWithConcurrency(rows, concurrencyLimit(env), async (row) => {
+    const byIsbn = row.isbn13 ? results[row.isbn13] : null;
+    if (byIsbn?.status === 'found') {
+      return toItem(row, 'resolved', 'isbn', byIsbn.work);
+    }
+
+    if (!row.title) {
+      return byIsbn?.status === 'error'
+        ? { ...toItem(row, 'error', null, null), error: byIsbn.error }
+        : toItem(row, 'unresolved', null, null);
+    }
+
+    try {
+      const { works } = await advancedSearchWorks(
+        { bookTitle: row.title, authorName: row.author || undefined }, { maxResults: 1, buckets }, env, ctx);
+      const work = works.find(candidate => titleMatches(row.title, candidate));
+      return work ? toItem(row, 'resolved', 'title', work) : toItem(row, 'unresolved', null, null);
+    } catch (error) {
+      console.error(`[Import] Title search failed for "${row.title}":`, error);
+      return { ...toItem(row, 'error', null, null), error: error.message };
+    }
+  });
+}
+
+function titleMatches(title, work) {
+  const wanted = normalizeTitle(title);
+  return [work.title, `${work.title} ${work.subtitle || ''}`]
+    .some(candidate => similarity(wanted, normalizeTitle(candidate)) >= TITLE_MATCH_THRESHOLD);
+}
+
+/**
+ * Progress item for one row; works are sent with their primary edition only,
+ * reading history (Goodreads shelves, ratings, dates) is passed through as-is
+ */
+function toItem(row, status, matchedBy, work) {
+  return {
+    line: row.line,
+    title: row.title,
+    author: row.author,
+    isbn13: row.isbn13,
+    status,
+    matchedBy,
+    work: work ? { ...work, editions: [primaryEdition(work)].filter(Boolean) } : null,
+    ...(row.userEntry && { userEntry: row.userEntry })
+  };
+}
+
+/**
+ * The import's outcome is already in the caller's hands; a DO failure is only logged
+ */
+async function finishJob(doStub, jobId, outcome) {
+  try {
+    await doStub.finishJob(outcome);
+  } catch (error) {
+    console.warn(`[Import ${jobId}] Final status not recorded: ${error.message}`);
+  }
+}
+
+async function isCanceled(doStub, jobId) {
+  try {
+    return await doStub.isCanceled();
+  } catch (error) {
+    console.warn(`[Import ${jobId}] Stopping import, DO stub threw: ${error.message}`);
+    return true;
+  }
+}
@@ -0,0 +1,336 @@
+/**
+ * Multi-provider result merging
+ *
+ * Clusters canonical works from different providers that describe the same
+ * book (shared ISBN, or matching normalized title + author), then builds one
+ * record per cluster taking each field from the best source that has it.
+ * The chosen source for every field is recorded in `provenance`.
+ */
+
+import { createWork, createEdition, primaryEdition, POPULARITY_SIGNALS } from '../types/canonical.js';
+import { normalizeTitle, normalizeAuthorName, similarity } from '../utils/text.js';
+
+const TITLE_MATCH_THRESHOLD = 0.9;
+const TITLE_ONLY_MATCH_THRESHOLD = 0.97;
+const AUTHOR_MATCH_THRESHOLD = 0.8;
+
+const DEFAULT_PRIORITY = ['google-books', 'openlibrary', 'isbndb'];
+
+/**
+ * Source preference per work field - first source with a non-empty value wins.
+ * `strategy: 'min'` picks the smallest value instead (earliest publication year).
+ */
+const WORK_FIELDS = {
+  title: { priority: ['google-books', 'openlibrary', 'isbndb'] },
+  subtitle: { priority: ['google-books', 'isbndb', 'openlibrary'] },
+  authors: { priority: ['openlibrary', 'google-books', 'isbndb'] }, // OpenLibrary carries author keys
+  description: { priority: ['google-books', 'isbndb', 'openlibrary'] },
+  subjects: { priority: ['openlibrary', 'google-books', 'isbndb'] },
+  firstPublicationYear: { strategy: 'min' }
+};
+
+/**
+ * Source preference per edition field
+ */
+const EDITION_FIELDS = {
+  title: {},
+  subtitle: {},
+  publisher: { priority: ['isbndb', 'google-books', 'openlibrary'] },
+  publicationDate: { priority: ['google-books', 'isbndb', 'openlibrary'] },
+  pageCount: { priority: ['isbndb', 'google-books', 'openlibrary'] }, // OpenLibrary only has a median
+  language: {},
+  binding: { priority: ['isbndb'] },
+  description: { priority: ['google-books', 'isbndb', 'openlibrary'] },
+  genres: {},
+  coverImageURL: { priority: ['openlibrary', 'isbndb', 'google-books'] }, // Google thumbnails are tiny
+  previewLink: {},
+  infoLink: {},
+  qualityScore: { priority: ['isbndb'] }
+};
+
+/**
+ * Merge works from any number of providers into one record per book
+ * Order follows the first appearance of each cluster in the input.
+ *
+ * @param {Object[]} works - Canonical works (any providers, any order)
+ * @returns {Object[]} Merged canonical works with `provenance` and `sources`
+ */
+export function mergeWorks(works) {
+  return clusterWorks(works).map(cluster => mergeCluster(cluster));
+}
+
+/**
+ * List the key fields a work is missing (edition fields checked on the primary edition)
+ * Used to decide whether another provider should be asked to fill gaps.
+ * @param {Object} work - Canonical work
+ * @returns {string[]} Missing field names, e.g. ['coverImageURL', 'pageCount']
+ */
+export function missingFields(work) {
+  const edition = primaryEdition(work);
+  const missing = [];
+
+  if (!edition?.coverImageURL) missing.push('coverImageURL');
+  if (!edition?.isbn13) missing.push('isbn13');
+  if (!edition?.pageCount) missing.push('pageCount');
+  if (!work.description && !edition?.description) missing.push('description');
+
+  return missing;
+}
+
+/**
+ * Fields counted by completeness(), read from the work or its primary edition
+ */
+export const COMPLETENESS_FIELDS = {
+  work: ['title', 'authors', 'description', 'subjects', 'firstPublicationYear'],
+  edition: ['isbn13', 'publisher', 'publicationDate', 'pageCount', 'language', 'coverImageURL']
+};
+
+/**
+ * Report which provider supplied each key field and how complete the record is
+ * A description found only on the primary edition counts for the work.
+ * @param {Object} work - Canonical work (merged or single-provider)
+ * @returns {{fieldSources: Object, completeness: number, missing: string[]}}
+ *   fieldSources maps present field → provider; completeness is 0-1 (2 decimals)
+ */
+export function completeness(work) {
+  const edition = primaryEdition(work);
+  const fieldSources = {};
+  const missing = [];
+
+  const check = (record, field) => {
+    if (record && hasValue(record[field])) {
+      fieldSources[field] = fieldSource(record, field);
+    } else if (field === 'description' && edition && hasValue(edition.description)) {
+      fieldSources[field] = fieldSource(edition, field);
+    } else {
+      missing.push(field);
+    }
+  };
+
+  COMPLETENESS_FIELDS.work.forEach(field => check(work, field));
+  COMPLETENESS_FIELDS.edition.forEach(field => check(edition, field));
+
+  const total = COMPLETENESS_FIELDS.work.length + COMPLETENESS_FIELDS.edition.length;
+  return {
+    fieldSources,
+    completeness: Math.round(((total - missing.length) / total) * 100) / 100,
+    missing
+  };
+}
+
+/**
+ * Group works that describe the same book
+ * @param {Object[]} works - Canonical works
+ * @returns {Object[][]} Clusters in first-appearance order
+ */
+export function clusterWorks(works) {
+  const clusters = [];
+
+  for (const work of works) {
+    const cluster = clusters.find(members => members.some(member => isSameWork(member, work)));
+    if (cluster) {
+      cluster.push(work);
+    } else {
+      clusters.push([work]);
+    }
+  }
+
+  return clusters;
+}
+
+/**
+ * True when two works are the same book
+ * A shared ISBN is decisive; otherwise titles must match closely and, when
+ * both sides have authors, at least one author must match.
+ */
+export function isSameWork(a, b) {
+  const isbnsA = new Set(a.editions.flatMap(e => e.isbns));
+  if (b.editions.some(e => e.isbns.some(isbn => isbnsA.has(isbn)))) {
+    return true;
+  }
+
+  const titleScore = similarity(normalizeTitle(a.title), normalizeTitle(b.title));
+  const authorsA = knownAuthors(a);
+  const authorsB = knownAuthors(b);
+
+  if (authorsA.length === 0 || authorsB.length === 0) {
+    return titleScore >= TITLE_ONLY_MATCH_THRESHOLD;
+  }
+
+  const authorScore = Math.max(...authorsA.flatMap(x => authorsB.map(y => similarity(x, y))));
+  return titleScore >= TITLE_MATCH_THRESHOLD && authorScore >= AUTHOR_MATCH_THRESHOLD;
+}
+
+function knownAuthors(work) {
+  return work.authors
+    .map(a => normalizeAuthorName(a.name))
+    .filter(name => name && name !== 'unknown author');
+}
+
+/**
+ * Build one work from a cluster, field by field
+ */
+function mergeCluster(cluster) {
+  const provenance = {};
+  const fields = {};
+
+  for (const [field, rules] of Object.entries(WORK_FIELDS)) {
+    const pick = pickField(cluster, field, rules);
+    if (pick) {
+      fields[field] = pick.value;
+      provenance[field] = pick.source;
+    }
+  }
+
+  fields.authors = enrichAuthorIds(fields.authors || [], cluster);
+
+  const editions = mergeEditions(cluster.flatMap(work => work.editions));
+
+  return createWork({
+    ...fields,
+    externalIds: mergeExternalIds(cluster.map(work => work.externalIds)),
+    editions,
+    popularity: mergePopularity(cluster),
+    provenance,
+    sources: cluster.flatMap(work => work.sources || [work.source]),
+    source: provenance.title || cluster[0].source
+  });
+}
+
+/**
+ * Merge editions sharing an ISBN; editions without ISBNs are kept as-is
+ */
+function mergeEditions(editions) {
+  const groups = [];
+
+  for (const edition of editions) {
+    const group = edition.isbns.length > 0
+      ? groups.find(members => members.some(m => m.isbns.some(isbn => edition.isbns.includes(isbn))))
+      : null;
+    if (group) {
+      group.push(edition);
+    } else {
+      groups.push([edition]);
+    }
+  }
+
+  return groups.map(group => {
+    if (group.length === 1 && !group[0].provenance) {
+      return group[0];
+    }
+
+    const provenance = {};
+    const fields = {};
+    for (const [field, rules] of Object.entries(EDITION_FIELDS)) {
+      const pick = pickField(group, field, rules);
+      if (pick) {
+        fields[field] = pick.value;
+        provenance[field] = pick.source;
+      }
+    }
+
+    const isbn13 = group.find(e => e.isbn13)?.isbn13;
+    const isbn10 = group.find(e => e.isbn10)?.isbn10;
+
+    return createEdition({
+      ...fields,
+      isbn13,
+      isbn10,
+      isbns: group.flatMap(e => e.isbns),
+      externalIds: mergeExternalIds(group.map(e => e.externalIds)),
+      provenance,
+      source: provenance.title || provenance.publisher || group[0].source
+    });
+  });
+}
+
+/**
+ * Choose a field value from the records of a cluster
+ * @returns {{value: *, source: string}|null}
+ */
+function pickField(records, field, rules) {
+  const candidates = records.filter(record => hasValue(record[field]));
+  if (candidates.length === 0) return null;
+
+  if (rules.strategy === 'min') {
+    const best = candidates.reduce((min, r) => (r[field] < min[field] ? r : min));
+    return { value: best[field], source: fieldSource(best, field) };
+  }
+
+  const priority = rules.priority || DEFAULT_PRIORITY;
+  const rank = (record) => {
+    const index = priority.indexOf(record.source);
+    return index === -1 ? priority.length : index;
+  };
+
+  // Stable sort keeps input order among records from the same source
+  const best = [...candidates].sort((a, b) => rank(a) - rank(b))[0];
+  return { value: best[field], source: fieldSource(best, field) };
+}
+
+/**
+ * Source for a field of an (possibly already merged) record
+ */
+function fieldSource(record, field) {
+  return record.provenance?.[field] || record.source;
+}
+
+function hasValue(value) {
+  if (value === null || value === undefined) return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'string') return value.trim().length > 0;
+  return true;
+}
+
+/**
+ * Union array IDs and keep the first non-null scalar ID
+ */
+function mergeExternalIds(idSets) {
+  const merged = {};
+  for (const ids of idSets) {
+    for (const [key, value] of Object.entries(ids || {})) {
+      if (Array.isArray(value)) {
+        merged[key] = [...new Set([...(merged[key] || []), ...value])];
+      } else if (value && !merged[key]) {
+        merged[key] = value;
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Take the highest count per popularity signal; the average rating comes from
+ * the source with the most ratings
+ */
+function mergePopularity(cluster) {
+  const signals = cluster.map(work => work.popularity).filter(Boolean);
+  if (signals.length === 0) return null;
+
+  const merged = {};
+  for (const signal of POPULARITY_SIGNALS) {
+    const values = signals.map(p => p[signal]).filter(value => value !== undefined);
+    if (values.length > 0) merged[signal] = Math.max(...values);
+  }
+
+  const mostRated = signals.reduce((best, p) => ((p.ratingsCount || 0) > (best.ratingsCount || 0) ? p : best));
+  if (mostRated.averageRating) merged.averageRating = mostRated.averageRating;
+
+  return merged;
+}
+
+/**
+ * Copy author IDs (e.g. OpenLibrary keys) from other sources onto the chosen authors
+ */
+function enrichAuthorIds(authors, cluster) {
+  const allAuthors = cluster.flatMap(work => work.authors);
+
+  return authors.map(author => {
+    const name = normalizeAuthorName(author.name);
+    const matches = allAuthors.filter(other => similarity(normalizeAuthorName(other.name), name) >= AUTHOR_MATCH_THRESHOLD);
+    return {
+      ...author,
+      externalIds: mergeExternalIds([author.externalIds, ...matches.map(m => m.externalIds)])
+    };
+  });
+}
@@ -0,0 +1,134 @@
+/**
+ * Chunked, cached provider searches
+ *
+ * Provider result lists are fetched in fixed-size chunks (offset 0, 40, 80, ...)
+ * and each chunk is cached on its own, keyed by provider + query + chunk and
+ * never by the client's page size. Page 2 of any route therefore reuses the
+ * chunks page 1 already fetched.
+ */
+
+import * as externalApis from './external-apis.js';
+import { getCached, setCached, generateCacheKey } from '../utils/cache.js';
+import { resolvePage, pageInfo } from '../utils/pagination.js';
+
+export const CHUNK_SIZE = 40; // Google Books maxResults ceiling
+
+const CHUNK_TTL = 6 * 60 * 60; // 21600 seconds, same as title search
+
+/**
+ * Chunk fetchers per provider: (query, chunk, env) => provider result
+ */
+const PROVIDERS = {
+  'google-books': (query, chunk, env) =>
+    externalApis.searchGoogleBooks(query, { maxResults: CHUNK_SIZE, startIndex: chunk * CHUNK_SIZE }, env),
+  'openlibrary': (query, chunk, env) =>
+    externalApis.searchOpenLibrary(query, { maxResults: CHUNK_SIZE, offset: chunk * CHUNK_SIZE }, env)
+};
+
+/**
+ * Fetch one chunk of a provider search, from cache when possible
+ * Failed fetches are not cached.
+ *
+ * @param {string} provider - Key of PROVIDERS ('google-books' | 'openlibrary')
+ * @param {string} query - Provider query string
+ * @param {number} chunk - 0-based chunk index
+ * @param {Object} env - Worker environment bindings
+ * @param {Object} ctx - Execution context (optional; cache writes are awaited without it)
+ * @param {Object} bucket - Token bucket pacing this provider (optional; only cache misses take a token)
+ * @returns {Promise<Object>} Provider result { success, works, totalResults, exhausted }
+ */
+export async function fetchProviderChunk(provider, query, chunk, env, ctx, bucket) {
+  const cacheKey = generateCacheKey(`provider:${provider}`, { q: query, chunk });
+
+  const cached = await getCached(cacheKey, env);
+  if (cached) {
+    return { ...cached, cached: true };
+  }
+
+  await bucket?.take();
+  const result = await PROVIDERS[provider](query, chunk, env);
+  if (!result.success) {
+    return result;
+  }
+
+  const chunkResult = {
+    success: true,
+    provider,
+    works: result.works,
+    totalResults: result.totalResults || 0,
+    exhausted: (chunk + 1) * CHUNK_SIZE >= (result.totalResults || 0),
+    cached: false
+  };
+
+  const write = setCached(cacheKey, chunkResult, CHUNK_TTL, env);
+  if (ctx) {
+    ctx.waitUntil(write);
+  } else {
+    await write;
+  }
+
+  return chunkResult;
+}
+
+/**
+ * Fetch an arbitrary [offset, offset + limit) range of a provider search
+ * by stitching together the cached chunks that cover it.
+ *
+ * @param {string} provider - Key of PROVIDERS
+ * @param {string} query - Provider query string
+ * @param {number} offset - First result wanted
+ * @param {number} limit - Number of results wanted
+ * @param {Object} env - Worker environment bindings
+ * @param {Object} ctx - Execution context (optional)
+ * @param {Function} mapChunk - Applied to each chunk's works before slicing, e.g. ranking
+ * @param {Object} bucket - Token bucket pacing this provider (optional)
+ * @returns {Promise<Object>} { success, provider, works, totalResults, hasMore }
+ */
+export async function fetchProviderRange(provider, query, offset, limit, env, ctx, mapChunk = works => works, bucket) {
+  const firstChunk = Math.floor(offset / CHUNK_SIZE);
+  const lastChunk = Math.floor((offset + limit - 1) / CHUNK_SIZE);
+
+  const works = [];
+  let totalResults = 0;
+  let exhausted = false;
+
+  for (let chunk = firstChunk; chunk <= lastChunk && !exhausted; chunk++) {
+    const result = await fetchProviderChunk(provider, query, chunk, env, ctx, bucket);
+    if (!result.success) {
+      if (works.length === 0) return result;
+      break;
+    }
+    works.push(...mapChunk(result.works));
+    totalResults = result.totalResults;
+    exhausted = result.exhausted;
+  }
+
+  const start = offset - firstChunk * CHUNK_SIZE;
+  return {
+    success: true,
+    provider,
+    works: works.slice(start, start + limit),
+    totalResults,
+    hasMore: offset + limit < totalResults
+  };
+}
+
+/**
+ * One page of a single provider's results (GET /external/google-books, /external/openlibrary)
+ * @param {string} provider - Key of PROVIDERS
+ * @param {string} query - Provider query string
+ * @param {Object} options - { page, maxResults, cursor }
+ * @param {Object} env - Worker environment bindings
+ * @param {Object} ctx - Execution context
+ * @returns {Promise<Object>} { success, provider, works, totalResults, pagination }
+ */
+export async function fetchProviderPage(provider, query, options, env, ctx) {
+  const window = resolvePage(options);
+  const range = await fetchProviderRange(provider, query, window.offset, window.limit, env, ctx);
+  if (!range.success) {
+    return range;
+  }
+
+  const { hasMore, ...result } = range;
+  return { ...result, pagination: pageInfo(window, range.works.length, range.totalResults, hasMore) };
+}
@@ -0,0 +1,109 @@
+/**
+ * Query correction for misspelled searches
+ *
+ * "harry poter" or "the hobit" usually come back empty from OpenLibrary, and
+ * sometimes from Google Books too. When a search misses, each unknown query
+ * word is snapped to the closest word (by edit distance) in the titles and
+ * authors the providers did return. When nothing came back at all, an
+ * OpenLibrary fuzzy search supplies that vocabulary instead. Callers retry
+ * with the corrected query and report it to clients as `didYouMean`.
+ */
+
+import * as externalApis from './external-apis.js';
+import { normalizeText, normalizeAuthorName, stripSeriesMarkers, editDistance } from '../utils/text.js';
+
+const MIN_WORD_LENGTH = 4; // shorter words are too ambiguous to correct
+const LONG_WORD_LENGTH = 8; // long words may be two edits away
+const FUZZY_SEARCH_LIMIT = 20;
+
+/**
+ * Find a corrected query for a search that missed
+ * @param {string} query - Query as the user typed it
+ * @param {Object[]} works - Works the providers did return (may be empty)
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<string|null>} Corrected query, or null when there is nothing to correct
+ */
+export async function findCorrection(query, works, env) {
+  if (queryWords(query).every(word => word.length < MIN_WORD_LENGTH)) {
+    return null;
+  }
+
+  if (works.length > 0) {
+    return suggestCorrection(query, works);
+  }
+
+  // Nothing to learn the spelling from - ask OpenLibrary for near matches (Lucene fuzzy syntax)
+  const fuzzy = await externalApis.searchOpenLibrary(fuzzyQuery(query), { maxResults: FUZZY_SEARCH_LIMIT }, env);
+  return fuzzy.success ? suggestCorrection(query, fuzzy.works) : null;
+}
+
+/**
+ * Correct query words against the vocabulary of a result set
+ * @param {string} query - Query as the user typed it
+ * @param {Object[]} works - Canonical works to take the vocabulary from
+ * @returns {string|null} Corrected query ("harry poter" → "harry potter"), or null when no word changed
+ */
+export function suggestCorrection(query, works) {
+  const vocabulary = buildVocabulary(works);
+  if (vocabulary.size === 0) return null;
+
+  const words = queryWords(query);
+  const corrected = words.map(word => correctWord(word, vocabulary));
+
+  return corrected.some((word, i) => word !== words[i]) ? corrected.join(' ') : null;
+}
+
+function queryWords(query) {
+  return normalizeText(stripSeriesMarkers(query)).split(' ').filter(Boolean);
+}
+
+function fuzzyQuery(query) {
+  return queryWords(query)
+    .map(word => (word.length >= MIN_WORD_LENGTH ? `${word}~` : word))
+    .join(' ');
+}
+
+/**
+ * Word → occurrence count over titles, subtitles and author names
+ */
+function buildVocabulary(works) {
+  const vocabulary = new Map();
+  const add = (text) => {
+    for (const word of text.split(' ').filter(Boolean)) {
+      vocabulary.set(word, (vocabulary.get(word) || 0) + 1);
+    }
+  };
+
+  for (const work of works) {
+    add(normalizeText(`${work.title || ''} ${work.subtitle || ''}`));
+    (work.authors || []).forEach(author => add(normalizeAuthorName(author.name)));
+  }
+
+  return vocabulary;
+}
+
+/**
+ * Closest vocabulary word within the edit budget (most frequent on ties),
+ * or the word itself when it is known, short, numeric or has no close match
+ */
+function correctWord(word, vocabulary) {
+  if (word.length < MIN_WORD_LENGTH || /\d/.test(word) || vocabulary.has(word)) {
+    return word;
+  }
+
+  const maxEdits = word.length >= LONG_WORD_LENGTH ? 2 : 1;
+  let best = null;
+
+  for (const [candidate, count] of vocabulary) {
+    if (Math.abs(candidate.length - word.length) > maxEdits) continue;
+
+    const distance = editDistance(word, candidate);
+    if (distance > maxEdits) continue;
+
+    if (!best || distance < best.distance || (distance === best.distance && count > best.count)) {
+      best = { word: candidate, distance, count };
+    }
+  }
+
+  return best ? best.word : word;
+}
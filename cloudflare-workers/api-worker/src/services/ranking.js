@@ -0,0 +1,168 @@
+/**
+ * Relevance ranking for merged search results
+ *
+ * Scores each work from five signals in [0, 1] and sorts by the weighted sum:
+ * - title: how well the work title matches the query
+ * - author: how well an author matches the requested (or queried) author
+ * - completeness: primary edition has cover, ISBN, page count, description
+ * - popularity: ratings / reading logs / edition count (log scale)
+ * - language: primary edition language matches the requested language
+ *
+ * Derivative works (study guides, summaries, ...) are penalized unless the
+ * query asks for them, so "dune" ranks the Herbert novel above SparkNotes.
+ */
+
+import { primaryEdition } from '../types/canonical.js';
+import { missingFields } from './merge.js';
+import { normalizeTitle, normalizeAuthorName, similarity } from '../utils/text.js';
+
+export const WEIGHTS = {
+  title: 0.45,
+  author: 0.15,
+  completeness: 0.2,
+  popularity: 0.15,
+  language: 0.05
+};
+
+const DERIVATIVE_PENALTY = 0.5;
+const DERIVATIVE_TITLE_PATTERN = /\b(study guide|summary|summaries|sparknotes|cliffsnotes|cliffs notes|analysis|workbook|quiz|lesson plans?|readers guide|reader s guide|notes on)\b/;
+const DERIVATIVE_AUTHOR_PATTERN = /\b(supersummary|bookrags|sparknotes|cliffsnotes|gradesaver|bright summaries|instaread)\b/;
+
+// Log scale: ~100k combined signals saturates the popularity score
+const POPULARITY_SATURATION = 5;
+
+// OpenLibrary uses MARC (ISO 639-2/B) codes, Google Books uses ISO 639-1
+const LANGUAGE_CODES = {
+  eng: 'en', fre: 'fr', fra: 'fr', spa: 'es', ger: 'de', deu: 'de', ita: 'it',
+  por: 'pt', dut: 'nl', nld: 'nl', rus: 'ru', jpn: 'ja', chi: 'zh', zho: 'zh'
+};
+
+/**
+ * Score and sort works by relevance to a query
+ * Sorting is stable, so ties keep provider/merge order.
+ *
+ * @param {Object[]} works - Canonical works
+ * @param {Object} options - Ranking options
+ * @param {string} options.query - Title query (or free text)
+ * @param {string} [options.author] - Requested author, if the search had one
+ * @param {string} [options.language='en'] - Preferred language (ISO 639-1)
+ * @param {boolean} [options.explain=false] - Attach `scoreBreakdown` to each work
+ * @returns {Object[]} Works with `score` (0-1), highest first
+ */
+export function rankWorks(works, options) {
+  return works
+    .map(work => {
+      const { score, breakdown } = scoreWork(work, options);
+      return options.explain
+        ? { ...work, score, scoreBreakdown: breakdown }
+        : { ...work, score };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Score one work
+ * @returns {{score: number, breakdown: Object}} Score plus per-signal values and penalties
+ */
+export function scoreWork(work, { query = '', author = '', language = 'en' }) {
+  const authorNames = work.authors.map(a => normalizeAuthorName(a.name)).filter(Boolean);
+  const { titleQuery, authorInQuery } = splitQuery(normalizeTitle(query), authorNames, author);
+
+  const signals = {
+    title: titleScore(titleQuery, work),
+    author: author
+      ? Math.max(0, ...authorNames.map(name => similarity(normalizeAuthorName(author), name)))
+      : (authorInQuery ? 1 : 0.5),
+    completeness: 1 - missingFields(work).length / 4,
+    popularity: popularityScore(work.popularity),
+    language: languageScore(primaryEdition(work)?.language, language)
+  };
+
+  let score = Object.entries(WEIGHTS).reduce((sum, [signal, weight]) => sum + signals[signal] * weight, 0);
+
+  const penalties = [];
+  if (isDerivative(work, authorNames) && !DERIVATIVE_TITLE_PATTERN.test(normalizeTitle(query))) {
+    score *= DERIVATIVE_PENALTY;
+    penalties.push('derivative');
+  }
+
+  return {
+    score: round(score),
+    breakdown: {
+      signals: Object.fromEntries(Object.entries(signals).map(([k, v]) => [k, round(v)])),
+      weights: WEIGHTS,
+      penalties
+    }
+  };
+}
+
+/**
+ * Remove words naming one of the work's authors from a free-text query
+ * ("dune herbert" → "dune"), unless an explicit author was given.
+ */
+function splitQuery(normalizedQuery, authorNames, explicitAuthor) {
+  if (explicitAuthor || authorNames.length === 0) {
+    return { titleQuery: normalizedQuery, authorInQuery: false };
+  }
+
+  const authorTokens = new Set(authorNames.flatMap(name => name.split(' ')).filter(t => t.length > 2));
+  const tokens = normalizedQuery.split(' ');
+  const titleTokens = tokens.filter(token => !authorTokens.has(token));
+
+  // Never strip the whole query ("king" by Stephen King is still a title search)
+  if (titleTokens.length === 0 || titleTokens.length === tokens.length) {
+    return { titleQuery: normalizedQuery, authorInQuery: false };
+  }
+  return { titleQuery: titleTokens.join(' '), authorInQuery: true };
+}
+
+/**
+ * Exact match 1; title containing every query word 0.6-1 by coverage;
+ * otherwise bigram similarity
+ */
+function titleScore(titleQuery, work) {
+  const title = normalizeTitle(work.title);
+  if (!titleQuery || !title) return 0;
+  if (title === titleQuery) return 1;
+
+  const titleTokens = title.split(' ');
+  const queryTokens = titleQuery.split(' ');
+  const fuzzy = similarity(titleQuery, title);
+
+  if (queryTokens.every(token => titleTokens.includes(token))) {
+    return Math.max(fuzzy, 0.6 + 0.4 * (queryTokens.length / titleTokens.length));
+  }
+  return fuzzy;
+}
+
+/**
+ * Popularity in [0, 1] from ratings, reading logs and edition count (log scale)
+ * @param {Object|null} popularity - Work popularity signals
+ * @returns {number}
+ */
+export function popularityScore(popularity) {
+  if (!popularity) return 0;
+  const count = (popularity.ratingsCount || 0) +
+    (popularity.readingLogCount || 0) +
+    (popularity.editionCount || 0) * 10;
+  return Math.min(1, Math.log10(1 + count) / POPULARITY_SATURATION);
+}
+
+/**
+ * 1 for the preferred language, 0.5 when unknown, 0 otherwise
+ */
+function languageScore(editionLanguage, preferred) {
+  if (!editionLanguage) return 0.5;
+  const code = editionLanguage.toLowerCase();
+  return (LANGUAGE_CODES[code] || code) === preferred.toLowerCase() ? 1 : 0;
+}
+
+function isDerivative(work, authorNames) {
+  const title = normalizeTitle(`${work.title} ${work.subtitle || ''}`);
+  return DERIVATIVE_TITLE_PATTERN.test(title) ||
+    authorNames.some(name => DERIVATIVE_AUTHOR_PATTERN.test(name));
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
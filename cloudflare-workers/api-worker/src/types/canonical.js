@@ -0,0 +1,310 @@
+/**
+ * Canonical Work / Edition / Author DTOs
+ *
+ * Every provider (Google Books, OpenLibrary, ISBNdb) maps into these shapes,
+ * so downstream code never has to guess between `pages`/`pageCount`,
+ * `publishDate`/`publicationDate` or `synopsis`/`description`.
+ * Output formats (e.g. Google Books `volumeInfo`) are serializers on top
+ * (see utils/serializers.js).
+ *
+ * Factories fill defaults, drop empty values to null and validate the result
+ * against the schema below, throwing on a mismatch.
+ *
+ * `provenance` maps field name → provider for records built by the merge
+ * engine (services/merge.js); it is null for single-provider records.
+ *
+ * `score` / `scoreBreakdown` are only present on ranked search results
+ * (services/ranking.js).
+ */
+
+import { toISBN13 } from '../utils/isbn.js';
+
+// ============================================================================
+// Schemas
+// ============================================================================
+
+/**
+ * Field rules: { type, required?, items? }
+ * type is one of 'string' | 'number' | 'boolean' | 'object' | 'array'
+ * Optional fields may be null.
+ */
+export const AUTHOR_SCHEMA = {
+  name: { type: 'string', required: true },
+  externalIds: { type: 'object', required: true },
+  source: { type: 'string' }
+};
+
+export const EDITION_SCHEMA = {
+  isbn13: { type: 'string' },
+  isbn10: { type: 'string' },
+  isbns: { type: 'array', required: true, items: 'string' },
+  title: { type: 'string' },
+  subtitle: { type: 'string' },
+  publisher: { type: 'string' },
+  publicationDate: { type: 'string' },
+  publicationYear: { type: 'number' },
+  pageCount: { type: 'number' },
+  language: { type: 'string' },
+  binding: { type: 'string' },
+  description: { type: 'string' },
+  genres: { type: 'array', required: true, items: 'string' },
+  coverImageURL: { type: 'string' },
+  previewLink: { type: 'string' },
+  infoLink: { type: 'string' },
+  externalIds: { type: 'object', required: true },
+  qualityScore: { type: 'number' },
+  provenance: { type: 'object' },
+  source: { type: 'string', required: true }
+};
+
+export const WORK_SCHEMA = {
+  title: { type: 'string', required: true },
+  subtitle: { type: 'string' },
+  authors: { type: 'array', required: true, items: AUTHOR_SCHEMA },
+  description: { type: 'string' },
+  subjects: { type: 'array', required: true, items: 'string' },
+  firstPublicationYear: { type: 'number' },
+  externalIds: { type: 'object', required: true },
+  editions: { type: 'array', required: true, items: EDITION_SCHEMA },
+  popularity: { type: 'object' },
+  provenance: { type: 'object' },
+  sources: { type: 'array', required: true, items: 'string' },
+  source: { type: 'string', required: true },
+  score: { type: 'number' },
+  scoreBreakdown: { type: 'object' }
+};
+
+/**
+ * Popularity signals a provider may report (all counts)
+ */
+export const POPULARITY_SIGNALS = ['ratingsCount', 'averageRating', 'editionCount', 'readingLogCount'];
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Validate an object against a schema
+ * @param {Object} value - Object to check
+ * @param {Object} schema - One of the *_SCHEMA definitions
+ * @param {string} path - Path prefix for error messages
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validate(value, schema, path = '') {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return [`${path || 'value'}: expected object`];
+  }
+
+  const errors = [];
+
+  for (const key of Object.keys(value)) {
+    if (!(key in schema)) {
+      errors.push(`${path}${key}: unknown field`);
+    }
+  }
+
+  for (const [key, rules] of Object.entries(schema)) {
+    const fieldValue = value[key];
+    const fieldPath = `${path}${key}`;
+
+    if (fieldValue === null || fieldValue === undefined) {
+      if (rules.required) errors.push(`${fieldPath}: required`);
+      continue;
+    }
+
+    if (!matchesType(fieldValue, rules.type)) {
+      errors.push(`${fieldPath}: expected ${rules.type}`);
+      continue;
+    }
+
+    if (rules.type === 'array' && rules.items) {
+      fieldValue.forEach((item, i) => {
+        if (typeof rules.items === 'string') {
+          if (!matchesType(item, rules.items)) {
+            errors.push(`${fieldPath}[${i}]: expected ${rules.items}`);
+          }
+        } else {
+          errors.push(...validate(item, rules.items, `${fieldPath}[${i}].`));
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+export const validateAuthor = (author) => validate(author, AUTHOR_SCHEMA);
+export const validateEdition = (edition) => validate(edition, EDITION_SCHEMA);
+export const validateWork = (work) => validate(work, WORK_SCHEMA);
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && !Array.isArray(value);
+    case 'number': return typeof value === 'number' && !isNaN(value);
+    default: return typeof value === type;
+  }
+}
+
+function assertValid(kind, errors) {
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${kind}: ${errors.join('; ')}`);
+  }
+}
+
+// ============================================================================
+// Factories
+// ============================================================================
+
+/**
+ * Create a canonical Author
+ * @param {Object} fields - { name, externalIds?, source? }
+ * @returns {Object} Author DTO
+ * @throws {Error} When the result fails AUTHOR_SCHEMA
+ */
+export function createAuthor(fields) {
+  const author = {
+    name: cleanString(fields.name),
+    externalIds: compactIds(fields.externalIds),
+    source: cleanString(fields.source)
+  };
+  assertValid('Author', validateAuthor(author));
+  return author;
+}
+
+/**
+ * Create a canonical Edition
+ * `isbns` always contains every known ISBN (13 first); a missing ISBN-13 is
+ * derived from the ISBN-10 (utils/isbn.js) and publicationYear from
+ * publicationDate.
+ * @param {Object} fields - Edition fields (see EDITION_SCHEMA)
+ * @returns {Object} Edition DTO
+ * @throws {Error} When the result fails EDITION_SCHEMA
+ */
+export function createEdition(fields) {
+  const isbn13 = cleanString(fields.isbn13) || toISBN13(fields.isbn10);
+  const isbn10 = cleanString(fields.isbn10);
+  const publicationDate = cleanString(fields.publicationDate);
+
+  const edition = {
+    isbn13,
+    isbn10,
+    isbns: uniqueStrings([isbn13, isbn10, ...(fields.isbns || [])]),
+    title: cleanString(fields.title),
+    subtitle: cleanString(fields.subtitle),
+    publisher: cleanString(fields.publisher),
+    publicationDate,
+    publicationYear: toNumber(fields.publicationYear) ?? extractYear(publicationDate),
+    pageCount: toNumber(fields.pageCount) || null,
+    language: cleanString(fields.language),
+    binding: cleanString(fields.binding),
+    description: cleanString(fields.description),
+    genres: uniqueStrings(fields.genres || []),
+    coverImageURL: cleanString(fields.coverImageURL),
+    previewLink: cleanString(fields.previewLink),
+    infoLink: cleanString(fields.infoLink),
+    externalIds: compactIds(fields.externalIds),
+    qualityScore: toNumber(fields.qualityScore),
+    provenance: fields.provenance || null,
+    source: cleanString(fields.source)
+  };
+  assertValid('Edition', validateEdition(edition));
+  return edition;
+}
+
+/**
+ * Create a canonical Work
+ * Authors and editions may be passed as plain field objects or existing DTOs.
+ * @param {Object} fields - Work fields (see WORK_SCHEMA)
+ * @returns {Object} Work DTO
+ * @throws {Error} When the result fails WORK_SCHEMA
+ */
+export function createWork(fields) {
+  const source = cleanString(fields.source);
+
+  const work = {
+    title: cleanString(fields.title),
+    subtitle: cleanString(fields.subtitle),
+    authors: (fields.authors || [])
+      .map(a => createAuthor(typeof a === 'string' ? { name: a, source } : { ...a, source: a.source || source })),
+    description: cleanString(fields.description),
+    subjects: uniqueStrings(fields.subjects || []),
+    firstPublicationYear: toNumber(fields.firstPublicationYear),
+    externalIds: {
+      openLibraryWorkId: null,
+      goodreadsWorkIds: [],
+      amazonASINs: [],
+      librarythingIds: [],
+      googleBooksVolumeIds: [],
+      isbndbIds: [],
+      ...compactIds(fields.externalIds)
+    },
+    editions: (fields.editions || []).map(e => createEdition({ ...e, source: e.source || source })),
+    popularity: compactPopularity(fields.popularity),
+    provenance: fields.provenance || null,
+    sources: uniqueStrings(fields.sources || [source]),
+    source
+  };
+  assertValid('Work', validateWork(work));
+  return work;
+}
+
+/**
+ * Pick the edition to represent a work (first edition with a cover, else the first)
+ * @param {Object} work - Work DTO
+ * @returns {Object|null} Edition DTO
+ */
+export function primaryEdition(work) {
+  const editions = work.editions || [];
+  return editions.find(e => e.coverImageURL) || editions[0] || null;
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function cleanString(value) {
+  if (value === null || value === undefined) return null;
+  const str = String(value).trim();
+  return str.length > 0 ? str : null;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = typeof value === 'number' ? value : parseInt(value, 10);
+  return isNaN(num) ? null : num;
+}
+
+function uniqueStrings(values) {
+  return [...new Set(values.map(cleanString).filter(Boolean))];
+}
+
+function compactIds(ids = {}) {
+  const result = {};
+  for (const [key, value] of Object.entries(ids || {})) {
+    if (Array.isArray(value)) {
+      result[key] = uniqueStrings(value);
+    } else {
+      result[key] = cleanString(value);
+    }
+  }
+  return result;
+}
+
+function compactPopularity(popularity) {
+  if (!popularity) return null;
+  const result = {};
+  for (const signal of POPULARITY_SIGNALS) {
+    const value = Number(popularity[signal]);
+    if (popularity[signal] !== null && popularity[signal] !== undefined && !isNaN(value) && value > 0) {
+      result[signal] = value;
+    }
+  }
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+function extractYear(dateString) {
+  if (!dateString) return null;
+  const yearMatch = dateString.match(/(\d{4})/);
+  return yearMatch ? parseInt(yearMatch[1], 10) : null;
+}
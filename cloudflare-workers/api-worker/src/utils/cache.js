@@ -3,6 +3,8 @@
  * Migrated from books-api-proxy caching logic
  */
 
+import { normalizeCacheKeyValue } from './text.js';
+
 /**
  * Get cached data from KV store
  * @param {string} key - Cache key
@@ -44,6 +46,9 @@ export async function setCached(key, value, ttl, env) {
 
 /**
  * Generate cache key from prefix and parameters
+ * String values are normalized (utils/text.js normalizeCacheKeyValue), so queries
+ * differing only in case, accents, spacing or trailing punctuation ("The Hobbit",
+ * "the  hobbit!") share one entry, while "Book 1" and "Book 7" do not.
  * @param {string} prefix - Cache key prefix (e.g., 'search:title', 'search:isbn')
  * @param {Object} params - Key-value pairs to include in cache key
  * @returns {string} Generated cache key
@@ -51,7 +56,7 @@ export async function setCached(key, value, ttl, env) {
 export function generateCacheKey(prefix, params) {
   const sortedParams = Object.keys(params)
     .sort()
-    .map(k => `${k}=${params[k]}`)
+    .map(k => `${k}=${typeof params[k] === 'string' ? normalizeCacheKeyValue(params[k]) : params[k]}`)
     .join('&');
   return `${prefix}:${sortedParams}`;
 }
@@ -0,0 +1,77 @@
+/**
+ * Bounded-concurrency helpers for fanning out provider calls
+ */
+
+const DEFAULT_CONCURRENCY_LIMIT = 10;
+
+/**
+ * Max in-flight provider lookups per request (CONCURRENCY_LIMIT var)
+ * @param {Object} env - Worker environment bindings
+ * @returns {number}
+ */
+export function concurrencyLimit(env) {
+  return parseInt(env.CONCURRENCY_LIMIT) || DEFAULT_CONCURRENCY_LIMIT;
+}
+
+/**
+ * Map over items with at most `limit` calls in flight
+ * Results keep input order. Like Promise.all, the first rejection rejects the
+ * whole map - catch inside `fn` to collect per-item errors instead.
+ *
+ * @param {Array} items - Inputs
+ * @param {number} limit - Max concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Token bucket for pacing calls to one provider
+ * Holds up to `burst` tokens, refilled at `rate` per second; take() resolves
+ * once a token is available. Waiters are served in call order.
+ *
+ * @param {Object} options
+ * @param {number} options.rate - Tokens per second
+ * @param {number} [options.burst] - Bucket size (default: rate)
+ * @returns {{take: Function}} take() => Promise<void>
+ */
+export function createTokenBucket({ rate, burst = rate }) {
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * rate);
+    lastRefill = now;
+  }
+
+  return {
+    take() {
+      const turn = queue.then(async () => {
+        refill();
+        if (tokens < 1) {
+          await new Promise(resolve => setTimeout(resolve, ((1 - tokens) / rate) * 1000));
+          refill();
+        }
+        tokens -= 1;
+      });
+      queue = turn;
+      return turn;
+    }
+  };
+}
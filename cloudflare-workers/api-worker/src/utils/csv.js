@@ -0,0 +1,113 @@
+/**
+ * CSV / TSV parsing for library imports, and writing for exports
+ * RFC 4180: quoted fields may contain delimiters, newlines and "" escapes.
+ */
+
+const DELIMITERS = [',', '\t', ';'];
+
+/**
+ * Guess the delimiter from the header line
+ * @param {string} text - File contents
+ * @returns {string} ',', '\t' or ';' (whichever splits the header most)
+ */
+export function detectDelimiter(text) {
+  const header = text.slice(0, text.search(/\r?\n|$/));
+  return DELIMITERS
+    .map(delimiter => ({ delimiter, count: header.split(delimiter).length }))
+    .reduce((best, candidate) => (candidate.count > best.count ? candidate : best))
+    .delimiter;
+}
+
+/**
+ * Parse delimited text into records keyed by header
+ * @param {string} text - File contents (a leading BOM is ignored)
+ * @param {string} [delimiter] - Field delimiter (detected when omitted)
+ * @returns {{headers: string[], records: Object[]}} Records also carry `_line`, the
+ *   1-based line they start on; blank lines are skipped
+ */
+export function parseDelimited(text, delimiter = detectDelimiter(text)) {
+  const rows = splitRows(text.replace(/^\uFEFF/, ''), delimiter);
+  if (rows.length === 0) {
+    return { headers: [], records: [] };
+  }
+
+  const headers = rows[0].fields.map(header => header.trim());
+  const records = rows.slice(1)
+    .filter(row => row.fields.some(field => field.trim() !== ''))
+    .map(row => {
+      const record = { _line: row.line };
+      headers.forEach((header, i) => { record[header] = (row.fields[i] ?? '').trim(); });
+      return record;
+    });
+
+  return { headers, records };
+}
+
+/**
+ * Serialize rows as delimited text (CRLF line endings, RFC 4180 quoting)
+ * @param {string[]} headers - Header row; also the keys read from each row
+ * @param {Object[]} rows - Records keyed by header
+ * @param {string} [delimiter] - Field delimiter (default ',')
+ * @returns {string} File contents
+ */
+export function formatDelimited(headers, rows, delimiter = ',') {
+  const line = (values) => values.map(value => quoteField(value, delimiter)).join(delimiter);
+  return [line(headers), ...rows.map(row => line(headers.map(header => row[header])))]
+    .map(text => `${text}\r\n`)
+    .join('');
+}
+
+function quoteField(value, delimiter) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Character-level scan into rows of fields
+ * @returns {{line: number, fields: string[]}[]}
+ */
+function splitRows(text, delimiter) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      fields.push(field);
+      rows.push({ line: rowLine, fields });
+      fields = [];
+      field = '';
+      rowLine = ++line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || fields.length > 0) {
+    fields.push(field);
+    rows.push({ line: rowLine, fields });
+  }
+
+  return rows;
+}
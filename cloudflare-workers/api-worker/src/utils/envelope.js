@@ -0,0 +1,77 @@
+/**
+ * /v1 response envelope
+ *
+ * Every /v1 response has the same top-level shape so iOS and web clients
+ * can decode one contract:
+ *
+ *   {
+ *     data: <payload> | null,
+ *     meta: { provider, cached, responseTime, requestId, timestamp },
+ *     error: { code, message, details? } | null
+ *   }
+ */
+
+import { jsonResponse, ErrorCodes } from './response.js';
+
+/**
+ * Build the meta block for a request
+ * @param {Object} req - Router request context
+ * @param {Object} meta - Handler-supplied meta (provider, cached, responseTime, ...)
+ * @returns {Object} Meta block
+ */
+function buildMeta(req, meta = {}) {
+  return {
+    provider: null,
+    cached: false,
+    ...meta,
+    responseTime: meta.responseTime ?? (Date.now() - req.startTime),
+    requestId: req.requestId,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Build a success envelope response
+ * @param {Object} req - Router request context
+ * @param {*} data - Payload
+ * @param {Object} meta - Provider/cache metadata
+ * @param {number} status - HTTP status code (default: 200)
+ * @returns {Response} JSON response
+ */
+export function envelopeResponse(req, data, meta = {}, status = 200) {
+  return jsonResponse({
+    data,
+    meta: buildMeta(req, meta),
+    error: null
+  }, status);
+}
+
+/**
+ * Build an error envelope response
+ * @param {Object} req - Router request context
+ * @param {number} status - HTTP status code
+ * @param {string} code - One of ErrorCodes
+ * @param {string} message - Human-readable message
+ * @param {Object} details - Optional structured details
+ * @param {Object} headers - Extra response headers
+ * @returns {Response} JSON response
+ */
+export function errorEnvelopeResponse(req, status, code, message, details, headers = {}) {
+  const error = { code: code || ErrorCodes.INTERNAL_ERROR, message };
+  if (details && Object.keys(details).length > 0) {
+    error.details = details;
+  }
+
+  return jsonResponse({
+    data: null,
+    meta: buildMeta(req),
+    error
+  }, status, headers);
+}
+
+/**
+ * True when the request targets the versioned /v1 surface
+ */
+export function isV1Request(req) {
+  return req.url.pathname === '/v1' || req.url.pathname.startsWith('/v1/');
+}
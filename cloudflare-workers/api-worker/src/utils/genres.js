@@ -0,0 +1,83 @@
+/**
+ * Genre vocabulary
+ *
+ * The fixed set of genres the app shows (discovery tab, book details).
+ * Provider subjects/categories ("Fiction / Science Fiction / Space Opera",
+ * "science_fiction", "Juvenile fiction") are mapped onto it by normalizeGenres.
+ * Each genre also names the subject to browse on each provider.
+ */
+
+import { stripDiacritics } from './text.js';
+
+/**
+ * slug → { name, pattern (matched against a normalized subject), openLibrary, google }
+ * Order matters: the first matching genres win when a work has many subjects.
+ */
+export const GENRES = {
+  'science-fiction': { name: 'Science Fiction', pattern: /\b(science fiction|sci fi|space opera|cyberpunk|dystopia|dystopias)\b/, openLibrary: 'science_fiction', google: 'Science Fiction' },
+  'fantasy': { name: 'Fantasy', pattern: /\b(fantasy|magic|dragons|wizards)\b/, openLibrary: 'fantasy', google: 'Fantasy' },
+  'mystery': { name: 'Mystery', pattern: /\b(mystery|mysteries|detective|crime)\b/, openLibrary: 'mystery_and_detective_stories', google: 'Mystery' },
+  'thriller': { name: 'Thriller', pattern: /\b(thriller|thrillers|suspense|espionage)\b/, openLibrary: 'thrillers', google: 'Thrillers' },
+  'horror': { name: 'Horror', pattern: /\b(horror|ghost stories|supernatural)\b/, openLibrary: 'horror', google: 'Horror' },
+  'romance': { name: 'Romance', pattern: /\b(romance|love stories)\b/, openLibrary: 'romance', google: 'Romance' },
+  'historical-fiction': { name: 'Historical Fiction', pattern: /\bhistorical fiction\b/, openLibrary: 'historical_fiction', google: 'Historical Fiction' },
+  'literary-fiction': { name: 'Literary Fiction', pattern: /\bliterary( fiction)?\b/, openLibrary: 'literary_fiction', google: 'Literary Fiction' },
+  'classics': { name: 'Classics', pattern: /\b(classics|classic literature)\b/, openLibrary: 'classic_literature', google: 'Classics' },
+  'young-adult': { name: 'Young Adult', pattern: /\b(young adult|juvenile fiction|teen)\b/, openLibrary: 'young_adult_fiction', google: 'Young Adult Fiction' },
+  'childrens': { name: "Children's", pattern: /\b(juvenile literature|childrens|picture books)\b/, openLibrary: 'juvenile_literature', google: 'Juvenile Nonfiction' },
+  'graphic-novels': { name: 'Graphic Novels', pattern: /\b(comics|graphic novels?|manga)\b/, openLibrary: 'graphic_novels', google: 'Comics & Graphic Novels' },
+  'poetry': { name: 'Poetry', pattern: /\b(poetry|poems)\b/, openLibrary: 'poetry', google: 'Poetry' },
+  'biography': { name: 'Biography', pattern: /\b(biography|autobiography|memoir|memoirs)\b/, openLibrary: 'biography', google: 'Biography & Autobiography' },
+  'history': { name: 'History', pattern: /^history\b|\bhistory$/, openLibrary: 'history', google: 'History' },
+  'science': { name: 'Science', pattern: /^science$|\b(popular science|physics|astronomy|biology|chemistry)\b/, openLibrary: 'science', google: 'Science' },
+  'self-help': { name: 'Self-Help', pattern: /\b(self help|personal development|self improvement)\b/, openLibrary: 'self-help', google: 'Self-Help' },
+  'business': { name: 'Business', pattern: /\b(business|economics|management)\b/, openLibrary: 'business', google: 'Business & Economics' }
+};
+
+const MAX_GENRES = 4;
+
+/**
+ * Map provider subjects to genre names from GENRES
+ * @param {string[]} subjects - Raw subjects/categories from any provider
+ * @returns {string[]} Up to 4 genre names in vocabulary order
+ */
+export function normalizeGenres(subjects) {
+  if (!subjects || subjects.length === 0) {
+    return [];
+  }
+
+  const normalized = subjects.flatMap(subject => String(subject).split(' / ')).map(normalizeSubject);
+
+  return Object.values(GENRES)
+    .filter(genre => normalized.some(subject => genre.pattern.test(subject)))
+    .map(genre => genre.name)
+    .slice(0, MAX_GENRES);
+}
+
+/**
+ * Resolve a subject slug to provider subjects
+ * Vocabulary slugs use the curated provider subjects; any other slug is
+ * passed through ("dragons" → OpenLibrary "dragons", Google "dragons").
+ *
+ * @param {string} slug - Subject slug, e.g. 'science-fiction'
+ * @returns {{slug: string, name: string, genre: string|null, openLibrary: string, google: string}}
+ */
+export function resolveSubject(slug) {
+  const key = slug.toLowerCase().trim();
+  const genre = Object.hasOwn(GENRES, key) ? GENRES[key] : null;
+
+  if (genre) {
+    return { slug: key, name: genre.name, genre: genre.name, openLibrary: genre.openLibrary, google: genre.google };
+  }
+
+  const words = key.replace(/[-_]+/g, ' ');
+  return { slug: key, name: words, genre: normalizeGenres([words])[0] || null, openLibrary: words.replace(/ /g, '_'), google: words };
+}
+
+function normalizeSubject(subject) {
+  return stripDiacritics(subject.toLowerCase())
+    .replace(/[_-]+/g, ' ')
+    .replace(/[^\p{L}\p{N}&\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
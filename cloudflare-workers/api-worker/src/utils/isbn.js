@@ -0,0 +1,148 @@
+/**
+ * ISBN parsing, validation and conversion
+ *
+ * ISBNs arrive as "0-441-01359-7", "ISBN 978 0441013593", `="0441013597"`
+ * (spreadsheet exports) or bare 9-digit SBNs. Search, enrichment and cache
+ * keys all use the canonical ISBN-13 from canonicalISBN, so the ISBN-10 and
+ * ISBN-13 of one book share a cache entry.
+ */
+
+// Bookland EAN prefixes - every ISBN-13 starts with one, ISBN-10s only map to 978
+const BOOKLAND_PREFIXES = ['978', '979'];
+
+/**
+ * Strip formatting from an ISBN
+ * Text with letters other than X ("Dune 0441013597") is not an ISBN.
+ * @param {string} value - Raw ISBN ("ISBN-13: 978-0-441-01359-3", `="0441013597"`)
+ * @returns {string} Digits (and a trailing X) only, e.g. "9780441013593"; '' for non-ISBN text
+ */
+export function cleanISBN(value) {
+  if (value === null || value === undefined) return '';
+  const isbn = String(value)
+    .toUpperCase()
+    .replace(/^\s*=?"?\s*/, '')
+    .replace(/^ISBN(?:[-\s]?1[03])?:?/, '');
+
+  return /[^\P{L}X]/u.test(isbn) ? '' : isbn.replace(/[^0-9X]/g, '');
+}
+
+/**
+ * @param {string} first9 - First 9 digits of an ISBN-10
+ * @returns {string} Check digit ('0'-'9' or 'X')
+ */
+export function isbn10CheckDigit(first9) {
+  const sum = [...first9].reduce((total, digit, i) => total + Number(digit) * (10 - i), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+}
+
+/**
+ * @param {string} first12 - First 12 digits of an ISBN-13
+ * @returns {string} Check digit ('0'-'9')
+ */
+export function isbn13CheckDigit(first12) {
+  const sum = [...first12].reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * @param {string} isbn - Cleaned ISBN
+ * @returns {boolean} True for a 10-character ISBN with a correct check digit
+ */
+export function isValidISBN10(isbn) {
+  return /^\d{9}[\dX]$/.test(isbn) && isbn10CheckDigit(isbn.slice(0, 9)) === isbn[9];
+}
+
+/**
+ * @param {string} isbn - Cleaned ISBN
+ * @returns {boolean} True for a 978/979 ISBN-13 with a correct check digit
+ */
+export function isValidISBN13(isbn) {
+  return /^\d{13}$/.test(isbn) && isBookland(isbn) && isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12];
+}
+
+/**
+ * @param {string} isbn13 - Cleaned 13-digit code
+ * @returns {boolean} True when the code carries a bookland (978/979) prefix
+ */
+export function isBookland(isbn13) {
+  return BOOKLAND_PREFIXES.includes(String(isbn13).slice(0, 3));
+}
+
+/**
+ * Convert to ISBN-13
+ * @param {string} value - ISBN-10 or ISBN-13, formatted or not
+ * @returns {string|null} ISBN-13, or null when the input is not a valid ISBN
+ */
+export function toISBN13(value) {
+  const isbn = expandSBN(cleanISBN(value));
+  if (isValidISBN13(isbn)) return isbn;
+  if (!isValidISBN10(isbn)) return null;
+
+  const first12 = `978${isbn.slice(0, 9)}`;
+  return first12 + isbn13CheckDigit(first12);
+}
+
+/**
+ * Convert to ISBN-10
+ * Only 978-prefixed ISBN-13s have an ISBN-10.
+ * @param {string} value - ISBN-10 or ISBN-13, formatted or not
+ * @returns {string|null} ISBN-10, or null when there is none
+ */
+export function toISBN10(value) {
+  const isbn = expandSBN(cleanISBN(value));
+  if (isValidISBN10(isbn)) return isbn;
+  if (!isValidISBN13(isbn) || !isbn.startsWith('978')) return null;
+
+  const first9 = isbn.slice(3, 12);
+  return first9 + isbn10CheckDigit(first9);
+}
+
+/**
+ * Canonical form used for search, enrichment and cache keys
+ * @param {string} value - Any ISBN spelling
+ * @returns {string|null} ISBN-13, or null when the input is not a valid ISBN
+ */
+export function canonicalISBN(value) {
+  return toISBN13(value);
+}
+
+/**
+ * Parse and validate an ISBN, explaining what is wrong with invalid input
+ * For a wrong check digit, `repaired` holds the ISBN-13 with the check digit
+ * recomputed - usually a single mistyped digit, so it is a suggestion only.
+ *
+ * @param {string} value - Raw ISBN
+ * @returns {Object} { input, isbn, valid, format, isbn13, isbn10, prefix, error, repaired }
+ */
+export function parseISBN(value) {
+  const input = value === null || value === undefined ? '' : String(value);
+  const isbn = expandSBN(cleanISBN(input));
+  const format = isbn.length === 10 ? 'ISBN-10' : isbn.length === 13 ? 'ISBN-13' : null;
+  const result = { input, isbn, valid: false, format, isbn13: null, isbn10: null, prefix: null, error: null, repaired: null };
+
+  if (!format || (format === 'ISBN-13' && isbn.includes('X')) || isbn.slice(0, -1).includes('X')) {
+    return { ...result, error: `Expected 10 or 13 digits (ISBN-10 may end in X), got "${input}"` };
+  }
+
+  if (format === 'ISBN-13' && !isBookland(isbn)) {
+    return { ...result, error: `Not a book EAN: ISBN-13s start with ${BOOKLAND_PREFIXES.join(' or ')}` };
+  }
+
+  const isbn13 = toISBN13(isbn);
+  if (!isbn13) {
+    const repaired = format === 'ISBN-10'
+      ? toISBN13(isbn.slice(0, 9) + isbn10CheckDigit(isbn.slice(0, 9)))
+      : isbn.slice(0, 12) + isbn13CheckDigit(isbn.slice(0, 12));
+    return { ...result, error: 'Invalid check digit', repaired };
+  }
+
+  return { ...result, valid: true, isbn13, isbn10: toISBN10(isbn13), prefix: isbn13.slice(0, 3) };
+}
+
+/**
+ * 9-digit SBNs (pre-1974) are ISBN-10s without the leading 0
+ */
+function expandSBN(isbn) {
+  return /^\d{8}[\dX]$/.test(isbn) ? `0${isbn}` : isbn;
+}
@@ -0,0 +1,75 @@
+/**
+ * Router middleware
+ * Each middleware has the signature `async (req, next) => Response`
+ * (see utils/router.js for the `req` context shape).
+ */
+
+import { HttpError, ErrorCodes, errorResponse, withHeaders } from './response.js';
+import { errorEnvelopeResponse, isV1Request } from './envelope.js';
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, X-AI-Provider, X-Request-ID, Last-Event-ID'
+};
+
+/**
+ * Assign a request ID (honoring an incoming X-Request-ID) and echo it back
+ */
+export async function requestId(req, next) {
+  req.requestId = req.request.headers.get('X-Request-ID') || crypto.randomUUID();
+  const response = await next();
+  return withHeaders(response, { 'X-Request-ID': req.requestId });
+}
+
+/**
+ * Answer CORS preflights and add CORS headers to every response (iOS + web clients)
+ */
+export async function cors(req, next) {
+  if (req.request.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers: CORS_HEADERS });
+  }
+
+  const response = await next();
+  return withHeaders(response, CORS_HEADERS);
+}
+
+/**
+ * Convert thrown errors into JSON responses
+ * /v1 routes get the typed error envelope; legacy routes keep `{ error, message }`.
+ * HttpError keeps its status and message; anything else becomes a 500 using the
+ * route's `errorMessage` (e.g. 'Failed to start enrichment') as the error text.
+ */
+export async function errorHandler(req, next) {
+  try {
+    return await next();
+  } catch (error) {
+    if (error instanceof HttpError) {
+      if (isV1Request(req)) {
+        return errorEnvelopeResponse(req, error.status, error.code, error.message, error.extra, error.headers);
+      }
+      return errorResponse(error.message, error.status, error.extra, error.headers);
+    }
+
+    const label = req.route?.errorMessage || 'Internal server error';
+    console.error(`[${req.requestId}] ${label}:`, error);
+
+    if (isV1Request(req)) {
+      return errorEnvelopeResponse(req, 500, ErrorCodes.INTERNAL_ERROR, label, { message: error.message });
+    }
+    return errorResponse(label, 500, { message: error.message });
+  }
+}
+
+/**
+ * Parse the request body as JSON into `req.body`
+ * @throws {HttpError} 400 for malformed JSON
+ */
+export async function jsonBody(req, next) {
+  try {
+    req.body = await req.request.json();
+  } catch (error) {
+    throw new HttpError(400, 'Invalid JSON body', { message: error.message });
+  }
+  return next();
+}
@@ -0,0 +1,97 @@
+/**
+ * Page / cursor pagination shared by the search routes
+ *
+ * Clients either ask for `page` + `maxResults` or follow `nextCursor`. A
+ * cursor is an opaque base64url token holding the next offset into the merged
+ * result list, so it stays valid whatever page size the client asks for next.
+ */
+
+import { HttpError } from './response.js';
+
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Validate page/maxResults for paginated routes
+ * @throws {HttpError} 400 on out-of-range paging
+ */
+export function assertPageOptions({ page, maxResults }) {
+  if (!Number.isInteger(page) || !Number.isInteger(maxResults) ||
+      page < 1 || maxResults < 1 || maxResults > MAX_PAGE_SIZE) {
+    throw new HttpError(400, `page must be >= 1 and maxResults between 1 and ${MAX_PAGE_SIZE}`);
+  }
+}
+
+/**
+ * Turn request paging options into an offset window
+ * @param {Object} options - { page = 1, maxResults = 20, cursor }
+ * @returns {{offset: number, limit: number}}
+ * @throws {HttpError} 400 for a malformed cursor
+ */
+export function resolvePage({ page = 1, maxResults = 20, cursor } = {}) {
+  const offset = cursor ? decodeCursor(cursor) : (page - 1) * maxResults;
+  return { offset, limit: maxResults };
+}
+
+/**
+ * Cut one page out of a merged result list
+ * @param {Array} items - Full (so far) ordered result list
+ * @param {{offset: number, limit: number}} window - From resolvePage
+ * @param {Object} options
+ * @param {number} options.totalItems - Size of the whole result set (default: items.length)
+ * @param {boolean} options.complete - False when more items exist beyond `items` (default: true)
+ * @returns {{items: Array, pagination: Object}} Page items plus
+ *   { page, maxResults, totalPages, hasMore, nextCursor }
+ */
+export function paginate(items, { offset, limit }, { totalItems = items.length, complete = true } = {}) {
+  const pageItems = items.slice(offset, offset + limit);
+  const hasMore = offset + pageItems.length < items.length || (!complete && pageItems.length === limit);
+
+  return {
+    items: pageItems,
+    pagination: pageInfo({ offset, limit }, pageItems.length, totalItems, hasMore)
+  };
+}
+
+/**
+ * Pagination block for a page fetched some other way (e.g. a provider range)
+ * @param {{offset: number, limit: number}} window - From resolvePage
+ * @param {number} returned - Items on this page
+ * @param {number} totalItems - Size of the whole result set
+ * @param {boolean} hasMore - Whether another page exists
+ * @returns {Object} { page, maxResults, totalPages, hasMore, nextCursor }
+ */
+export function pageInfo({ offset, limit }, returned, totalItems, hasMore) {
+  return {
+    page: Math.floor(offset / limit) + 1,
+    maxResults: limit,
+    totalPages: Math.ceil(totalItems / limit),
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(offset + returned) : null
+  };
+}
+
+/**
+ * @param {number} offset - Offset of the next item
+ * @returns {string} Opaque cursor
+ */
+export function encodeCursor(offset) {
+  return btoa(JSON.stringify({ o: offset }))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {number} Offset
+ * @throws {HttpError} 400 when the cursor is not one of ours
+ */
+export function decodeCursor(cursor) {
+  try {
+    const { o } = JSON.parse(atob(cursor.replace(/-/g, '+').replace(/_/g, '/')));
+    if (Number.isInteger(o) && o >= 0) return o;
+  } catch {
+    // fall through
+  }
+  throw new HttpError(400, 'Invalid cursor');
+}
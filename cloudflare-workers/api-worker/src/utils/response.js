@@ -0,0 +1,103 @@
+/**
+ * Response helpers shared by all route handlers
+ * Keeps Content-Type and status handling in one place
+ */
+
+/**
+ * Build a JSON response
+ * @param {Object} data - Response body (serialized with JSON.stringify)
+ * @param {number} status - HTTP status code (default: 200)
+ * @param {Object} headers - Extra headers to merge in
+ * @returns {Response} JSON response
+ */
+export function jsonResponse(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    }
+  });
+}
+
+/**
+ * Build a JSON error response in the legacy `{ error, message? }` shape
+ * @param {string} error - Short error description
+ * @param {number} status - HTTP status code
+ * @param {Object} extra - Additional fields (e.g. message, maxSize)
+ * @param {Object} headers - Extra headers to merge in
+ * @returns {Response} JSON error response
+ */
+export function errorResponse(error, status, extra = {}, headers = {}) {
+  return jsonResponse({ error, ...extra }, status, headers);
+}
+
+/**
+ * Return a copy of a response with extra headers set
+ * WebSocket upgrade responses (101) are returned untouched - they can't be re-wrapped.
+ * @param {Response} response - Original response
+ * @param {Object} headers - Headers to set
+ * @returns {Response} Response with headers applied
+ */
+export function withHeaders(response, headers) {
+  if (response.status === 101 || response.webSocket) {
+    return response;
+  }
+
+  const copy = new Response(response.body, response);
+  for (const [name, value] of Object.entries(headers)) {
+    copy.headers.set(name, value);
+  }
+  return copy;
+}
+
+/**
+ * Typed error codes used in the /v1 response envelope
+ */
+export const ErrorCodes = {
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+  GONE: 'GONE',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  RATE_LIMITED: 'RATE_LIMITED',
+  PROVIDER_ERROR: 'PROVIDER_ERROR',
+  SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+const STATUS_CODES = {
+  400: ErrorCodes.INVALID_REQUEST,
+  403: ErrorCodes.FORBIDDEN,
+  404: ErrorCodes.NOT_FOUND,
+  405: ErrorCodes.METHOD_NOT_ALLOWED,
+  410: ErrorCodes.GONE,
+  413: ErrorCodes.PAYLOAD_TOO_LARGE,
+  429: ErrorCodes.RATE_LIMITED,
+  502: ErrorCodes.PROVIDER_ERROR,
+  503: ErrorCodes.SERVICE_UNAVAILABLE
+};
+
+/**
+ * Error carrying an HTTP status, thrown by handlers and middleware
+ * and converted to a response by the error-handling middleware.
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error description returned to the client
+   * @param {Object} extra - Additional fields merged into the error body
+   * @param {Object} options - Envelope options
+   * @param {string} options.code - ErrorCodes value (derived from status when omitted)
+   * @param {Object} options.headers - Extra response headers (e.g. Allow for 405)
+   */
+  constructor(status, message, extra = {}, options = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.extra = extra;
+    this.code = options.code || STATUS_CODES[status] || ErrorCodes.INTERNAL_ERROR;
+    this.headers = options.headers || {};
+  }
+}
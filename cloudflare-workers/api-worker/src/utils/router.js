@@ -0,0 +1,192 @@
+/**
+ * Declarative router for the api-worker
+ *
+ * Routes are plain objects in a table:
+ *
+ *   {
+ *     method: 'GET',
+ *     path: '/v1/jobs/:jobId',
+ *     query: { maxResults: { type: 'int', default: 20 } },
+ *     middleware: [jsonBody],
+ *     description: 'Job status',
+ *     handler: async (req) => Response
+ *   }
+ *
+ * Middleware has the signature `async (req, next) => Response`. Global
+ * middleware wraps the whole dispatch (including 404/405 responses), route
+ * middleware wraps only that route's handler.
+ *
+ * Unmatched paths and wrong methods are thrown as HttpError (404/405) so the
+ * error middleware renders them in the right shape (legacy or /v1 envelope).
+ */
+
+import { HttpError } from './response.js';
+
+/**
+ * Create a fetch-style handler from a route table
+ * @param {Object[]} routes - Route definitions
+ * @param {Object} options - Router options
+ * @param {Function[]} options.middleware - Global middleware, outermost first
+ * @returns {Function} (request, env, ctx) => Promise<Response>
+ */
+export function createRouter(routes, options = {}) {
+  const { middleware = [] } = options;
+  const compiled = routes.map(route => ({ ...route, pattern: compilePath(route.path) }));
+
+  const dispatch = async (req) => {
+    const { matched, allowed } = matchRoute(compiled, req.request.method, req.url.pathname);
+
+    if (!matched) {
+      if (allowed.length > 0) {
+        throw new HttpError(405, 'Method Not Allowed', {
+          message: `${req.request.method} is not supported for ${req.url.pathname}. Allowed: ${allowed.join(', ')}`
+        }, { headers: { 'Allow': allowed.join(', ') } });
+      }
+      throw new HttpError(404, 'Not Found', {
+        message: 'The requested endpoint does not exist. Use /health to see available endpoints.'
+      });
+    }
+
+    const { route, params } = matched;
+    req.route = route;
+    req.params = params;
+    req.query = parseQuery(route.query, req.url.searchParams);
+
+    return compose(route.middleware || [], route.handler)(req);
+  };
+
+  const handle = compose(middleware, dispatch);
+
+  return (request, env, ctx) => handle({
+    request,
+    env,
+    ctx,
+    url: new URL(request.url),
+    startTime: Date.now(),
+    params: {},
+    query: {},
+    body: undefined
+  });
+}
+
+/**
+ * Describe public routes for the /health endpoint
+ * Query parameters are rendered from each route's `query` declaration.
+ * @param {Object[]} routes - Route definitions
+ * @returns {string[]} Human-readable endpoint list
+ */
+export function describeRoutes(routes) {
+  return routes
+    .filter(route => !route.internal)
+    .map(route => {
+      const queryNames = Object.keys(route.query || {});
+      const queryString = queryNames.length > 0
+        ? '?' + queryNames.map(name => `${name}={${name}}`).join('&')
+        : '';
+      const line = `${route.method} ${route.path}${queryString}`;
+      return route.description ? `${line} - ${route.description}` : line;
+    });
+}
+
+/**
+ * Compile a path like `/v1/jobs/:jobId` into a matcher
+ */
+function compilePath(path) {
+  const names = [];
+  const source = path
+    .split('/')
+    .map(segment => {
+      if (segment.startsWith(':')) {
+        names.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+
+  return { regex: new RegExp(`^${source}/?$`), names };
+}
+
+/**
+ * Find the route for a method + path
+ * Returns the methods that would have matched the path so the caller can answer 405.
+ * @throws {HttpError} 400 when a path parameter is not valid percent-encoding
+ */
+function matchRoute(routes, method, pathname) {
+  const allowed = [];
+
+  for (const route of routes) {
+    const match = route.pattern.regex.exec(pathname);
+    if (!match) continue;
+
+    if (route.method !== method && !(method === 'HEAD' && route.method === 'GET')) {
+      allowed.push(route.method);
+      continue;
+    }
+
+    const params = {};
+    route.pattern.names.forEach((name, i) => {
+      params[name] = decodeParam(name, match[i + 1]);
+    });
+
+    return { matched: { route, params }, allowed };
+  }
+
+  return { matched: null, allowed: [...new Set(allowed)] };
+}
+
+/**
+ * Decode one path parameter; malformed escapes ("%E0%A4%A") are the client's error, not a 500
+ */
+function decodeParam(name, value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw new HttpError(400, `Invalid ${name} parameter: malformed percent-encoding`);
+  }
+}
+
+/**
+ * Validate and coerce query parameters against a route's declaration
+ * @throws {HttpError} 400 when a required parameter is missing or malformed
+ */
+function parseQuery(spec, searchParams) {
+  const query = {};
+  if (!spec) return query;
+
+  for (const [name, rules] of Object.entries(spec)) {
+    const raw = searchParams.get(name);
+
+    if (raw === null || raw === '') {
+      if (rules.required) {
+        throw new HttpError(400, rules.message || `Missing ${name} parameter`);
+      }
+      query[name] = rules.default;
+      continue;
+    }
+
+    if (rules.type === 'int') {
+      const value = parseInt(raw, 10);
+      if (isNaN(value)) {
+        throw new HttpError(400, `Invalid ${name} parameter: expected an integer`);
+      }
+      query[name] = value;
+    } else if (rules.type === 'boolean') {
+      query[name] = raw === 'true' || raw === '1';
+    } else {
+      query[name] = raw;
+    }
+  }
+
+  return query;
+}
+
+/**
+ * Compose middleware around a terminal handler (koa-style)
+ */
+function compose(middleware, handler) {
+  return middleware.reduceRight(
+    (next, fn) => (req) => fn(req, () => next(req)),
+    handler
+  );
+}
@@ -0,0 +1,63 @@
+/**
+ * Output serializers for canonical Work/Edition DTOs (types/canonical.js)
+ */
+
+import { primaryEdition } from '../types/canonical.js';
+
+/**
+ * Serialize a canonical work (+ one of its editions) as a Google Books volume
+ * Used by the legacy /search/* adapters, the AI scanner enrichment and the
+ * `data` field of batch enrichment entries.
+ *
+ * @param {Object} work - Work DTO
+ * @param {Object} edition - Edition DTO to describe (default: primary edition)
+ * @returns {Object} `books#volume` item
+ */
+export function toGoogleBooksVolume(work, edition = primaryEdition(work)) {
+  const industryIdentifiers = [];
+  if (edition?.isbn13) {
+    industryIdentifiers.push({ type: "ISBN_13", identifier: edition.isbn13 });
+  }
+  if (edition?.isbn10) {
+    industryIdentifiers.push({ type: "ISBN_10", identifier: edition.isbn10 });
+  }
+
+  const categories = edition?.genres?.length > 0
+    ? edition.genres
+    : work.subjects.slice(0, 5);
+
+  const volumeInfo = {
+    title: work.title,
+    subtitle: work.subtitle || edition?.subtitle || "",
+    authors: work.authors.map(a => a.name),
+    publisher: edition?.publisher || "",
+    publishedDate: edition?.publicationDate || (work.firstPublicationYear ? work.firstPublicationYear.toString() : ""),
+    description: work.description || edition?.description || "",
+    industryIdentifiers,
+    pageCount: edition?.pageCount || 0,
+    categories,
+    language: edition?.language || undefined,
+    imageLinks: edition?.coverImageURL ? {
+      thumbnail: edition.coverImageURL,
+      smallThumbnail: edition.coverImageURL
+    } : undefined,
+    previewLink: edition?.previewLink || undefined,
+    infoLink: edition?.infoLink || undefined
+  };
+
+  return {
+    kind: "books#volume",
+    id: volumeId(work, edition),
+    volumeInfo
+  };
+}
+
+/**
+ * Stable volume ID: Google volume ID, then OpenLibrary work ID, then ISBN, then title
+ */
+function volumeId(work, edition) {
+  return edition?.externalIds?.googleBooksVolumeId ||
+    (work.externalIds.openLibraryWorkId ? `ol-${work.externalIds.openLibraryWorkId}` : null) ||
+    (edition?.isbn13 || edition?.isbn10 ? `synthetic-${edition.isbn13 || edition.isbn10}` : null) ||
+    `synthetic-${work.title.replace(/\s+/g, '-').toLowerCase()}`;
+}
@@ -0,0 +1,59 @@
+/**
+ * Signed, expiring URLs (HMAC-SHA256)
+ *
+ * A signature covers the path and its expiry, so a link cannot be reused for
+ * another file or extended. Verification goes through crypto.subtle.verify,
+ * which compares in constant time.
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Resolve the signing secret
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<string|null>} EXPORT_SIGNING_KEY, or null when not configured
+ */
+export async function signingSecret(env) {
+  // Handle both secrets store (has .get() method) and direct env var
+  const secret = env.EXPORT_SIGNING_KEY?.get
+    ? await env.EXPORT_SIGNING_KEY.get()
+    : env.EXPORT_SIGNING_KEY;
+  return secret || null;
+}
+
+/**
+ * Sign a path until an expiry time
+ * @param {string} path - URL path being granted (e.g. "/v1/exports/abc/library.csv")
+ * @param {number} expires - Expiry, seconds since epoch
+ * @param {string} secret - Signing secret
+ * @returns {Promise<string>} Hex signature
+ */
+export async function signPath(path, expires, secret) {
+  const key = await importKey(secret);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(payload(path, expires)));
+  return [...new Uint8Array(signature)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Check a signature from signPath (expiry is checked separately by the caller)
+ * @param {string} path - Requested path
+ * @param {number} expires - Expiry from the URL
+ * @param {string} signature - Hex signature from the URL
+ * @param {string} secret - Signing secret
+ * @returns {Promise<boolean>} True when the signature matches
+ */
+export async function verifyPath(path, expires, signature, secret) {
+  if (!/^[0-9a-f]{64}$/.test(signature || '')) return false;
+
+  const key = await importKey(secret);
+  const bytes = new Uint8Array(signature.match(/../g).map(byte => parseInt(byte, 16)));
+  return crypto.subtle.verify('HMAC', key, bytes, encoder.encode(payload(path, expires)));
+}
+
+function payload(path, expires) {
+  return `${path}\n${expires}`;
+}
+
+function importKey(secret) {
+  return crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
@@ -0,0 +1,152 @@
+/**
+ * Text normalization and similarity helpers
+ * Used to decide whether results from different providers describe the same work,
+ * to build cache keys and to correct misspelled queries.
+ */
+
+const LEADING_ARTICLES = /^(the|a|an)\s+/;
+
+// "(Harry Potter, #1)", "(Book 2)", "#3", "Vol. 4", "Volume 5", "Book 6"
+const SERIES_MARKERS = /\([^)]*(?:#\s*\d|\b(?:book|vol|volume)\.?\s*\d)[^)]*\)|#\s*\d+(?:\.\d+)?|\b(?:book|vol|volume)\.?\s*\d+\b/gi;
+
+/**
+ * Remove diacritics ("Brontë" → "Bronte")
+ * @param {string} text - Input text
+ * @returns {string} Text without combining marks
+ */
+export function stripDiacritics(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Normalize free text to lowercase words
+ * Lowercases, strips diacritics and punctuation, spells out "&".
+ * @param {string} text - Input text
+ * @returns {string} Space-separated words ("Brontë & Co." → "bronte and co")
+ */
+export function normalizeText(text) {
+  if (!text) return '';
+  return stripDiacritics(String(text).toLowerCase())
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalize a title for comparison
+ * Lowercases, strips diacritics, punctuation and a leading article.
+ * @param {string} title - Book title
+ * @returns {string} Comparable title ("The Hobbit: Or There and Back Again" → "hobbit or there and back again")
+ */
+export function normalizeTitle(title) {
+  return normalizeText(title).replace(LEADING_ARTICLES, '');
+}
+
+/**
+ * Remove series numbering from a title or query
+ * @param {string} text - Title or query
+ * @returns {string} Text without series markers ("Dune (Dune Chronicles, #1)" → "Dune ")
+ */
+export function stripSeriesMarkers(text) {
+  return String(text).replace(SERIES_MARKERS, ' ');
+}
+
+/**
+ * Normalize a search query so near-identical queries compare equal
+ * Title normalization plus series markers removed.
+ * @param {string} query - Search query
+ * @returns {string} Normalized query ("The Hobbit (Book 1)" → "hobbit")
+ */
+export function normalizeQuery(query) {
+  if (!query) return '';
+  return normalizeTitle(stripSeriesMarkers(query));
+}
+
+/**
+ * Normalize a value for a cache key
+ * Only differences that can't change the results are folded: case, diacritics,
+ * repeated whitespace and punctuation around the value. Digits, series numbers
+ * and symbols stay ("Book 1" ≠ "Book 7", "C++" ≠ "C#").
+ * @param {string} value - Query or parameter value
+ * @returns {string} Key-safe value ("  Harry  Potter, Book 1! " → "harry potter, book 1")
+ */
+export function normalizeCacheKeyValue(value) {
+  if (!value) return '';
+  return stripDiacritics(String(value).toLowerCase())
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.,;:!?'"“”‘’]+|[\s.,;:!?'"“”‘’]+$/g, '');
+}
+
+/**
+ * Normalize an author name for comparison
+ * Handles "Last, First" ordering and initials punctuation.
+ * @param {string} name - Author name
+ * @returns {string} Comparable name ("Herbert, Frank" → "frank herbert")
+ */
+export function normalizeAuthorName(name) {
+  if (!name) return '';
+  let value = String(name);
+  const commaParts = value.split(',');
+  if (commaParts.length === 2) {
+    value = `${commaParts[1]} ${commaParts[0]}`;
+  }
+  return stripDiacritics(value.toLowerCase())
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Sørensen–Dice similarity on character bigrams
+ * @param {string} a - First string (already normalized)
+ * @param {string} b - Second string (already normalized)
+ * @returns {number} Similarity between 0 and 1
+ */
+export function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bigram = a.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let overlap = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bigram = b.slice(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      overlap++;
+    }
+  }
+
+  return (2 * overlap) / (a.length + b.length - 2);
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and
+ * transpositions of adjacent characters (optimal string alignment)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of edits ("hobit" → "hobbit" is 1)
+ */
+export function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
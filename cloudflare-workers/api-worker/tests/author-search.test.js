@@ -0,0 +1,93 @@
+/**
+ * Author search orchestration tests
+ * Provider HTTP calls and KV are stubbed - no dev server or API keys required.
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { searchWorksByAuthor } from '../src/handlers/book-search.js';
+import { getOpenLibraryAuthorWorks, toLegacyAuthorWorks } from '../src/services/external-apis.js';
+
+const env = {
+  GOOGLE_BOOKS_API_KEY: 'test-key',
+  CACHE: { get: async () => null, put: async () => {} }
+};
+const ctx = { waitUntil: () => {} };
+
+const responses = {
+  'search/authors.json': { docs: [{ key: 'OL79034A', name: 'Frank Herbert' }] },
+  'openlibrary.org/search.json': {
+    numFound: 3,
+    docs: [
+      { key: '/works/OL893415W', title: 'Dune', author_name: ['Frank Herbert'], first_publish_year: 1965, edition_count: 120, isbn: ['9780441172719'] },
+      { key: '/works/OL893502W', title: 'Dune Messiah', author_name: ['Frank Herbert'], first_publish_year: 1969, edition_count: 60 },
+      { key: '/works/OL893520W', title: 'The Dosadi Experiment', author_name: ['Frank Herbert'], first_publish_year: 1977, edition_count: 10 }
+    ]
+  },
+  'googleapis.com': {
+    items: [
+      { id: 'vol-1', volumeInfo: { title: 'Dune', authors: ['Frank Herbert'], description: 'Desert planet.', industryIdentifiers: [{ type: 'ISBN_13', identifier: '9780441172719' }] } },
+      { id: 'vol-2', volumeInfo: { title: 'Dune: The Butlerian Jihad', authors: ['Brian Herbert', 'Kevin J. Anderson'] } }
+    ]
+  }
+};
+
+function stubProviders() {
+  vi.stubGlobal('fetch', vi.fn(async (url) => {
+    const match = Object.keys(responses).find(fragment => url.includes(fragment));
+    return new Response(JSON.stringify(responses[match] || {}), { headers: { 'Content-Type': 'application/json' } });
+  }));
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('searchWorksByAuthor', () => {
+  it('resolves the author and merges Google editions into the OpenLibrary bibliography', async () => {
+    stubProviders();
+    const result = await searchWorksByAuthor('frank herbert', {}, env, ctx);
+
+    expect(result.author.name).toBe('Frank Herbert');
+    expect(result.author.externalIds.openLibraryAuthorId).toBe('OL79034A');
+    expect(result.totalItems).toBe(3); // Brian Herbert's book is filtered out
+    expect(result.works[0].title).toBe('Dune');
+    expect(result.works[0].description).toBe('Desert planet.');
+    expect(result.works[0].sources).toEqual(['openlibrary', 'google-books']);
+  });
+
+  it('sorts and paginates', async () => {
+    stubProviders();
+    const result = await searchWorksByAuthor('frank herbert', { sort: '-year', page: 2, maxResults: 2 }, env, ctx);
+
+    expect(result.works.map(w => w.title)).toEqual(['Dune']);
+    expect(result.pagination).toMatchObject({ page: 2, totalPages: 2, hasMore: false, nextCursor: null });
+  });
+
+  it('does not cache an empty bibliography when every provider failed', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('unavailable', { status: 503 })));
+    const put = vi.fn(async () => {});
+    const pending = [];
+
+    const result = await searchWorksByAuthor('frank herbert', {}, { ...env, CACHE: { ...env.CACHE, put } }, { waitUntil: promise => pending.push(promise) });
+    await Promise.all(pending);
+
+    expect(result.works).toEqual([]);
+    expect(put).not.toHaveBeenCalled();
+  });
+});
+
+describe('toLegacyAuthorWorks', () => {
+  it('keeps the pre-DTO /external/openlibrary-author shape', async () => {
+    stubProviders();
+    const result = toLegacyAuthorWorks(await getOpenLibraryAuthorWorks('frank herbert', env));
+
+    expect(result.author).toEqual({ name: 'Frank Herbert', openLibraryKey: 'OL79034A' });
+    expect(result.works[0]).toEqual({ title: 'Dune', openLibraryWorkKey: '/works/OL893415W', firstPublicationYear: 1965, editions: [] });
+    expect(result.works).toHaveLength(3);
+  });
+
+  it('passes failures through', () => {
+    const failure = { success: false, error: 'Author not found in OpenLibrary' };
+    expect(toLegacyAuthorWorks(failure)).toBe(failure);
+  });
+});
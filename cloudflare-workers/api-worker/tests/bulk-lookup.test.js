@@ -0,0 +1,119 @@
+/**
+ * Bulk ISBN lookup tests
+ * Provider HTTP calls and KV are stubbed - no dev server or API keys required.
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mapWithConcurrency } from '../src/utils/concurrency.js';
+import { lookupWorksByISBNs } from '../src/handlers/book-search.js';
+import { MAX_LOOKUP_ISBNS } from '../src/handlers/v1/books.js';
+import { isbn13CheckDigit } from '../src/utils/isbn.js';
+
+function memoryKV(entries = {}) {
+  const store = new Map(Object.entries(entries).map(([key, value]) => [key, JSON.stringify(value)]));
+  return {
+    get: async (key, type) => (store.has(key) ? (type === 'json' ? JSON.parse(store.get(key)) : store.get(key)) : null),
+    put: async (key, value) => { store.set(key, value); }
+  };
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('mapWithConcurrency', () => {
+  it('keeps input order and never exceeds the limit', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([5, 1, 4, 2, 3], 2, async (n) => {
+      peak = Math.max(peak, ++inFlight);
+      await new Promise(resolve => setTimeout(resolve, n));
+      inFlight--;
+      return n * 10;
+    });
+
+    expect(results).toEqual([50, 10, 40, 20, 30]);
+    expect(peak).toBe(2);
+  });
+});
+
+describe('lookupWorksByISBNs', () => {
+  it('answers from cache, fetches the rest once and reports per-ISBN status', async () => {
+    const fetchMock = vi.fn(async (url) => {
+      const found = url.includes('9780441013593');
+      const body = url.includes('googleapis.com')
+        ? (found
+            ? { totalItems: 1, items: [{ id: 'dune', volumeInfo: { title: 'Dune', authors: ['Frank Herbert'], industryIdentifiers: [{ type: 'ISBN_13', identifier: '9780441013593' }] } }] }
+            : { totalItems: 0 })
+        : { numFound: 0, docs: [] };
+      return new Response(JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } });
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const cachedWork = { title: 'Neuromancer', authors: [], editions: [] };
+    const env = {
+      GOOGLE_BOOKS_API_KEY: 'test-key',
+      CONCURRENCY_LIMIT: '2',
+      CACHE: memoryKV({ 'search:isbn:works:isbn=9780441569595': { works: [cachedWork], totalItems: 1, provider: 'orchestrated:google' } })
+    };
+
+    const { results, summary } = await lookupWorksByISBNs(
+      ['0441013597', '978-0-441-01359-3', '9780441569595', '9780743273565', '9780441013594'],
+      env, { waitUntil: () => {} }
+    );
+
+    expect(results['0441013597']).toMatchObject({ status: 'found', isbn13: '9780441013593', cached: false });
+    expect(results['0441013597'].work.title).toBe('Dune');
+    expect(results['978-0-441-01359-3']).toEqual(results['0441013597']);
+    expect(results['9780441569595']).toMatchObject({ status: 'found', cached: true, work: cachedWork });
+    expect(results['9780743273565']).toMatchObject({ status: 'not_found', work: null });
+    expect(results['9780441013594']).toMatchObject({ status: 'error', repaired: '9780441013593' });
+    expect(summary).toEqual({ requested: 5, unique: 3, found: 3, notFound: 1, errors: 1, cached: 1 });
+
+    // Two uncached ISBNs x (Google Books + OpenLibrary)
+    expect(fetchMock).toHaveBeenCalledTimes(4);
+  });
+
+  it('fits a max-size batch of uncached ISBNs into the per-request subrequest limit', async () => {
+    const isbns = Array.from({ length: MAX_LOOKUP_ISBNS }, (_, i) => {
+      const first12 = `978000${String(i).padStart(6, '0')}`;
+      return first12 + isbn13CheckDigit(first12);
+    });
+
+    // Complete works for even ISBNs (cached afterwards), incomplete for odd ones (ISBNdb would fill them)
+    const fetchMock = vi.fn(async (url) => {
+      const isbn = isbns.find(candidate => url.includes(candidate));
+      const complete = isbns.indexOf(isbn) % 2 === 0;
+      const body = url.includes('googleapis.com')
+        ? { totalItems: 1, items: [{ id: isbn, volumeInfo: {
+            title: `Book ${isbn}`,
+            authors: ['Some Author'],
+            industryIdentifiers: [{ type: 'ISBN_13', identifier: isbn }],
+            ...(complete && { pageCount: 200, description: 'A book.', imageLinks: { thumbnail: 'https://example.com/cover.jpg' } })
+          } }] }
+        : { numFound: 0, docs: [] };
+      return new Response(JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } });
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const kv = memoryKV();
+    const kvCalls = { get: 0, put: 0 };
+    const countedKV = {
+      get: (...args) => { kvCalls.get++; return kv.get(...args); },
+      put: (...args) => { kvCalls.put++; return kv.put(...args); }
+    };
+    const pending = [];
+    const env = { GOOGLE_BOOKS_API_KEY: 'test-key', ISBNDB_API_KEY: 'test-key', CONCURRENCY_LIMIT: '10', CACHE: countedKV };
+
+    const { summary } = await lookupWorksByISBNs(isbns, env, { waitUntil: promise => pending.push(promise) });
+    await Promise.all(pending);
+
+    expect(summary).toMatchObject({ requested: MAX_LOOKUP_ISBNS, unique: MAX_LOOKUP_ISBNS, found: MAX_LOOKUP_ISBNS, cached: 0 });
+    expect(fetchMock.mock.calls.some(([url]) => url.includes('isbndb.com'))).toBe(false);
+    expect(kvCalls.put).toBe(MAX_LOOKUP_ISBNS / 2);
+
+    const subrequests = fetchMock.mock.calls.length + kvCalls.get + kvCalls.put;
+    expect(subrequests).toBeLessThanOrEqual(4 * MAX_LOOKUP_ISBNS);
+    expect(subrequests).toBeLessThan(1000);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Canonical DTO tests
+ *
+ * Verifies the Work/Edition/Author factories and that every provider maps
+ * into the same validated shape. Provider HTTP calls are stubbed - no dev
+ * server or API keys required.
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createWork, createEdition, validateWork } from '../src/types/canonical.js';
+import { toGoogleBooksVolume } from '../src/utils/serializers.js';
+import * as externalApis from '../src/services/external-apis.js';
+
+const env = { GOOGLE_BOOKS_API_KEY: 'test-key', ISBNDB_API_KEY: 'test-key' };
+
+function stubFetch(body) {
+  vi.stubGlobal('fetch', vi.fn(async () => new Response(JSON.stringify(body), {
+    headers: { 'Content-Type': 'application/json' }
+  })));
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('Canonical DTO factories', () => {
+  it('fills defaults and derives publicationYear and isbns', () => {
+    const edition = createEdition({
+      isbn13: '9780441013593',
+      isbn10: '0441013597',
+      publicationDate: '2005-08-02',
+      pageCount: '528',
+      source: 'google-books'
+    });
+
+    expect(edition.isbns).toEqual(['9780441013593', '0441013597']);
+    expect(edition.publicationYear).toBe(2005);
+    expect(edition.pageCount).toBe(528);
+    expect(edition.genres).toEqual([]);
+    expect(edition.externalIds).toEqual({});
+  });
+
+  it('rejects works without a title', () => {
+    expect(() => createWork({ title: '  ', source: 'openlibrary' })).toThrow(/title: required/);
+  });
+
+  it('reports unknown and mistyped fields', () => {
+    const work = createWork({ title: 'Dune', authors: ['Frank Herbert'], source: 'isbndb' });
+    expect(validateWork(work)).toEqual([]);
+
+    expect(validateWork({ ...work, pages: 10 })).toContain('pages: unknown field');
+    expect(validateWork({ ...work, subjects: 'Fiction' })).toContain('subjects: expected array');
+  });
+});
+
+describe('Provider normalization', () => {
+  it('maps Google Books volumes into canonical works', async () => {
+    stubFetch({
+      items: [{
+        id: 'vol-1',
+        volumeInfo: {
+          title: 'Dune',
+          authors: ['Frank Herbert'],
+          publishedDate: '1990-09-01',
+          pageCount: 535,
+          categories: ['Fiction'],
+          description: 'Desert planet.',
+          industryIdentifiers: [{ type: 'ISBN_13', identifier: '9780441172719' }],
+          imageLinks: { thumbnail: 'http://books.google.com/cover.jpg' }
+        }
+      }]
+    });
+
+    const result = await externalApis.searchGoogleBooks('dune', {}, env);
+    const [work] = result.works;
+
+    expect(validateWork(work)).toEqual([]);
+    expect(work.description).toBe('Desert planet.');
+    expect(work.editions[0].pageCount).toBe(535);
+    expect(work.editions[0].publicationDate).toBe('1990-09-01');
+    expect(work.editions[0].coverImageURL).toBe('https://books.google.com/cover.jpg');
+    expect(work.editions[0].externalIds.googleBooksVolumeId).toBe('vol-1');
+  });
+
+  it('maps OpenLibrary search docs into canonical works', async () => {
+    stubFetch({
+      numFound: 1,
+      docs: [{
+        key: '/works/OL893415W',
+        type: 'work',
+        title: 'Dune',
+        author_name: ['Frank Herbert'],
+        author_key: ['OL79034A'],
+        first_publish_year: 1965,
+        isbn: ['9780441013593', '0441013597'],
+        number_of_pages_median: 528,
+        cover_i: 123
+      }]
+    });
+
+    const result = await externalApis.searchOpenLibrary('dune', {}, env);
+    const [work] = result.works;
+
+    expect(validateWork(work)).toEqual([]);
+    expect(work.externalIds.openLibraryWorkId).toBe('OL893415W');
+    expect(work.authors[0].externalIds.openLibraryAuthorId).toBe('OL79034A');
+    expect(work.editions[0].isbn10).toBe('0441013597');
+    expect(work.editions[0].pageCount).toBe(528);
+  });
+
+  it('maps ISBNdb books into canonical works', async () => {
+    stubFetch({
+      total: 1,
+      books: [{
+        title: 'Dune',
+        title_long: 'Dune (Deluxe Edition)',
+        authors: ['Frank Herbert'],
+        isbn: '0593099320',
+        isbn13: '9780593099322',
+        pages: 688,
+        date_published: '2019',
+        synopsis: 'Set on the desert planet Arrakis.',
+        image: 'https://images.isbndb.com/covers/dune.jpg',
+        subjects: ['Science Fiction / General']
+      }]
+    });
+
+    const result = await externalApis.searchISBNdb('dune', 'herbert', env);
+    const [work] = result.works;
+
+    expect(validateWork(work)).toEqual([]);
+    expect(work.description).toBe('Set on the desert planet Arrakis.');
+    expect(work.editions[0].pageCount).toBe(688);
+    expect(work.editions[0].description).toBe('Set on the desert planet Arrakis.');
+    expect(work.editions[0].isbn10).toBe('0593099320');
+  });
+});
+
+describe('Google Books serializer', () => {
+  it('serializes a canonical work as a books#volume', () => {
+    const work = createWork({
+      title: 'Dune',
+      authors: ['Frank Herbert'],
+      subjects: ['Science fiction'],
+      firstPublicationYear: 1965,
+      externalIds: { openLibraryWorkId: 'OL893415W' },
+      editions: [{ isbn13: '9780441013593', pageCount: 528, coverImageURL: 'https://covers/1.jpg' }],
+      source: 'openlibrary'
+    });
+
+    const volume = toGoogleBooksVolume(work);
+
+    expect(volume.kind).toBe('books#volume');
+    expect(volume.id).toBe('ol-OL893415W');
+    expect(volume.volumeInfo.authors).toEqual(['Frank Herbert']);
+    expect(volume.volumeInfo.publishedDate).toBe('1965');
+    expect(volume.volumeInfo.pageCount).toBe(528);
+    expect(volume.volumeInfo.industryIdentifiers).toEqual([{ type: 'ISBN_13', identifier: '9780441013593' }]);
+    expect(volume.volumeInfo.imageLinks.thumbnail).toBe('https://covers/1.jpg');
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Enrichment provider chain tests
+ * Provider HTTP calls and the progress Durable Object are stubbed.
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { enrichBatch } from '../src/services/enrichment.js';
+import { completeness } from '../src/services/merge.js';
+import { createWork } from '../src/types/canonical.js';
+import { createTokenBucket } from '../src/utils/concurrency.js';
+
+const OPENLIBRARY_DUNE = {
+  numFound: 1,
+  docs: [{
+    key: '/works/OL893415W', title: 'Dune', author_name: ['Frank Herbert'], first_publish_year: 1965,
+    subject: ['Science fiction'], isbn: ['9780441013593'], publisher: ['Ace'], publish_date: ['2005'],
+    number_of_pages_median: 604, language: ['eng'], cover_i: 11481354
+  }]
+};
+
+function stubProviders({ google, openlibrary }) {
+  const fetchMock = vi.fn(async (url) => {
+    const body = url.includes('googleapis.com') ? google : openlibrary;
+    return new Response(JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } });
+  });
+  vi.stubGlobal('fetch', fetchMock);
+  return fetchMock;
+}
+
+function progressStub({ canceledAfterChecks = Infinity } = {}) {
+  const messages = [];
+  const stub = {
+    messages,
+    cancelChecks: 0,
+    finished: [],
+    updateJob: async (update) => { messages.push(update); },
+    finishJob: async (outcome) => { stub.finished.push(outcome); messages.push(outcome); },
+    isCanceled: async () => ++stub.cancelChecks > canceledAfterChecks
+  };
+  return stub;
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('enrichBatch provider chain', () => {
+  it('falls back to OpenLibrary when Google Books has nothing', async () => {
+    stubProviders({ google: { totalItems: 0 }, openlibrary: OPENLIBRARY_DUNE });
+
+    const { enrichedWorks } = await enrichBatch('job-1', ['0441013597'], { GOOGLE_BOOKS_API_KEY: 'test-key' }, progressStub());
+
+    expect(enrichedWorks[0]).toMatchObject({
+      workId: '0441013597',
+      enriched: true,
+      isISBN: true,
+      providers: [
+        { provider: 'google-books', status: 'empty' },
+        { provider: 'openlibrary', status: 'found' },
+        { provider: 'isbndb', status: 'skipped' }
+      ]
+    });
+    expect(enrichedWorks[0].work.title).toBe('Dune');
+    expect(enrichedWorks[0].fieldSources.coverImageURL).toBe('openlibrary');
+    // Legacy clients still read the Google Books volume
+    expect(enrichedWorks[0].data.volumeInfo).toMatchObject({ title: 'Dune' });
+  });
+
+  it('merges providers field by field and reports sources and completeness', async () => {
+    stubProviders({
+      google: {
+        totalItems: 1,
+        items: [{ id: 'dune', volumeInfo: {
+          title: 'Dune', authors: ['Frank Herbert'], description: 'Desert planet epic.',
+          industryIdentifiers: [{ type: 'ISBN_13', identifier: '9780441013593' }]
+        } }]
+      },
+      openlibrary: OPENLIBRARY_DUNE
+    });
+    const doStub = progressStub();
+
+    const { enrichedWorks } = await enrichBatch('job-2', ['9780441013593'], { GOOGLE_BOOKS_API_KEY: 'test-key' }, doStub);
+    const [entry] = enrichedWorks;
+
+    expect(entry.providers.map(p => p.status)).toEqual(['found', 'found', 'skipped']);
+    expect(entry.fieldSources).toMatchObject({
+      title: 'google-books',
+      description: 'google-books',
+      subjects: 'openlibrary',
+      coverImageURL: 'openlibrary',
+      pageCount: 'openlibrary'
+    });
+    expect(entry.completeness).toBe(1);
+    expect(doStub.messages.at(-1).result).toMatchObject({ enrichedCount: 1, enrichedWorks: [entry] });
+  });
+
+  it('reports books no provider knows as not enriched', async () => {
+    stubProviders({ google: { totalItems: 0 }, openlibrary: { numFound: 0, docs: [] } });
+    const doStub = progressStub();
+
+    const { enrichedWorks } = await enrichBatch('job-3', ['Unfindable Book Nobody'], { GOOGLE_BOOKS_API_KEY: 'test-key' }, doStub);
+
+    expect(enrichedWorks[0]).toMatchObject({ enriched: false, isISBN: false, work: null, data: null, completeness: 0 });
+    expect(doStub.messages.at(-1).result.enrichedCount).toBe(0);
+  });
+});
+
+describe('enrichBatch worker pool', () => {
+  // Google Books answers ISBN n after (30 - n) ms, so later books finish first
+  function stubSlowGoogle() {
+    vi.stubGlobal('fetch', vi.fn(async (url) => {
+      const isbn = decodeURIComponent(url).match(/isbn:(\d+)/)?.[1];
+      if (isbn) await new Promise(resolve => setTimeout(resolve, 30 - Number(isbn.slice(-2, -1)) * 3));
+      const body = isbn
+        ? { totalItems: 1, items: [{ id: isbn, volumeInfo: { title: `Book ${isbn}`, industryIdentifiers: [{ type: 'ISBN_13', identifier: isbn }] } }] }
+        : { numFound: 0, docs: [] };
+      return new Response(JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } });
+    }));
+  }
+
+  // Valid ISBN-13s whose second-to-last digit is 0-9
+  const ISBNS = ['9780000000002', '9780000000019', '9780000000026', '9780000000033', '9780000000040',
+    '9780000000057', '9780000000064', '9780000000071', '9780000000088', '9780000000095'];
+  const env = { GOOGLE_BOOKS_API_KEY: 'test-key', CONCURRENCY_LIMIT: '5', PROVIDER_RATE_LIMITS: 'google-books=1000,openlibrary=1000' };
+
+  it('reports progress in workIds order and checks cancellation in batches', async () => {
+    stubSlowGoogle();
+    const doStub = progressStub();
+    const workIds = [...ISBNS, ...ISBNS, ...ISBNS].map((isbn, i) => (i < 10 ? isbn : `${isbn} `));
+
+    const { enrichedWorks } = await enrichBatch('job-4', workIds, env, doStub);
+
+    const progress = doStub.messages.filter(message => message.data?.currentWorkId);
+    expect(progress.map(message => message.data.currentWorkId)).toEqual(workIds);
+    expect(progress.map(message => message.processedItems)).toEqual(workIds.map((_, i) => i + 1));
+    expect(enrichedWorks.map(entry => entry.workId)).toEqual(workIds);
+    expect(doStub.cancelChecks).toBeLessThanOrEqual(4);
+  });
+
+  it('stops taking books once the job is canceled', async () => {
+    stubSlowGoogle();
+    const doStub = progressStub({ canceledAfterChecks: 1 });
+
+    const result = await enrichBatch('job-5', [...ISBNS, ...ISBNS, ...ISBNS], env, doStub);
+
+    expect(result).toMatchObject({ success: false, canceled: true, totalCount: 30 });
+    expect(result.processedCount).toBeLessThan(30);
+    expect(doStub.finished).toEqual([expect.objectContaining({ status: 'canceled', currentStatus: 'Enrichment canceled by user' })]);
+  });
+});
+
+describe('enrichBatch persisted jobs', () => {
+  const ISBNS = Array.from({ length: 25 }, (_, i) => `97800000${String(i).padStart(4, '0')}`);
+  const env = { CONCURRENCY_LIMIT: '5', PROVIDER_RATE_LIMITS: 'openlibrary=1000' };
+
+  function jobStub({ supersededAfter = Infinity } = {}) {
+    const stub = progressStub();
+    stub.checkpoints = [];
+    stub.saveCheckpoint = async (checkpoint) => {
+      if (stub.checkpoints.length >= supersededAfter) throw new Error('Job run superseded');
+      stub.checkpoints.push(checkpoint);
+    };
+    return stub;
+  }
+
+  it('checkpoints new results every 10 books and completes the job', async () => {
+    stubProviders({ openlibrary: { numFound: 0, docs: [] } });
+    const doStub = jobStub();
+
+    await enrichBatch('job-6', ISBNS, env, doStub, { runId: 'run-1' });
+
+    expect(doStub.checkpoints.map(checkpoint => checkpoint.cursor)).toEqual([10, 20, 25]);
+    expect(doStub.checkpoints.map(checkpoint => checkpoint.enrichedWorks.length)).toEqual([10, 10, 5]);
+    expect(doStub.checkpoints.every(checkpoint => checkpoint.runId === 'run-1')).toBe(true);
+    expect(doStub.finished).toEqual([expect.objectContaining({ runId: 'run-1', status: 'complete' })]);
+  });
+
+  it('resumes from a cursor with the results already saved', async () => {
+    stubProviders({ openlibrary: { numFound: 0, docs: [] } });
+    const doStub = jobStub();
+    const saved = ISBNS.slice(0, 20).map(workId => ({ workId, enriched: false }));
+
+    const result = await enrichBatch('job-7', ISBNS, env, doStub, { runId: 'run-2', cursor: 20, enrichedWorks: saved, errors: [] });
+
+    expect(result.processedCount).toBe(25);
+    expect(result.enrichedWorks.map(entry => entry.workId)).toEqual(ISBNS);
+    expect(doStub.messages[0].currentStatus).toBe('Resuming enrichment at 20/25 books...');
+    expect(doStub.checkpoints).toEqual([expect.objectContaining({ cursor: 25 })]);
+    expect(doStub.checkpoints[0].enrichedWorks.map(entry => entry.workId)).toEqual(ISBNS.slice(20));
+  });
+
+  it('stops without completing when its run has been superseded', async () => {
+    stubProviders({ openlibrary: { numFound: 0, docs: [] } });
+    const doStub = jobStub({ supersededAfter: 0 });
+
+    const result = await enrichBatch('job-8', ISBNS, env, doStub, { runId: 'stale-run' });
+
+    expect(result).toMatchObject({ success: false, superseded: true });
+    expect(result.processedCount).toBeLessThan(25);
+    expect(doStub.finished).toEqual([]);
+  });
+});
+
+describe('createTokenBucket', () => {
+  it('paces calls to the refill rate after the burst', async () => {
+    const bucket = createTokenBucket({ rate: 50, burst: 1 });
+    const start = Date.now();
+
+    await Promise.all([bucket.take(), bucket.take(), bucket.take()]);
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(35);
+  });
+});
+
+describe('completeness', () => {
+  it('lists missing fields and scores the rest', () => {
+    const work = createWork({ title: 'Emma', authors: ['Jane Austen'], editions: [{ isbn13: '9780141439587' }], source: 'isbndb' });
+
+    expect(completeness(work)).toEqual({
+      fieldSources: { title: 'isbndb', authors: 'isbndb', isbn13: 'isbndb' },
+      completeness: 0.27,
+      missing: ['description', 'subjects', 'firstPublicationYear', 'publisher', 'publicationDate', 'pageCount', 'language', 'coverImageURL']
+    });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Goodreads export parser tests: Excel-quoted ISBNs, shelves, ratings and dates
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseGoodreadsExport,
+  unwrapExcelValue,
+  shelfToStatus,
+  parseRating,
+  parseGoodreadsDate
+} from '../src/services/goodreads-import.js';
+
+const HEADER = 'Book Id,Title,Author,Author l-f,Additional Authors,ISBN,ISBN13,My Rating,Average Rating,Publisher,Binding,Number of Pages,Year Published,Original Publication Year,Date Read,Date Added,Bookshelves,Bookshelves with positions,Exclusive Shelf,My Review,Spoiler,Private Notes,Read Count,Owned Copies\n';
+
+describe('parseGoodreadsExport', () => {
+  it('maps a full Goodreads export to import rows with reading history', () => {
+    const csv = HEADER +
+      '234225,"Dune (Dune, #1)",Frank Herbert,"Herbert, Frank",,"=""0441013597""","=""9780441013593""",5,4.27,Ace,Paperback,688,2005,1965,2023/05/14,2021/01/02,"sci-fi, favorites","sci-fi (#3), favorites (#1)",read,Loved it,,,2,1\n' +
+      '4671,The Great Gatsby,F. Scott Fitzgerald,"Fitzgerald, F. Scott",,"=""""","=""""",0,3.93,Scribner,Paperback,180,2004,1925,,2024/03/09,to-read,to-read (#12),to-read,,,,0,0\n' +
+      '1,,,,,"=""""","=""""",0,0,,,,,,,,,,read,,,,0,0\n';
+
+    const { format, rows, skipped } = parseGoodreadsExport(csv);
+
+    expect(format).toBe('goodreads');
+    expect(skipped).toEqual([{ line: 4, reason: 'No title or ISBN' }]);
+    expect(rows[0]).toEqual({
+      line: 2,
+      title: 'Dune (Dune, #1)',
+      author: 'Frank Herbert',
+      isbn13: '9780441013593',
+      userEntry: {
+        goodreadsId: '234225',
+        readingStatus: 'Read',
+        exclusiveShelf: 'read',
+        shelves: ['sci-fi', 'favorites'],
+        rating: 5,
+        dateRead: '2023-05-14',
+        dateAdded: '2021-01-02',
+        readCount: 2,
+        ownedCopies: 1,
+        review: 'Loved it',
+        isbn10: '0441013597'
+      }
+    });
+    expect(rows[1]).toMatchObject({
+      isbn13: null,
+      userEntry: { readingStatus: 'Wishlist', shelves: [], rating: null, dateRead: null, dateAdded: '2024-03-09' }
+    });
+  });
+});
+
+describe('Goodreads field helpers', () => {
+  it('unwraps Excel-quoted values', () => {
+    expect(unwrapExcelValue('="0441013597"')).toBe('0441013597');
+    expect(unwrapExcelValue('=""')).toBe('');
+    expect(unwrapExcelValue(' 9780441013593 ')).toBe('9780441013593');
+    expect(unwrapExcelValue(undefined)).toBe('');
+  });
+
+  it('maps built-in and custom shelves to reading statuses', () => {
+    expect(shelfToStatus('currently-reading')).toBe('Reading');
+    expect(shelfToStatus('to-read')).toBe('Wishlist');
+    expect(shelfToStatus('dnf')).toBe('DNF');
+    expect(shelfToStatus('my-custom-shelf', ['on-hold'])).toBe('On Hold');
+    expect(shelfToStatus('my-custom-shelf', [], '2020-01-01')).toBe('Read');
+    expect(shelfToStatus('my-custom-shelf')).toBe('Wishlist');
+  });
+
+  it('treats 0 as unrated and normalizes dates', () => {
+    expect(parseRating('0')).toBeNull();
+    expect(parseRating('4')).toBe(4);
+    expect(parseGoodreadsDate('2023/5/4')).toBe('2023-05-04');
+    expect(parseGoodreadsDate('2019/11')).toBe('2019-11');
+    expect(parseGoodreadsDate('')).toBeNull();
+    expect(parseGoodreadsDate('last spring')).toBeNull();
+  });
+});
@@ -63,6 +63,7 @@ describe('API Worker Integration Tests', () => {
       expect(endpointsList).toContain('/api/enrichment/start');
       expect(endpointsList).toContain('/api/scan-bookshelf');
       expect(endpointsList).toContain('/ws/progress');
+      expect(endpointsList).toContain('POST /v1/books/lookup - Bulk ISBN lookup (v1 envelope, body: {isbns: [...]}, up to 200)');
     });
   });
 
@@ -100,12 +101,64 @@ describe('API Worker Integration Tests', () => {
       expect(data).toBeTruthy();
     });
 
+    it('should return 400 for a malformed cursor', async () => {
+      const response = await fetch(`${BASE_URL}/search/title?q=gatsby&cursor=garbage`);
+      expect(response.status).toBe(400);
+
+      const data = await response.json();
+      expect(data.error).toBe('Invalid cursor');
+    });
+
     it('should include CORS headers', async () => {
       const response = await fetch(`${BASE_URL}/search/title?q=test`);
       expect(response.headers.get('access-control-allow-origin')).toBe('*');
     });
   });
 
+  describe('GET /search/author', () => {
+    it('should search books by author successfully', async () => {
+      const response = await fetch(`${BASE_URL}/search/author?q=frank%20herbert&maxResults=5`);
+      expect(response.status).toBe(200);
+
+      const data = await response.json();
+      expect(data.items).toBeInstanceOf(Array);
+    });
+
+    it('should return 400 if query parameter is missing', async () => {
+      const response = await fetch(`${BASE_URL}/search/author`);
+      expect(response.status).toBe(400);
+
+      const data = await response.json();
+      expect(data.error).toContain('query');
+    });
+
+    it('should reject an unknown sort on the v1 route', async () => {
+      const response = await fetch(`${BASE_URL}/v1/search/author?q=herbert&sort=random`);
+      expect(response.status).toBe(400);
+
+      const data = await response.json();
+      expect(data.error.code).toBe('INVALID_REQUEST');
+    });
+  });
+
+  describe('GET /search/subject', () => {
+    it('should return 400 if query parameter is missing', async () => {
+      const response = await fetch(`${BASE_URL}/search/subject`);
+      expect(response.status).toBe(400);
+
+      const data = await response.json();
+      expect(data.error).toContain('query');
+    });
+
+    it('should list the genre vocabulary on /v1/subjects', async () => {
+      const response = await fetch(`${BASE_URL}/v1/subjects`);
+      expect(response.status).toBe(200);
+
+      const data = await response.json();
+      expect(data.data.subjects).toContainEqual({ slug: 'science-fiction', name: 'Science Fiction' });
+    });
+  });
+
   describe('GET /search/isbn', () => {
     it('should search books by ISBN successfully', async () => {
       // The Great Gatsby ISBN
@@ -126,16 +179,131 @@ describe('API Worker Integration Tests', () => {
       expect(data.error).toContain('ISBN');
     });
 
-    it('should handle invalid ISBN gracefully', async () => {
+    it('should return 400 for an invalid ISBN', async () => {
       const response = await fetch(`${BASE_URL}/search/isbn?isbn=invalid-isbn-123`);
-      // Should either return 200 with no results or handle gracefully
-      expect([200, 404, 500]).toContain(response.status);
+      expect(response.status).toBe(400);
+
+      const data = await response.json();
+      expect(data.error).toContain('Invalid ISBN');
     });
 
     it('should include CORS headers', async () => {
       const response = await fetch(`${BASE_URL}/search/isbn?isbn=9780743273565`);
       expect(response.headers.get('access-control-allow-origin')).toBe('*');
     });
+
+    it('should reject a bad checksum on the v1 route with a repair suggestion', async () => {
+      const response = await fetch(`${BASE_URL}/v1/search/isbn?isbn=9780743273566`);
+      expect(response.status).toBe(400);
+
+      const data = await response.json();
+      expect(data.error.code).toBe('INVALID_REQUEST');
+      expect(data.error.details.repaired).toBe('9780743273565');
+    });
+
+    it('should validate and convert ISBNs on /v1/isbn/:isbn/validate', async () => {
+      const response = await fetch(`${BASE_URL}/v1/isbn/0-441-01359-7/validate`);
+      expect(response.status).toBe(200);
+
+      const data = await response.json();
+      expect(data.data).toMatchObject({ valid: true, isbn13: '9780441013593', isbn10: '0441013597', prefix: '978' });
+    });
+  });
+
+  describe('POST /v1/books/lookup', () => {
+    it('should return 400 without an isbns array', async () => {
+      const response = await fetch(`${BASE_URL}/v1/books/lookup`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ isbn: '9780743273565' })
+      });
+      expect(response.status).toBe(400);
+
+      const data = await response.json();
+      expect(data.error.code).toBe('INVALID_REQUEST');
+    });
+
+    it('should reject more ISBNs than one request may look up', async () => {
+      const response = await fetch(`${BASE_URL}/v1/books/lookup`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ isbns: Array.from({ length: 201 }, () => '9780743273565') })
+      });
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject numeric ISBNs, which lose their leading zeros', async () => {
+      const response = await fetch(`${BASE_URL}/v1/books/lookup`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ isbns: ['9780743273565', 441013597] }) // 0441013597 as a number
+      });
+      expect(response.status).toBe(400);
+
+      const data = await response.json();
+      expect(data.error.message).toBe('Every ISBN must be a string');
+    });
+  });
+
+  describe('POST /v1/imports', () => {
+    it('should accept a CSV export and return a job to follow', async () => {
+      const response = await fetch(`${BASE_URL}/v1/imports?jobId=import-test-1`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv' },
+        body: 'Title,Author,ISBN-13\n"The Nix",Nathan Hill,9780307951569\n"The Nix",Nathan Hill,9780307951569\n'
+      });
+      expect(response.status).toBe(202);
+
+      const data = await response.json();
+      expect(data.data).toMatchObject({ jobId: 'import-test-1', format: 'generic', totalRows: 1, duplicates: 1 });
+    });
+
+    it('should return 400 for a file without a title column', async () => {
+      const response = await fetch(`${BASE_URL}/v1/imports`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv' },
+        body: 'foo,bar\n1,2\n'
+      });
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 400 for non-CSV uploads', async () => {
+      const response = await fetch(`${BASE_URL}/v1/imports`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rows: [] })
+      });
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('/v1/exports', () => {
+    it('should return 400 for an unknown export format', async () => {
+      const response = await fetch(`${BASE_URL}/v1/exports`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ formats: ['pdf'], items: ['9780441013593'] })
+      });
+      expect(response.status).toBe(400);
+
+      const data = await response.json();
+      expect(data.error.details.formats).toEqual(['goodreads-csv', 'json', 'bibtex', 'marc']);
+    });
+
+    it('should return 400 without items or snapshot', async () => {
+      const response = await fetch(`${BASE_URL}/v1/exports`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ formats: ['json'] })
+      });
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 404 for an unknown export file', async () => {
+      const response = await fetch(`${BASE_URL}/v1/exports/not-an-export/library.csv?expires=1&signature=abc`);
+      expect(response.status).toBe(404);
+      expect((await response.json()).error.code).toBe('NOT_FOUND');
+    });
   });
 
   describe('POST /search/advanced', () => {
@@ -247,6 +415,36 @@ describe('API Worker Integration Tests', () => {
       expect(data.message).toContain('ws/progress');
     });
 
+    it('should persist the job for GET /v1/jobs/:jobId', async () => {
+      const jobId = `test-enrich-job-${Date.now()}`;
+
+      await fetch(`${BASE_URL}/api/enrichment/start`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jobId, workIds: ['work-1'] })
+      });
+
+      const response = await fetch(`${BASE_URL}/v1/jobs/${jobId}`);
+      expect(response.status).toBe(200);
+
+      const { data } = await response.json();
+      expect(data.jobId).toBe(jobId);
+      expect(data.jobType).toBe('enrichment');
+      expect(data.totalItems).toBe(1);
+      expect(['queued', 'running', 'complete']).toContain(data.status);
+      expect(data.results).toHaveProperty('enrichedWorks');
+    });
+
+    it('should return 404 from GET /v1/jobs/:jobId for an unknown job', async () => {
+      const response = await fetch(`${BASE_URL}/v1/jobs/no-such-job-${Date.now()}`);
+      expect(response.status).toBe(404);
+    });
+
+    it('should return 404 from GET /v1/jobs/:jobId/result for an unknown job', async () => {
+      const response = await fetch(`${BASE_URL}/v1/jobs/no-such-job-${Date.now()}/result`);
+      expect(response.status).toBe(404);
+    });
+
     it('should return 400 if jobId is missing', async () => {
       const response = await fetch(`${BASE_URL}/api/enrichment/start`, {
         method: 'POST',
@@ -371,6 +569,74 @@ describe('API Worker Integration Tests', () => {
       expect(data.estimatedRange[0]).toBeLessThan(data.estimatedRange[1]);
     });
 
+    it('should keep the final scan message for GET /v1/jobs/:jobId/result', async () => {
+      const jobId = `test-scan-result-${Date.now()}`;
+
+      await fetch(`${BASE_URL}/api/scan-bookshelf?jobId=${jobId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'image/jpeg' },
+        body: new Uint8Array([0xff, 0xd8, 0xff, 0xd9])
+      });
+
+      // No client ever connects; the scan still ends with a stored result or error
+      let response;
+      for (let attempt = 0; attempt < 20; attempt++) {
+        response = await fetch(`${BASE_URL}/v1/jobs/${jobId}/result`);
+        if (response.status === 200) break;
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+
+      expect(response.status).toBe(200);
+      const { data } = await response.json();
+      expect(data.jobId).toBe(jobId);
+      expect(['complete', 'failed']).toContain(data.status);
+      expect(new Date(data.expiresAt).getTime()).toBeGreaterThan(Date.now());
+    }, 15000);
+
+    it('should serve the same scan messages over SSE and long-poll', async () => {
+      const jobId = `test-scan-events-${Date.now()}`;
+
+      await fetch(`${BASE_URL}/api/scan-bookshelf?jobId=${jobId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'image/jpeg' },
+        body: new Uint8Array([0xff, 0xd8, 0xff, 0xd9])
+      });
+
+      // The long-poll holds until the job's next message
+      let poll;
+      for (let attempt = 0; attempt < 10; attempt++) {
+        poll = (await (await fetch(`${BASE_URL}/v1/jobs/${jobId}?since=0&wait=5`)).json()).data;
+        if (['complete', 'failed'].includes(poll.messages.at(-1)?.data.status)) break;
+      }
+      expect(poll).not.toHaveProperty('results'); // Incremental replies carry only new messages
+
+      // The SSE stream replays from the start and ends after the final message
+      const response = await fetch(`${BASE_URL}/v1/jobs/${jobId}/events`);
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-type')).toContain('text/event-stream');
+
+      const events = (await response.text()).split('\n\n').filter(Boolean).map(event => {
+        const [id, data] = event.split('\n');
+        return { id: Number(id.slice('id: '.length)), message: JSON.parse(data.slice('data: '.length)) };
+      });
+
+      expect(events.map(event => event.id)).toEqual(poll.messages.map(message => message.seq));
+      expect(events.map(event => event.message)).toEqual(poll.messages);
+      expect(poll.seq).toBe(events.at(-1).id);
+
+      // A reconnect resumes after Last-Event-ID, even though the URL still says since=0
+      const resumed = await fetch(`${BASE_URL}/v1/jobs/${jobId}/events?since=0`, {
+        headers: { 'Last-Event-ID': String(events.at(-2).id) }
+      });
+      const resumedIds = (await resumed.text()).split('\n\n').filter(Boolean).map(event => Number(event.split('\n')[0].slice('id: '.length)));
+      expect(resumedIds).toEqual([events.at(-1).id]);
+    }, 30000);
+
+    it('should return 404 from GET /v1/jobs/:jobId/events for an unknown job', async () => {
+      const response = await fetch(`${BASE_URL}/v1/jobs/no-such-job-${Date.now()}/events`);
+      expect(response.status).toBe(404);
+    });
+
     it('should generate jobId if not provided', async () => {
       const minimalJpeg = new Uint8Array([
         0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46,
@@ -0,0 +1,50 @@
+/**
+ * ISBN module tests
+ * Pure module tests - no dev server required.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { cleanISBN, parseISBN, toISBN13, toISBN10, canonicalISBN } from '../src/utils/isbn.js';
+import { generateCacheKey } from '../src/utils/cache.js';
+import { createEdition } from '../src/types/canonical.js';
+
+describe('cleanISBN', () => {
+  it('strips labels, hyphens, spaces and spreadsheet quoting', () => {
+    expect(cleanISBN('ISBN-13: 978-0-441-01359-3')).toBe('9780441013593');
+    expect(cleanISBN('="0441013597"')).toBe('0441013597');
+    expect(cleanISBN('0 8044 2957 x')).toBe('080442957X');
+    expect(cleanISBN('Dune 0441013597')).toBe('');
+  });
+});
+
+describe('ISBN-10 / ISBN-13 conversion', () => {
+  it('converts both ways and only maps 978 ISBN-13s back to ISBN-10', () => {
+    expect(toISBN13('0-441-01359-7')).toBe('9780441013593');
+    expect(toISBN13('080442957X')).toBe('9780804429573');
+    expect(toISBN10('9780441013593')).toBe('0441013597');
+    expect(toISBN10('9791090636071')).toBeNull();
+    expect(toISBN13('441013597')).toBe('9780441013593'); // 9-digit SBN
+  });
+
+  it('gives the ISBN-10 and ISBN-13 of a book one cache key', () => {
+    expect(generateCacheKey('search:isbn:works', { isbn: canonicalISBN('0441013597') }))
+      .toBe(generateCacheKey('search:isbn:works', { isbn: canonicalISBN('9780441013593') }));
+  });
+
+  it('derives the ISBN-13 of canonical editions that only have an ISBN-10', () => {
+    expect(createEdition({ isbn10: '0441013597', source: 'isbndb' }).isbns).toEqual(['9780441013593', '0441013597']);
+  });
+});
+
+describe('parseISBN', () => {
+  it('suggests a repaired check digit for a mistyped ISBN', () => {
+    expect(parseISBN('9780441013594')).toMatchObject({ valid: false, error: 'Invalid check digit', repaired: '9780441013593' });
+    expect(parseISBN('0441013598')).toMatchObject({ valid: false, format: 'ISBN-10', repaired: '9780441013593' });
+  });
+
+  it('rejects non-book EANs and wrong lengths', () => {
+    expect(parseISBN('9771234567003').error).toContain('978 or 979');
+    expect(parseISBN('12345').format).toBeNull();
+    expect(parseISBN('979-10-90636-07-1')).toMatchObject({ valid: true, prefix: '979', isbn10: null });
+  });
+});
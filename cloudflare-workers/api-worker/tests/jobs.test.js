@@ -0,0 +1,132 @@
+/**
+ * Job model tests (lifecycle, weighted stages, message schema)
+ * The Durable Object itself needs the Workers runtime; see integration tests.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createJobRecord, applyJobUpdate, transitionJob, weightedProgress, jobMessage, canTransition, isActive,
+  parseCommand, prioritizeQueue, checkpointJob, resumeJob, MAX_JOB_RESUMES
+} from '../src/services/jobs.js';
+
+describe('job lifecycle', () => {
+  it('starts queued and runs on the first progress report', () => {
+    const job = createJobRecord({ jobId: 'job-1', type: 'enrichment', totalItems: 4 });
+    expect(job.status).toBe('queued');
+
+    const running = applyJobUpdate(job, { stageProgress: 0.5, processedItems: 2, currentStatus: 'Enriched 2/4 books' });
+    expect(running).toMatchObject({ status: 'running', progress: 0.5, processedItems: 2 });
+  });
+
+  it('only allows the documented transitions', () => {
+    expect(canTransition('running', 'canceling')).toBe(true);
+    expect(canTransition('canceling', 'canceled')).toBe(true);
+    expect(canTransition('running', 'canceled')).toBe(false);
+    expect(canTransition('complete', 'failed')).toBe(false);
+    expect(isActive('canceling')).toBe(true);
+    expect(isActive('canceled')).toBe(false);
+    expect(canTransition('running', 'paused')).toBe(true);
+    expect(canTransition('paused', 'running')).toBe(true);
+    expect(canTransition('paused', 'canceled')).toBe(true);
+    expect(canTransition('queued', 'paused')).toBe(false);
+    expect(isActive('paused')).toBe(true);
+
+    const job = createJobRecord({ jobId: 'job-2', type: 'scan', totalItems: 3 });
+    const done = transitionJob(applyJobUpdate(job, { stage: 'detect' }), 'complete');
+    expect(done).toMatchObject({ status: 'complete', progress: 1, stageIndex: 2 });
+    expect(done.completedAt).toBeTypeOf('number');
+    expect(transitionJob(done, 'failed')).toBeNull();
+    expect(applyJobUpdate(done, { stageProgress: 0 })).toBe(done);
+  });
+
+  it('rejects unknown job types and stages', () => {
+    expect(() => createJobRecord({ jobId: 'job-3', type: 'nope' })).toThrow('Unknown job type');
+    const job = createJobRecord({ jobId: 'job-3', type: 'import' });
+    expect(() => applyJobUpdate(job, { stage: 'upload' })).toThrow('Unknown stage');
+  });
+});
+
+describe('weighted progress', () => {
+  it('adds finished stage weights to the current stage share', () => {
+    const stages = [{ name: 'analyze', weight: 0.1 }, { name: 'detect', weight: 0.4 }, { name: 'enrich', weight: 0.5 }];
+    expect(weightedProgress(stages, 0, 1)).toBe(0.1);
+    expect(weightedProgress(stages, 2, 0.5)).toBe(0.75);
+  });
+
+  it('resets stage progress when a job moves to the next stage', () => {
+    let job = createJobRecord({ jobId: 'job-4', type: 'batch-scan', totalItems: 2 });
+    job = applyJobUpdate(job, { stage: 'upload', stageProgress: 1 });
+    expect(job.progress).toBe(0.1);
+
+    job = applyJobUpdate(job, { stage: 'scan' });
+    expect(job).toMatchObject({ stageIndex: 1, stageProgress: 0, progress: 0.1 });
+  });
+});
+
+describe('jobMessage', () => {
+  it('sends every job kind in one schema with its details and extras', () => {
+    let job = createJobRecord({ jobId: 'job-5', type: 'batch-scan', totalItems: 2, details: { totalBooksFound: 0 } });
+    job = applyJobUpdate(job, { stage: 'scan', stageProgress: 0.5, processedItems: 1, details: { totalBooksFound: 7 } });
+
+    expect(jobMessage(job, { result: { ok: true } })).toMatchObject({
+      type: 'progress',
+      jobId: 'job-5',
+      data: {
+        jobType: 'batch-scan',
+        status: 'running',
+        stage: { name: 'scan', index: 1, count: 2, progress: 0.5 },
+        progress: 0.55,
+        processedItems: 1,
+        totalItems: 2,
+        totalBooksFound: 7,
+        result: { ok: true }
+      }
+    });
+  });
+});
+
+describe('client commands', () => {
+  it('parses command frames and keeps the correlation id', () => {
+    expect(parseCommand('{"type":"cancel","id":"c1","reason":"Library reset"}'))
+      .toEqual({ type: 'cancel', id: 'c1', reason: 'Library reset' });
+    expect(parseCommand(new TextEncoder().encode('{"type":"ping"}'))).toEqual({ type: 'ping', id: null });
+    expect(parseCommand('{"type":"ack","seq":12}')).toMatchObject({ type: 'ack', seq: 12 });
+  });
+
+  it('rejects malformed and unknown commands', () => {
+    expect(() => parseCommand('not json')).toThrow('JSON objects');
+    expect(() => parseCommand('[1]')).toThrow('JSON objects');
+    expect(() => parseCommand('{"type":"explode"}')).toThrow('Unknown command "explode"');
+    expect(() => parseCommand('{"type":"prioritize","items":[]}')).toThrow('non-empty "items"');
+    expect(() => parseCommand('{"type":"ack"}')).toThrow('"seq"');
+  });
+
+  it('moves prioritized items to the front, ignoring ones not queued', () => {
+    expect(prioritizeQueue(['a', 'b', 'c', 'd'], ['d', 'x', 'b', 'd'])).toEqual(['d', 'b', 'a', 'c']);
+    expect(prioritizeQueue([2, 3, 4], [])).toEqual([2, 3, 4]);
+  });
+});
+
+describe('resumes', () => {
+  const resumable = () => ({ ...createJobRecord({ jobId: 'job-r', type: 'enrichment', totalItems: 100 }), resumeCount: 0, cursor: 0 });
+
+  it('keeps resuming a job that makes progress between evictions', () => {
+    let job = resumable();
+    for (let eviction = 1; eviction <= MAX_JOB_RESUMES * 2; eviction++) {
+      job = resumeJob(job);
+      expect(job).not.toBeNull();
+      job = checkpointJob(job, eviction * 5);
+      expect(job.resumeCount).toBe(0);
+    }
+    expect(job).toMatchObject({ cursor: MAX_JOB_RESUMES * 10, processedItems: MAX_JOB_RESUMES * 10 });
+  });
+
+  it('gives up after MAX_JOB_RESUMES resumes without progress', () => {
+    let job = checkpointJob(resumable(), 10);
+    for (let i = 0; i < MAX_JOB_RESUMES; i++) {
+      job = checkpointJob(resumeJob(job), 10); // Checkpoints that don't move the cursor don't count as progress
+    }
+    expect(job.resumeCount).toBe(MAX_JOB_RESUMES);
+    expect(resumeJob(job)).toBeNull();
+  });
+});
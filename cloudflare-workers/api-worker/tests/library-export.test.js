@@ -0,0 +1,167 @@
+/**
+ * Library export tests: serializers, signed links and the export/download handlers
+ * Provider HTTP calls, KV and R2 are stubbed.
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createWork } from '../src/types/canonical.js';
+import { toGoodreadsCSV, toBibTeX, toMARC } from '../src/services/export-formats.js';
+import { parseGoodreadsExport } from '../src/services/goodreads-import.js';
+import { signPath, verifyPath } from '../src/utils/signing.js';
+import { handleV1ExportCreate, handleV1ExportDownload } from '../src/handlers/v1/exports.js';
+
+const dune = createWork({
+  title: 'Dune',
+  authors: ['Frank Herbert'],
+  subjects: ['Science fiction'],
+  firstPublicationYear: 1965,
+  editions: [{ isbn13: '9780441013593', publisher: 'Ace', publicationYear: 2005, pageCount: 688 }],
+  source: 'google-books'
+});
+
+const userEntry = {
+  readingStatus: 'Read', exclusiveShelf: 'read', shelves: ['favorites'], rating: 5,
+  dateRead: '2023-05-14', dateAdded: '2021-01-02', readCount: 2, ownedCopies: 1, review: 'Loved it, "twice"'
+};
+
+function memoryKV() {
+  const store = new Map();
+  return {
+    get: async (key, type) => (store.has(key) ? (type === 'json' ? JSON.parse(store.get(key)) : store.get(key)) : null),
+    put: async (key, value) => { store.set(key, value); }
+  };
+}
+
+function memoryR2() {
+  const store = new Map();
+  return {
+    store,
+    put: async (key, body, options = {}) => { store.set(key, { body, ...options }); },
+    get: async (key) => {
+      const object = store.get(key);
+      if (!object) return null;
+      const text = typeof object.body === 'string' ? object.body : new TextDecoder().decode(object.body);
+      return {
+        body: text,
+        size: text.length,
+        json: async () => JSON.parse(text),
+        writeHttpMetadata: (headers) => {
+          if (object.httpMetadata?.contentType) headers.set('Content-Type', object.httpMetadata.contentType);
+        }
+      };
+    }
+  };
+}
+
+function request(env, { body = {}, params = {}, query = {} } = {}) {
+  return { env, ctx: { waitUntil: () => {} }, body, params, query, startTime: Date.now(), requestId: 'test' };
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('export formats', () => {
+  it('writes Goodreads CSV that the Goodreads parser reads back', () => {
+    const csv = toGoodreadsCSV([{ work: dune, edition: dune.editions[0], userEntry }]);
+
+    expect(csv.split('\r\n')[1]).toContain('"=""0441013597""","=""9780441013593"""');
+    const { rows } = parseGoodreadsExport(csv);
+    expect(rows[0]).toMatchObject({ title: 'Dune', author: 'Frank Herbert', isbn13: '9780441013593' });
+    expect(rows[0].userEntry).toMatchObject({
+      readingStatus: 'Read', shelves: ['favorites'], rating: 5, dateRead: '2023-05-14', review: 'Loved it, "twice"'
+    });
+  });
+
+  it('writes BibTeX entries with unique citation keys', () => {
+    const bib = toBibTeX([
+      { work: dune, edition: dune.editions[0] },
+      { work: dune, edition: dune.editions[0] }
+    ]);
+
+    expect(bib).toContain('@book{herbert2005dune,\n  title = {{Dune}},\n  author = {Frank Herbert},\n  year = {2005},\n  publisher = {Ace}');
+    expect(bib).toContain('@book{herbert2005dunea,');
+  });
+
+  it('writes MARC mnemonic records', () => {
+    const marc = toMARC([{ work: dune, edition: dune.editions[0] }]);
+
+    expect(marc.split('\n')).toEqual(expect.arrayContaining([
+      '=020  \\\\$a9780441013593',
+      '=100  1\\$aHerbert, Frank.',
+      '=245  10$aDune /$cFrank Herbert.',
+      '=260  \\\\$bAce,$c2005.',
+      '=300  \\\\$a688 pages.',
+      '=650  \\0$aScience fiction.'
+    ]));
+  });
+});
+
+describe('signed paths', () => {
+  it('verifies only the signed path and expiry', async () => {
+    const signature = await signPath('/v1/exports/a/library.csv', 1700000000, 'secret');
+
+    expect(await verifyPath('/v1/exports/a/library.csv', 1700000000, signature, 'secret')).toBe(true);
+    expect(await verifyPath('/v1/exports/a/library.json', 1700000000, signature, 'secret')).toBe(false);
+    expect(await verifyPath('/v1/exports/a/library.csv', 1800000000, signature, 'secret')).toBe(false);
+    expect(await verifyPath('/v1/exports/a/library.csv', 1700000000, 'nope', 'secret')).toBe(false);
+  });
+});
+
+describe('export handlers', () => {
+  it('exports requested ISBNs and serves them through the signed link only', async () => {
+    vi.stubGlobal('fetch', vi.fn(async (url) => {
+      const body = url.includes('googleapis.com') && url.includes('9780441013593')
+        ? { totalItems: 1, items: [{ id: 'dune', volumeInfo: { title: 'Dune', authors: ['Frank Herbert'], publishedDate: '2005', industryIdentifiers: [{ type: 'ISBN_13', identifier: '9780441013593' }] } }] }
+        : { totalItems: 0, numFound: 0, docs: [] };
+      return new Response(JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } });
+    }));
+    const env = { GOOGLE_BOOKS_API_KEY: 'test-key', CACHE: memoryKV(), LIBRARY_DATA: memoryR2(), EXPORT_SIGNING_KEY: 'secret' };
+
+    const response = await handleV1ExportCreate(request(env, {
+      body: { formats: ['bibtex', 'goodreads-csv'], items: [{ isbn: '0441013597', userEntry }, '9780743273565'] }
+    }));
+    expect(response.status).toBe(201);
+
+    const { data } = await response.json();
+    expect(data).toMatchObject({ count: 1, missing: [{ isbn: '9780743273565', status: 'not_found' }] });
+    expect(data.files.map(file => file.filename)).toEqual(['library.bib', 'library.csv']);
+
+    const link = new URL(data.files[1].url, 'https://api.example');
+    const [, , , exportId, filename] = link.pathname.split('/');
+    const query = { expires: parseInt(link.searchParams.get('expires')), signature: link.searchParams.get('signature') };
+
+    const download = await handleV1ExportDownload(request(env, { params: { exportId, filename }, query }));
+    expect(download.headers.get('Content-Type')).toBe('text/csv; charset=utf-8');
+    expect(await download.text()).toContain('Dune,Frank Herbert');
+
+    await expect(handleV1ExportDownload(request(env, { params: { exportId, filename: 'library.bib' }, query })))
+      .rejects.toMatchObject({ status: 403 });
+  });
+
+  it('exports a stored snapshot and rejects expired links', async () => {
+    const env = { LIBRARY_DATA: memoryR2(), EXPORT_SIGNING_KEY: 'secret' };
+    await env.LIBRARY_DATA.put('libraries/shelf.json', JSON.stringify({ entries: [{ work: dune, isbn13: '9780441013593', userEntry }] }));
+
+    const response = await handleV1ExportCreate(request(env, { body: { formats: 'json', snapshot: 'shelf', expiresIn: 60 } }));
+    const { data } = await response.json();
+    const stored = await (await env.LIBRARY_DATA.get(`exports/${data.exportId}/library.json`)).json();
+    expect(stored.entries[0]).toMatchObject({ isbn13: '9780441013593', userEntry: { rating: 5 } });
+
+    const expires = Math.floor(Date.now() / 1000) - 1;
+    const path = `/v1/exports/${data.exportId}/library.json`;
+    const query = { expires, signature: await signPath(path, expires, 'secret') };
+    await expect(handleV1ExportDownload(request(env, { params: { exportId: data.exportId, filename: 'library.json' }, query })))
+      .rejects.toMatchObject({ status: 410 });
+  });
+
+  it('requires exactly one source and the signing key', async () => {
+    const env = { LIBRARY_DATA: memoryR2(), EXPORT_SIGNING_KEY: 'secret' };
+
+    await expect(handleV1ExportCreate(request(env, { body: { formats: ['json'] } }))).rejects.toMatchObject({ status: 400 });
+    await expect(handleV1ExportCreate(request(env, { body: { formats: ['pdf'], items: ['9780441013593'] } }))).rejects.toMatchObject({ status: 400 });
+    await expect(handleV1ExportCreate(request(env, { body: { snapshot: '../secrets' } }))).rejects.toMatchObject({ status: 400 });
+    await expect(handleV1ExportCreate(request({ LIBRARY_DATA: env.LIBRARY_DATA }, { body: { snapshot: 'shelf' } })))
+      .rejects.toMatchObject({ status: 503 });
+  });
+});
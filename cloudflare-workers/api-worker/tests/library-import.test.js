@@ -0,0 +1,140 @@
+/**
+ * Library import tests: CSV parsing, format detection, dedupe and the resolve pipeline
+ * Provider HTTP calls, KV and the progress Durable Object are stubbed.
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { parseDelimited } from '../src/utils/csv.js';
+import { parseLibraryFile, dedupeRows } from '../src/services/import-formats.js';
+import { importLibrary, resolveBatch } from '../src/services/library-import.js';
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('parseDelimited', () => {
+  it('handles quoted delimiters, escaped quotes and newlines inside fields', () => {
+    const { headers, records } = parseDelimited('\uFEFFTitle,Notes\r\n"Dune, Book One","Said ""wow""\nthen reread"\r\nEmma,\r\n');
+
+    expect(headers).toEqual(['Title', 'Notes']);
+    expect(records).toEqual([
+      { _line: 2, Title: 'Dune, Book One', Notes: 'Said "wow"\nthen reread' },
+      { _line: 4, Title: 'Emma', Notes: '' }
+    ]);
+  });
+});
+
+describe('parseLibraryFile', () => {
+  it('detects Goodreads exports and unwraps ="..." ISBNs', () => {
+    const csv = 'Book Id,Title,Author,Author l-f,ISBN,ISBN13,Exclusive Shelf\n' +
+      '1,Dune,Frank Herbert,"Herbert, Frank","=""0441013597""","=""9780441013593""",read\n';
+    const { format, rows, skipped } = parseLibraryFile(csv);
+    expect(format).toBe('goodreads');
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ line: 2, title: 'Dune', author: 'Frank Herbert', isbn13: '9780441013593' });
+    expect(rows[0].userEntry.readingStatus).toBe('Read');
+    expect(skipped).toEqual([]);
+  });
+
+  it('detects StoryGraph CSV and LibraryThing TSV layouts', () => {
+    const storygraph = parseLibraryFile('Title,Authors,ISBN/UID,Read Status\nGood Omens,"Neil Gaiman, Terry Pratchett",9780060853983,read\n');
+    expect(storygraph.format).toBe('storygraph');
+    expect(storygraph.rows[0].author).toBe('Neil Gaiman');
+
+    const librarything = parseLibraryFile('Book Id\tTitle\tPrimary Author\tISBNs\n5\tThe Left Hand of Darkness\tLe Guin, Ursula K.\t[0441478123]\n');
+    expect(librarything.format).toBe('librarything');
+    expect(librarything.rows[0]).toMatchObject({ author: 'Ursula K. Le Guin', isbn13: '9780441478125' });
+  });
+
+  it('falls back to the generic layout and skips rows without title or ISBN', () => {
+    const { format, rows, skipped } = parseLibraryFile('year,title,author,isbn13\n2024,"James",Percival Everett,978-0-385-55036-9\n2024,,Nobody,\n');
+    expect(format).toBe('generic');
+    expect(rows).toEqual([{ line: 2, title: 'James', author: 'Percival Everett', isbn13: '9780385550369' }]);
+    expect(skipped).toEqual([{ line: 3, reason: 'No title or ISBN' }]);
+  });
+});
+
+describe('dedupeRows', () => {
+  it('drops repeats by ISBN or by title + author', () => {
+    const { rows, duplicates } = dedupeRows([
+      { line: 2, title: 'Dune', author: 'Frank Herbert', isbn13: '9780441013593' },
+      { line: 3, title: 'Dune (Deluxe)', author: 'F. Herbert', isbn13: '9780441013593' },
+      { line: 4, title: 'The Dune', author: 'Herbert, Frank', isbn13: null },
+      { line: 5, title: 'Emma', author: 'Jane Austen', isbn13: null }
+    ]);
+
+    expect(rows.map(row => row.line)).toEqual([2, 5]);
+    expect(duplicates).toBe(2);
+  });
+});
+
+describe('importLibrary', () => {
+  it('resolves rows by ISBN, then by title, streaming each batch to the DO', async () => {
+    vi.stubGlobal('fetch', vi.fn(async (url) => {
+      const q = new URL(url).searchParams.get('q');
+      const body = !url.includes('googleapis.com')
+        ? { numFound: 0, docs: [] }
+        : q === 'isbn:9780441013593'
+          ? { totalItems: 1, items: [{ id: 'dune', volumeInfo: { title: 'Dune', authors: ['Frank Herbert'], industryIdentifiers: [{ type: 'ISBN_13', identifier: '9780441013593' }] } }] }
+          : q === 'Emma Jane Austen'
+            ? { totalItems: 1, items: [{ id: 'emma', volumeInfo: { title: 'Emma', authors: ['Jane Austen'] } }] }
+            : { totalItems: 1, items: [{ id: 'other', volumeInfo: { title: 'Something Else Entirely', authors: ['Someone'] } }] };
+      return new Response(JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } });
+    }));
+
+    const updates = [];
+    const doStub = {
+      updateJob: vi.fn(async (update) => { updates.push(update); }),
+      finishJob: vi.fn(async () => ({ success: true })),
+      isCanceled: vi.fn(async () => false)
+    };
+    const env = { GOOGLE_BOOKS_API_KEY: 'test-key', CACHE: { get: async () => null, put: async () => {} } };
+
+    const summary = await importLibrary('job-1', {
+      format: 'generic',
+      rows: [
+        { line: 2, title: 'Dune', author: 'Frank Herbert', isbn13: '9780441013593' },
+        { line: 3, title: 'Emma', author: 'Jane Austen', isbn13: null },
+        { line: 4, title: 'Unfindable Book', author: 'Nobody', isbn13: null }
+      ],
+      duplicates: 1,
+      skipped: []
+    }, env, { waitUntil: () => {} }, doStub);
+
+    expect(summary).toMatchObject({ success: true, resolved: 2, unresolved: 1, errors: 0, duplicates: 1 });
+    expect(summary.unresolvedRows.map(item => item.line)).toEqual([4]);
+
+    const [start, batch] = updates;
+    expect(start).toMatchObject({ jobId: 'job-1', stage: 'resolve', processedItems: 0, totalItems: 3 });
+    expect(batch.stageProgress).toBe(1);
+    expect(batch.data.items.map(item => [item.line, item.status, item.matchedBy])).toEqual([
+      [2, 'resolved', 'isbn'], [3, 'resolved', 'title'], [4, 'unresolved', null]
+    ]);
+    expect(batch.data.items[1].work.title).toBe('Emma');
+    expect(doStub.finishJob).toHaveBeenCalledWith({ status: 'complete', currentStatus: 'Import complete', result: summary });
+  });
+
+  it('paces every provider call through the per-provider token buckets', async () => {
+    const fetchMock = vi.fn(async (url) => {
+      const body = url.includes('googleapis.com') ? { totalItems: 0 } : { numFound: 0, docs: [] };
+      return new Response(JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } });
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const taken = { 'google-books': 0, openlibrary: 0, isbndb: 0 };
+    const buckets = Object.fromEntries(Object.keys(taken).map(provider => [provider, { take: async () => { taken[provider]++; } }]));
+    const env = { GOOGLE_BOOKS_API_KEY: 'test-key', CACHE: { get: async () => null, put: async () => {} } };
+
+    const items = await resolveBatch([
+      { line: 2, title: 'Dune', author: 'Frank Herbert', isbn13: '9780441013593' },
+      { line: 3, title: 'Emma', author: 'Jane Austen', isbn13: null },
+      { line: 4, title: 'Middlemarch', author: 'George Eliot', isbn13: null }
+    ], env, { waitUntil: () => {} }, buckets);
+
+    expect(items.map(item => item.status)).toEqual(['unresolved', 'unresolved', 'unresolved']);
+    const calls = provider => fetchMock.mock.calls.filter(([url]) => url.includes(provider)).length;
+    expect(taken['google-books']).toBe(calls('googleapis.com'));
+    expect(taken.openlibrary).toBeGreaterThanOrEqual(calls('openlibrary.org'));
+    expect(calls('googleapis.com')).toBeGreaterThan(0);
+  });
+});
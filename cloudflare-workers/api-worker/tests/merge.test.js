@@ -0,0 +1,100 @@
+/**
+ * Merge engine tests
+ * Pure module tests - no dev server required.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { mergeWorks, isSameWork, missingFields } from '../src/services/merge.js';
+import { createWork, validateWork, primaryEdition } from '../src/types/canonical.js';
+
+const googleDune = createWork({
+  title: 'Dune',
+  authors: ['Frank Herbert'],
+  description: 'A stunning blend of adventure and mysticism.',
+  firstPublicationYear: 1990,
+  editions: [{
+    isbn13: '9780441172719',
+    publisher: 'Ace',
+    pageCount: 535,
+    externalIds: { googleBooksVolumeId: 'vol-1' }
+  }],
+  source: 'google-books'
+});
+
+const openLibraryDune = createWork({
+  title: 'Dune',
+  authors: [{ name: 'Frank Herbert', externalIds: { openLibraryAuthorId: 'OL79034A' } }],
+  subjects: ['Science fiction', 'Arrakis'],
+  firstPublicationYear: 1965,
+  externalIds: { openLibraryWorkId: 'OL893415W' },
+  editions: [{
+    isbn13: '9780441172719',
+    isbns: ['9780441172719', '0441172717'],
+    pageCount: 528,
+    coverImageURL: 'https://covers.openlibrary.org/b/id/1-L.jpg'
+  }],
+  source: 'openlibrary'
+});
+
+describe('isSameWork', () => {
+  it('matches on a shared ISBN', () => {
+    expect(isSameWork(googleDune, openLibraryDune)).toBe(true);
+  });
+
+  it('matches normalized titles by the same author without ISBNs', () => {
+    const a = createWork({ title: 'The Hobbit', authors: ['J.R.R. Tolkien'], source: 'google-books' });
+    const b = createWork({ title: 'Hobbit', authors: ['Tolkien, J. R. R.'], source: 'openlibrary' });
+    expect(isSameWork(a, b)).toBe(true);
+  });
+
+  it('keeps same-titled books by different authors apart', () => {
+    const a = createWork({ title: 'It', authors: ['Stephen King'], source: 'google-books' });
+    const b = createWork({ title: 'It', authors: ['Alexa Chung'], source: 'openlibrary' });
+    expect(isSameWork(a, b)).toBe(false);
+  });
+});
+
+describe('mergeWorks', () => {
+  it('fills each field from the best source and records provenance', () => {
+    const [merged] = mergeWorks([googleDune, openLibraryDune]);
+
+    expect(validateWork(merged)).toEqual([]);
+    expect(merged.description).toBe('A stunning blend of adventure and mysticism.');
+    expect(merged.subjects).toEqual(['Science fiction', 'Arrakis']);
+    expect(merged.firstPublicationYear).toBe(1965);
+    expect(merged.externalIds.openLibraryWorkId).toBe('OL893415W');
+    expect(merged.authors[0].externalIds.openLibraryAuthorId).toBe('OL79034A');
+    expect(merged.sources).toEqual(['google-books', 'openlibrary']);
+    expect(merged.provenance).toMatchObject({
+      title: 'google-books',
+      description: 'google-books',
+      subjects: 'openlibrary',
+      firstPublicationYear: 'openlibrary'
+    });
+  });
+
+  it('merges editions by ISBN so a coverless hit gains the other provider\'s cover', () => {
+    const [merged] = mergeWorks([googleDune, openLibraryDune]);
+
+    expect(merged.editions).toHaveLength(1);
+    const edition = primaryEdition(merged);
+    expect(edition.coverImageURL).toBe('https://covers.openlibrary.org/b/id/1-L.jpg');
+    expect(edition.isbns).toEqual(['9780441172719', '0441172717']);
+    expect(edition.publisher).toBe('Ace');
+    expect(edition.externalIds.googleBooksVolumeId).toBe('vol-1');
+    expect(edition.provenance.coverImageURL).toBe('openlibrary');
+  });
+
+  it('keeps unrelated works as separate results in input order', () => {
+    const other = createWork({ title: 'Neuromancer', authors: ['William Gibson'], source: 'openlibrary' });
+    const merged = mergeWorks([googleDune, other, openLibraryDune]);
+    expect(merged.map(w => w.title)).toEqual(['Dune', 'Neuromancer']);
+  });
+});
+
+describe('missingFields', () => {
+  it('lists the key fields absent from the primary edition', () => {
+    expect(missingFields(googleDune)).toEqual(['coverImageURL']);
+    expect(missingFields(mergeWorks([googleDune, openLibraryDune])[0])).toEqual([]);
+  });
+});
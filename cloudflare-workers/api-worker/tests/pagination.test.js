@@ -0,0 +1,77 @@
+/**
+ * Pagination tests: cursors, page windows and pooled title search
+ * Provider HTTP calls and KV are stubbed - no dev server or API keys required.
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { resolvePage, paginate, encodeCursor, decodeCursor } from '../src/utils/pagination.js';
+import { searchWorksByTitle } from '../src/handlers/book-search.js';
+import { HttpError } from '../src/utils/response.js';
+
+const SURNAMES = ['Asimov', 'Butler', 'Clarke', 'Delany', 'Egan', 'Fforde', 'Gibson', 'Herbert', 'Iles', 'Jemisin',
+  'Kress', 'Le Guin', 'Mieville', 'Niven', 'Okorafor', 'Pohl', 'Quinn', 'Reynolds', 'Simmons', 'Tchaikovsky',
+  'Utley', 'Vinge', 'Wells', 'Xu', 'Yoon', 'Zelazny', 'Banks', 'Cherryh', 'Dick', 'Ellison'];
+
+function memoryKV() {
+  const store = new Map();
+  return {
+    get: async (key, type) => (store.has(key) ? (type === 'json' ? JSON.parse(store.get(key)) : store.get(key)) : null),
+    put: async (key, value) => { store.set(key, value); }
+  };
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('cursors', () => {
+  it('round-trips offsets and rejects foreign tokens', () => {
+    expect(decodeCursor(encodeCursor(40))).toBe(40);
+    expect(() => decodeCursor('not-a-cursor')).toThrow(HttpError);
+    expect(resolvePage({ page: 3, maxResults: 10 })).toEqual({ offset: 20, limit: 10 });
+    expect(resolvePage({ page: 3, maxResults: 10, cursor: encodeCursor(5) })).toEqual({ offset: 5, limit: 10 });
+  });
+
+  it('reports hasMore and nextCursor for a page window', () => {
+    const { items, pagination } = paginate([1, 2, 3, 4, 5], { offset: 2, limit: 2 });
+    expect(items).toEqual([3, 4]);
+    expect(pagination).toMatchObject({ page: 2, maxResults: 2, totalPages: 3, hasMore: true });
+    expect(decodeCursor(pagination.nextCursor)).toBe(4);
+  });
+});
+
+describe('searchWorksByTitle pagination', () => {
+  it('serves page 2 from the pool built for page 1 without refetching providers', async () => {
+    const fetchMock = vi.fn(async (url) => {
+      const body = url.includes('googleapis.com')
+        ? {
+            totalItems: 30,
+            items: Array.from({ length: 30 }, (_, i) => ({
+              id: `vol-${i}`,
+              volumeInfo: { title: `Foundation ${i}`, authors: [`${SURNAMES[i]}`] }
+            }))
+          }
+        : { numFound: 0, docs: [] };
+      return new Response(JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } });
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const env = { GOOGLE_BOOKS_API_KEY: 'test-key', CACHE: memoryKV() };
+    const waits = [];
+    const ctx = { waitUntil: (promise) => waits.push(promise) };
+
+    const page1 = await searchWorksByTitle('foundation', { maxResults: 20 }, env, ctx);
+    await Promise.all(waits);
+    const page2 = await searchWorksByTitle('foundation', { maxResults: 20, cursor: page1.pagination.nextCursor }, env, ctx);
+
+    expect(fetchMock).toHaveBeenCalledTimes(2); // one Google + one OpenLibrary chunk
+    expect(page1.totalItems).toBe(30);
+    expect(page1.works).toHaveLength(20);
+    expect(page2.works).toHaveLength(10);
+    expect(page2.cached).toBe(true);
+    expect(page2.pagination).toMatchObject({ page: 2, hasMore: false, nextCursor: null });
+
+    const titles = new Set([...page1.works, ...page2.works].map(w => w.title));
+    expect(titles.size).toBe(30);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Query normalization and typo correction tests
+ * Provider HTTP calls and KV are stubbed - no dev server or API keys required.
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { normalizeQuery } from '../src/utils/text.js';
+import { generateCacheKey } from '../src/utils/cache.js';
+import { suggestCorrection } from '../src/services/query-correction.js';
+import { searchWorksByTitle } from '../src/handlers/book-search.js';
+import { advancedSearchWorks } from '../src/handlers/search-handlers.js';
+import { createWork } from '../src/types/canonical.js';
+
+const potter = createWork({
+  title: 'Harry Potter and the Philosopher\'s Stone',
+  authors: ['J. K. Rowling'],
+  editions: [{ isbn13: '9780747532699' }],
+  source: 'google-books'
+});
+
+function memoryKV() {
+  const store = new Map();
+  return {
+    get: async (key, type) => (store.has(key) ? (type === 'json' ? JSON.parse(store.get(key)) : store.get(key)) : null),
+    put: async (key, value) => { store.set(key, value); }
+  };
+}
+
+/**
+ * Stub fetch with per-provider responders: (q) => response body
+ */
+function stubProviders({ google, openLibrary }) {
+  const fetchMock = vi.fn(async (url) => {
+    const q = new URL(url).searchParams.get('q');
+    const body = url.includes('googleapis.com') ? google(q) : openLibrary(q);
+    return new Response(JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } });
+  });
+  vi.stubGlobal('fetch', fetchMock);
+  return fetchMock;
+}
+
+const googleHobbit = {
+  totalItems: 1,
+  items: [{ id: 'hobbit', volumeInfo: { title: 'The Hobbit', authors: ['J. R. R. Tolkien'] } }]
+};
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('normalizeQuery', () => {
+  it('ignores case, diacritics, articles, punctuation and series markers', () => {
+    expect(normalizeQuery('The Hobbit (Book 1)')).toBe('hobbit');
+    expect(normalizeQuery('Harry Potter #1')).toBe('harry potter');
+    expect(normalizeQuery('Les Misérables, Vol. 2')).toBe('les miserables');
+    expect(normalizeQuery('Catch-22')).toBe('catch 22');
+  });
+
+});
+
+describe('generateCacheKey', () => {
+  it('lets queries differing in case, accents, spacing and end punctuation share a key', () => {
+    expect(generateCacheKey('search:title:pool', { title: 'The Hobbit!', language: 'en' }))
+      .toBe(generateCacheKey('search:title:pool', { title: '  the  hobbit ', language: 'en' }));
+    expect(generateCacheKey('search:title:pool', { title: 'Les Misérables', language: 'en' }))
+      .toBe(generateCacheKey('search:title:pool', { title: 'les miserables', language: 'en' }));
+    expect(generateCacheKey('provider:openlibrary', { q: 'Dune', chunk: 0 })).toBe('provider:openlibrary:chunk=0&q=dune');
+  });
+
+  it('keeps series numbers, digits and symbols apart', () => {
+    const key = title => generateCacheKey('search:title:pool', { title, language: 'en' });
+    expect(key('Harry Potter Book 1')).not.toBe(key('Harry Potter Book 7'));
+    expect(key('Foundation #2')).not.toBe(key('Foundation'));
+    expect(key('C++')).not.toBe(key('C#'));
+    expect(key('Harry Potter Book 1')).toBe('search:title:pool:language=en&title=harry potter book 1');
+  });
+});
+
+describe('suggestCorrection', () => {
+  it('snaps misspelled words to the result vocabulary', () => {
+    expect(suggestCorrection('harry poter', [potter])).toBe('harry potter');
+    expect(suggestCorrection('Harry Potter', [potter])).toBeNull();
+    expect(suggestCorrection('harry poter', [])).toBeNull();
+  });
+});
+
+describe('searchWorksByTitle correction', () => {
+  it('retries with the corrected query when a provider finds nothing', async () => {
+    const fetchMock = stubProviders({
+      google: () => ({
+        totalItems: 1,
+        items: [{ id: 'hp1', volumeInfo: { title: 'Harry Potter and the Philosopher\'s Stone', authors: ['J. K. Rowling'] } }]
+      }),
+      openLibrary: (q) => (q === 'harry potter'
+        ? { numFound: 1, docs: [{ key: '/works/OL82563W', title: 'Harry Potter and the Philosopher\'s Stone', author_name: ['J. K. Rowling'] }] }
+        : { numFound: 0, docs: [] })
+    });
+
+    const env = { GOOGLE_BOOKS_API_KEY: 'test-key', CACHE: memoryKV() };
+    const result = await searchWorksByTitle('harry poter', { maxResults: 10 }, env, { waitUntil: () => {} });
+
+    expect(result.didYouMean).toBe('harry potter');
+    expect(result.works).toHaveLength(1);
+    expect(result.works[0].sources).toEqual(expect.arrayContaining(['google-books', 'openlibrary']));
+    expect(fetchMock).toHaveBeenCalledTimes(4);
+  });
+});
+
+describe('advancedSearchWorks correction', () => {
+  it('falls back to an OpenLibrary fuzzy search when every provider misses', async () => {
+    stubProviders({
+      google: (q) => (q === 'the hobbit' ? googleHobbit : { totalItems: 0 }),
+      openLibrary: (q) => (q === 'the hobit~'
+        ? { numFound: 1, docs: [{ key: '/works/OL262758W', title: 'The Hobbit', author_name: ['J. R. R. Tolkien'] }] }
+        : { numFound: 0, docs: [] })
+    });
+
+    const env = { GOOGLE_BOOKS_API_KEY: 'test-key', CACHE: memoryKV() };
+    const result = await advancedSearchWorks({ bookTitle: 'The Hobit' }, { maxResults: 5 }, env);
+
+    expect(result.didYouMean).toBe('the hobbit');
+    expect(result.provider).toBe('google');
+    expect(result.works[0].title).toBe('The Hobbit');
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Relevance ranking tests
+ * Pure module tests - no dev server required.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { rankWorks, scoreWork } from '../src/services/ranking.js';
+import { createWork, validateWork } from '../src/types/canonical.js';
+
+const studyGuide = createWork({
+  title: 'Study Guide for Frank Herbert\'s Dune',
+  authors: ['SuperSummary'],
+  editions: [{ isbn13: '9781234567897', pageCount: 60, coverImageURL: 'https://covers/guide.jpg', language: 'en' }],
+  description: 'A summary of Dune.',
+  source: 'google-books'
+});
+
+const dune = createWork({
+  title: 'Dune',
+  authors: ['Frank Herbert'],
+  popularity: { ratingsCount: 5000, editionCount: 120, readingLogCount: 40000 },
+  editions: [{ isbn13: '9780441172719', pageCount: 528, coverImageURL: 'https://covers/dune.jpg', language: 'eng' }],
+  source: 'openlibrary'
+});
+
+const duneMessiah = createWork({
+  title: 'Dune Messiah',
+  authors: ['Frank Herbert'],
+  editions: [{ isbn13: '9780593098233' }],
+  source: 'openlibrary'
+});
+
+describe('rankWorks', () => {
+  it('ranks the novel above study guides and sequels for "dune"', () => {
+    const ranked = rankWorks([studyGuide, duneMessiah, dune], { query: 'dune' });
+
+    expect(ranked.map(w => w.title)).toEqual(['Dune', 'Dune Messiah', 'Study Guide for Frank Herbert\'s Dune']);
+    expect(ranked[0].score).toBeGreaterThan(ranked[1].score);
+    expect(validateWork(ranked[0])).toEqual([]);
+  });
+
+  it('keeps study guides when the query asks for them', () => {
+    const [top] = rankWorks([dune, studyGuide], { query: 'dune study guide' });
+    expect(top.title).toBe('Study Guide for Frank Herbert\'s Dune');
+  });
+
+  it('only attaches scoreBreakdown when explain is set', () => {
+    expect(rankWorks([dune], { query: 'dune' })[0].scoreBreakdown).toBeUndefined();
+
+    const [explained] = rankWorks([studyGuide], { query: 'dune', explain: true });
+    expect(explained.scoreBreakdown.penalties).toEqual(['derivative']);
+    expect(Object.keys(explained.scoreBreakdown.signals)).toEqual(['title', 'author', 'completeness', 'popularity', 'language']);
+  });
+});
+
+describe('scoreWork', () => {
+  it('treats author words in a free-text query as an author match', () => {
+    const { breakdown } = scoreWork(dune, { query: 'dune herbert' });
+    expect(breakdown.signals.title).toBe(1);
+    expect(breakdown.signals.author).toBe(1);
+    expect(breakdown.signals.language).toBe(1);
+  });
+});
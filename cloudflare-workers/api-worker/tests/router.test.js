@@ -0,0 +1,147 @@
+/**
+ * Router and middleware unit tests
+ *
+ * Pure module tests - no dev server required.
+ * Run with: npm test -- router.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRouter, describeRoutes } from '../src/utils/router.js';
+import { requestId, cors, errorHandler, jsonBody } from '../src/utils/middleware.js';
+import { jsonResponse, HttpError } from '../src/utils/response.js';
+
+const routes = [
+  {
+    method: 'GET',
+    path: '/search/title',
+    query: {
+      q: { required: true, message: 'Missing query parameter "q"' },
+      maxResults: { type: 'int', default: 20 }
+    },
+    description: 'Title search',
+    handler: (req) => jsonResponse({ query: req.query })
+  },
+  {
+    method: 'GET',
+    path: '/v1/jobs/:jobId',
+    handler: (req) => jsonResponse({ jobId: req.params.jobId })
+  },
+  {
+    method: 'POST',
+    path: '/echo',
+    middleware: [jsonBody],
+    handler: (req) => jsonResponse(req.body)
+  },
+  {
+    method: 'POST',
+    path: '/explode',
+    errorMessage: 'Explode failed',
+    handler: () => { throw new Error('boom'); }
+  },
+  {
+    method: 'GET',
+    path: '/teapot',
+    handler: () => { throw new HttpError(418, 'I am a teapot', { hint: 'coffee' }); }
+  },
+  { method: 'GET', path: '/hidden', internal: true, handler: () => jsonResponse({}) }
+];
+
+const router = createRouter(routes, { middleware: [requestId, cors, errorHandler] });
+const call = (path, init) => router(new Request(`http://localhost${path}`, init), {}, {});
+
+describe('Router', () => {
+  it('parses declared query parameters with defaults and types', async () => {
+    const response = await call('/search/title?q=dune&maxResults=5');
+    expect(response.status).toBe(200);
+    expect((await response.json()).query).toEqual({ q: 'dune', maxResults: 5 });
+
+    const defaults = await call('/search/title?q=dune');
+    expect((await defaults.json()).query.maxResults).toBe(20);
+  });
+
+  it('returns 400 with the declared message for missing required parameters', async () => {
+    const response = await call('/search/title');
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toBe('Missing query parameter "q"');
+  });
+
+  it('extracts path parameters', async () => {
+    const response = await call('/v1/jobs/abc%20123');
+    expect((await response.json()).jobId).toBe('abc 123');
+  });
+
+  it('rejects malformed percent-encoding in path parameters with 400', async () => {
+    const response = await call('/v1/jobs/%E0%A4%A');
+    expect(response.status).toBe(400);
+
+    const body = await response.json();
+    expect(body.error.code).toBe('INVALID_REQUEST');
+    expect(body.error.message).toContain('jobId');
+  });
+
+  it('returns 405 with an Allow header for wrong methods', async () => {
+    const response = await call('/echo');
+    expect(response.status).toBe(405);
+    expect(response.headers.get('allow')).toBe('POST');
+  });
+
+  it('returns JSON 404 for unknown paths', async () => {
+    const response = await call('/nope');
+    expect(response.status).toBe(404);
+    const data = await response.json();
+    expect(data.error).toBe('Not Found');
+    expect(data.message).toContain('does not exist');
+  });
+
+  it('parses JSON bodies and rejects malformed JSON', async () => {
+    const ok = await call('/echo', { method: 'POST', body: JSON.stringify({ a: 1 }) });
+    expect(await ok.json()).toEqual({ a: 1 });
+
+    const bad = await call('/echo', { method: 'POST', body: 'not-json' });
+    expect(bad.status).toBe(400);
+  });
+
+  it('maps thrown errors to JSON responses', async () => {
+    const crash = await call('/explode', { method: 'POST' });
+    expect(crash.status).toBe(500);
+    expect(await crash.json()).toEqual({ error: 'Explode failed', message: 'boom' });
+
+    const teapot = await call('/teapot');
+    expect(teapot.status).toBe(418);
+    expect(await teapot.json()).toEqual({ error: 'I am a teapot', hint: 'coffee' });
+  });
+
+  it('adds CORS and request ID headers to every response, including errors', async () => {
+    const response = await call('/nope', { headers: { 'X-Request-ID': 'req-1' } });
+    expect(response.headers.get('access-control-allow-origin')).toBe('*');
+    expect(response.headers.get('x-request-id')).toBe('req-1');
+
+    const generated = await call('/search/title?q=x');
+    expect(generated.headers.get('x-request-id')).toBeTruthy();
+  });
+
+  it('answers CORS preflight requests', async () => {
+    const response = await call('/echo', { method: 'OPTIONS' });
+    expect(response.status).toBe(204);
+    expect(response.headers.get('access-control-allow-methods')).toContain('POST');
+    // EventSource reconnects to /v1/jobs/:jobId/events with Last-Event-ID
+    expect(response.headers.get('access-control-allow-headers')).toContain('Last-Event-ID');
+  });
+
+  it('renders /v1 errors in the response envelope', async () => {
+    const response = await call('/v1/missing', { headers: { 'X-Request-ID': 'req-2' } });
+    expect(response.status).toBe(404);
+
+    const body = await response.json();
+    expect(body.data).toBeNull();
+    expect(body.error.code).toBe('NOT_FOUND');
+    expect(body.meta.requestId).toBe('req-2');
+    expect(typeof body.meta.responseTime).toBe('number');
+  });
+
+  it('describes public routes for /health', () => {
+    const endpoints = describeRoutes(routes);
+    expect(endpoints).toContain('GET /search/title?q={q}&maxResults={maxResults} - Title search');
+    expect(endpoints.join(' ')).not.toContain('/hidden');
+  });
+});
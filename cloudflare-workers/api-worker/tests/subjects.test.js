@@ -0,0 +1,72 @@
+/**
+ * Genre vocabulary and subject browse tests
+ * Provider HTTP calls and KV are stubbed - no dev server or API keys required.
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { normalizeGenres, resolveSubject } from '../src/utils/genres.js';
+import { searchWorksBySubject } from '../src/handlers/book-search.js';
+
+const env = {
+  GOOGLE_BOOKS_API_KEY: 'test-key',
+  CACHE: { get: async () => null, put: async () => {} }
+};
+const ctx = { waitUntil: () => {} };
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('normalizeGenres', () => {
+  it('maps provider subjects onto the genre vocabulary', () => {
+    expect(normalizeGenres(['Fiction / Science Fiction / Space Opera', 'science_fiction', 'Fiction'])).toEqual(['Science Fiction']);
+    expect(normalizeGenres(['Juvenile fiction', 'Dragons', 'Comics & Graphic Novels'])).toEqual(['Fantasy', 'Young Adult', 'Graphic Novels']);
+    expect(normalizeGenres(['Science'])).toEqual(['Science']);
+    expect(normalizeGenres([])).toEqual([]);
+  });
+});
+
+describe('resolveSubject', () => {
+  it('uses curated provider subjects for vocabulary slugs and passes others through', () => {
+    expect(resolveSubject('Science-Fiction')).toMatchObject({ slug: 'science-fiction', openLibrary: 'science_fiction', google: 'Science Fiction' });
+    expect(resolveSubject('time-travel')).toMatchObject({ name: 'time travel', genre: null, openLibrary: 'time_travel' });
+  });
+});
+
+describe('searchWorksBySubject', () => {
+  it('merges OpenLibrary subject works with Google subject results and sorts by year', async () => {
+    vi.stubGlobal('fetch', vi.fn(async (url) => {
+      const body = url.includes('openlibrary.org/subjects/science_fiction.json')
+        ? {
+            name: 'Science fiction',
+            work_count: 2,
+            works: [
+              { key: '/works/OL893415W', title: 'Dune', edition_count: 120, first_publish_year: 1965, cover_id: 1, authors: [{ key: '/authors/OL79034A', name: 'Frank Herbert' }], subject: ['Science fiction'] },
+              { key: '/works/OL27448W', title: 'Neuromancer', edition_count: 40, first_publish_year: 1984, authors: [{ name: 'William Gibson' }], subject: ['Cyberpunk'] }
+            ]
+          }
+        : { items: [{ id: 'vol-1', volumeInfo: { title: 'Dune', authors: ['Frank Herbert'], publishedDate: '1990', categories: ['Fiction / Science Fiction / General'] } }] };
+      return new Response(JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } });
+    }));
+
+    const result = await searchWorksBySubject('science-fiction', { sort: '-year' }, env, ctx);
+
+    expect(result.subject).toEqual({ slug: 'science-fiction', name: 'Science Fiction', genre: 'Science Fiction', workCount: 2 });
+    expect(result.works.map(w => w.title)).toEqual(['Neuromancer', 'Dune']);
+    expect(result.works[1].firstPublicationYear).toBe(1965);
+    expect(result.works[1].sources).toEqual(['openlibrary', 'google-books']);
+    expect(result.works[1].editions[0].genres).toEqual(['Science Fiction']);
+  });
+
+  it('does not cache an empty listing when every provider failed', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('unavailable', { status: 503 })));
+    const put = vi.fn(async () => {});
+    const pending = [];
+
+    const result = await searchWorksBySubject('science-fiction', {}, { ...env, CACHE: { ...env.CACHE, put } }, { waitUntil: promise => pending.push(promise) });
+    await Promise.all(pending);
+
+    expect(result.works).toEqual([]);
+    expect(put).not.toHaveBeenCalled();
+  });
+});